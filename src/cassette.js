@@ -0,0 +1,92 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseJSONL } from "./formatters.js";
+import { SOURCE_METHODS } from "./sources.js";
+
+const CASSETTE_FILENAME = "interactions.jsonl";
+
+/**
+ * Key identifying a source call. A post passed to `comments` is identified by
+ * its ID, since live posts are client objects.
+ */
+function interactionKey(method, args) {
+  const plain = method === "comments" ? [{ id: String(args[0]?.id) }, args[1]] : args;
+  return JSON.stringify([method, ...plain]);
+}
+
+/**
+ * Reduce a response to plain JSON (snoowrap objects serialize via toJSON).
+ */
+function toPlain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Wrap a data source so every response (or error) it returns is appended to
+ * `<cassetteDir>/interactions.jsonl`.
+ */
+export async function createRecordingSource(source, cassetteDir) {
+  const cassettePath = path.join(cassetteDir, CASSETTE_FILENAME);
+  await fs.mkdir(cassetteDir, { recursive: true });
+  await fs.writeFile(cassettePath, "", "utf8");
+
+  const record = (interaction) => fs.appendFile(cassettePath, JSON.stringify(interaction) + "\n", "utf8");
+
+  const recording = { name: `record:${source.name ?? "source"}` };
+  for (const method of SOURCE_METHODS) {
+    recording[method] = async (...args) => {
+      const key = interactionKey(method, args);
+      let response;
+      try {
+        response = await source[method](...args);
+      } catch (err) {
+        await record({ key, error: { message: String(err?.message ?? err), statusCode: err?.statusCode ?? null } });
+        throw err;
+      }
+      await record({ key, response: toPlain(response) });
+      return response;
+    };
+  }
+  return recording;
+}
+
+/**
+ * Create a data source that serves the responses recorded in `cassetteDir`,
+ * without credentials or network access. Calls repeated during recording are
+ * answered in recorded order; a call that was never recorded is an error.
+ */
+export async function createReplaySource(cassetteDir) {
+  const cassettePath = path.join(cassetteDir, CASSETTE_FILENAME);
+  let interactions;
+  try {
+    interactions = parseJSONL(await fs.readFile(cassettePath, "utf8"));
+  } catch (err) {
+    if (err?.code === "ENOENT") throw new Error(`No cassette found in ${cassetteDir} (record one with --record)`);
+    throw err;
+  }
+
+  const byKey = new Map();
+  for (const interaction of interactions) {
+    if (!byKey.has(interaction.key)) byKey.set(interaction.key, []);
+    byKey.get(interaction.key).push(interaction);
+  }
+
+  const replay = { name: "replay" };
+  for (const method of SOURCE_METHODS) {
+    replay[method] = async (...args) => {
+      const key = interactionKey(method, args);
+      const queue = byKey.get(key);
+      if (!queue) throw new Error(`No recorded response for ${key} in ${cassettePath}`);
+
+      // Keep serving the last recorded answer once the queue is drained
+      const interaction = queue.length > 1 ? queue.shift() : queue[0];
+      if (interaction.error) {
+        const err = new Error(interaction.error.message);
+        if (interaction.error.statusCode != null) err.statusCode = interaction.error.statusCode;
+        throw err;
+      }
+      return toPlain(interaction.response);
+    };
+  }
+  return replay;
+}
@@ -0,0 +1,146 @@
+import fs from "node:fs/promises";
+import { createReadStream } from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+
+const CHECKPOINT_PREFIX = ".harvest-checkpoint-";
+
+/**
+ * Paths of the checkpoint state file and its append-only posts log.
+ */
+function checkpointPaths(outDir, runId) {
+  const base = path.join(outDir, `${CHECKPOINT_PREFIX}${runId}`);
+  return { statePath: `${base}.json`, postsPath: `${base}.jsonl` };
+}
+
+/**
+ * Load a checkpoint's state from disk.
+ * Returns { state } or null if no checkpoint exists for the run; its posts are
+ * read with `readCheckpointPosts`.
+ */
+export async function loadCheckpoint(outDir, runId) {
+  const { statePath } = checkpointPaths(outDir, runId);
+  try {
+    return { state: JSON.parse(await fs.readFile(statePath, "utf8")) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stream the posts recorded by a run, a line of its posts log at a time,
+ * optionally only those of one subreddit.
+ */
+export async function* readCheckpointPosts(outDir, runId, { subreddit } = {}) {
+  const { postsPath } = checkpointPaths(outDir, runId);
+  const input = createReadStream(postsPath);
+  // No posts recorded yet
+  const opened = await new Promise((resolve) => {
+    input.once("open", () => resolve(true));
+    input.once("error", () => resolve(false));
+  });
+  if (!opened) return;
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let pending = null;
+  for await (const line of lines) {
+    if (pending !== null) {
+      const post = JSON.parse(pending);
+      if (subreddit === undefined || post.subreddit === subreddit) yield post;
+    }
+    pending = line.trim() ? line : null;
+  }
+  if (pending === null) return;
+
+  // A crash mid-append can leave a truncated last line; drop it.
+  let last;
+  try {
+    last = JSON.parse(pending);
+  } catch {
+    return;
+  }
+  if (subreddit === undefined || last.subreddit === subreddit) yield last;
+}
+
+/**
+ * Remove a checkpoint once its run has finished.
+ */
+export async function removeCheckpoint(outDir, runId) {
+  const { statePath, postsPath } = checkpointPaths(outDir, runId);
+  await Promise.all([fs.rm(statePath, { force: true }), fs.rm(postsPath, { force: true })]);
+}
+
+/**
+ * Create (or reopen, when resuming) a checkpoint for a harvest run.
+ * Records completed subreddits, the pagination cursor of each subreddit in
+ * progress and every post shaped so far.
+ */
+export async function createCheckpoint(outDir, { runId, options = {}, resume = false }) {
+  const { statePath, postsPath } = checkpointPaths(outDir, runId);
+
+  let state = { runId, createdAt: new Date().toISOString(), options, subreddits: {} };
+
+  if (resume) {
+    const existing = await loadCheckpoint(outDir, runId);
+    if (!existing) throw new Error(`No checkpoint found for run ${runId} in ${outDir}`);
+    state = existing.state;
+  }
+
+  const entryFor = (subreddit) => {
+    if (!state.subreddits[subreddit]) {
+      state.subreddits[subreddit] = { after: null, fetched: 0, output: null };
+    }
+    return state.subreddits[subreddit];
+  };
+
+  // Writes are queued so concurrent subreddits never interleave them
+  let writes = Promise.resolve();
+  function queueWrite(write) {
+    const run = writes.then(write);
+    writes = run.catch(() => {});
+    return run;
+  }
+
+  function save() {
+    return queueWrite(() => {
+      state.updatedAt = new Date().toISOString();
+      return fs.writeFile(statePath, JSON.stringify(state, null, 2), "utf8");
+    });
+  }
+
+  await fs.mkdir(outDir, { recursive: true });
+  await save();
+
+  return {
+    runId,
+    get options() {
+      return state.options;
+    },
+    completedOutput(subreddit) {
+      return state.subreddits[subreddit]?.output ?? null;
+    },
+    cursorFor(subreddit) {
+      const entry = state.subreddits[subreddit];
+      return { after: entry?.after ?? null, fetched: entry?.fetched ?? 0 };
+    },
+    // Posts recorded for a subreddit so far, streamed from the posts log
+    async *replayPosts(subreddit) {
+      await writes;
+      yield* readCheckpointPosts(outDir, runId, { subreddit });
+    },
+    async addPost(subreddit, post) {
+      await queueWrite(() => fs.appendFile(postsPath, JSON.stringify(post) + "\n", "utf8"));
+    },
+    async saveCursor(subreddit, { after, fetched }) {
+      Object.assign(entryFor(subreddit), { after, fetched });
+      await save();
+    },
+    async completeSubreddit(subreddit, output) {
+      entryFor(subreddit).output = output;
+      await save();
+    },
+    async remove() {
+      await removeCheckpoint(outDir, runId);
+    }
+  };
+}
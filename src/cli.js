@@ -6,12 +6,31 @@ import fs from "node:fs/promises";
 
 import { loadEnv } from "./env.js";
 import { createLogger } from "./logger.js";
-import { createRedditClient } from "./redditClient.js";
-import { harvestSubredditsToFiles, formatPostsToText } from "./redditHarvest.js";
-import { normalizeSubredditsArg, ensureDir } from "./utils.js";
+import { createRedditSource } from "./redditClient.js";
+import { createRecordingSource, createReplaySource } from "./cassette.js";
+import { harvestSubredditsToFiles, harvestPostsToFile, harvestUsersToFiles, combineCorpusFiles } from "./redditHarvest.js";
+import { normalizeSubredditsArg, normalizePostsArg, ensureDir, nowTimestampForFiles, writeTextFile } from "./utils.js";
 import { analyzeCorpus, analyzeFileToMarkdown } from "./openaiAnalyze.js";
-import { createDedupeTracker, resetDedupeIndex } from "./dedupe.js";
+import {
+  createDedupeTracker,
+  resetDedupeIndex,
+  loadIndexedPostIds,
+  dedupeIndexStats,
+  pruneDedupeIndex,
+  forgetDedupeEntries,
+  exportDedupeIndex,
+  importDedupeIndex
+} from "./dedupe.js";
+import { snapshotPosts, appendObservations, loadHistory, rankTraction } from "./history.js";
+import { createCheckpoint } from "./checkpoint.js";
+import { compileWhere, parseDuration } from "./where.js";
+import { importDumps } from "./importDump.js";
 import { runExplorer } from "./explorer.js";
+import { createRunManifest, addManifestAnalysis } from "./manifest.js";
+import { CORPUS_FORMATS, QUERY_FORMATS, corpusExtension, formatRows } from "./formatters.js";
+import { openStore } from "./store.js";
+import { createRedactor, loadRedactionSalt } from "./redact.js";
+import { createNormalizer } from "./normalize.js";
 
 loadEnv({ argv: hideBin(process.argv) });
 
@@ -21,21 +40,266 @@ function exitWithError(err) {
   process.exit(1);
 }
 
-async function runHarvest(argv) {
-  const logger = createLogger({ verbose: Boolean(argv.verbose) });
-  const subreddits = normalizeSubredditsArg(argv.subreddits);
-  if (subreddits.length === 0) throw new Error(`--subreddits is required (e.g. "startups,Entrepreneur")`);
+function formatUnixDate(ts) {
+  return new Date(ts * 1000).toISOString().slice(0, 10);
+}
 
-  const outDir = argv.outDir ? path.resolve(argv.outDir) : path.resolve("outputs");
+/**
+ * One-line summary of posts dropped per filter, or null if none were.
+ */
+function describeFilterDrops(filterDrops) {
+  const drops = Object.entries(filterDrops);
+  if (drops.length === 0) return null;
+  const total = drops.reduce((sum, [, n]) => sum + n, 0);
+  return `filtered out ${total} post(s): ${drops.map(([f, n]) => `${f} ${n}`).join(", ")}`;
+}
+
+/**
+ * One-line summary of a redactor's stats, e.g. "redacted: author 40, email 2".
+ */
+function describeRedaction({ fired }) {
+  const rules = Object.entries(fired);
+  return rules.length > 0 ? `redacted: ${rules.map(([rule, n]) => `${rule} ${n}`).join(", ")}` : "redacted: nothing to redact";
+}
+
+/**
+ * One-line summary of a normaliser's stats, e.g.
+ * "normalised: entities 12, quotes 3; dropped 4 deleted, 1 removed comment(s)".
+ */
+function describeNormalization({ applied, dropped }) {
+  const steps = Object.entries(applied).map(([step, n]) => `${step} ${n}`);
+  const parts = [steps.length > 0 ? `normalised: ${steps.join(", ")}` : "normalised: nothing to change"];
+  if (dropped.deleted + dropped.removed > 0) {
+    parts.push(`dropped ${dropped.deleted} deleted, ${dropped.removed} removed comment(s)`);
+  }
+  return parts.join("; ");
+}
+
+/**
+ * One-line summary of near-duplicate clusters, e.g.
+ * "near-duplicates: 3 cluster(s), 5 post(s) marked duplicateOf".
+ */
+function describeNearDuplicates({ clusters, duplicates }) {
+  return `near-duplicates: ${clusters} cluster(s), ${duplicates} post(s) marked duplicateOf`;
+}
+
+/**
+ * Data source for a command: replayed from a cassette, or live (and recorded
+ * when --record is set). Rate-limit waits of a live source are shown on the
+ * running spinner.
+ */
+async function createSourceFromArgs(argv, logger) {
+  if (argv.replay) return createReplaySource(path.resolve(argv.replay));
+  const onProgress = (e) => {
+    if (e.type !== "ratelimit_wait") return;
+    logger.status(`Waiting ${Math.ceil(e.waitMs / 1000)}s for Reddit's rate limit…`);
+    const cause = e.reason === "budget" ? "request budget spent" : `HTTP ${e.statusCode ?? "error"}, retry ${e.attempt}/${e.maxRetries}`;
+    logger.debug(`${e.label ?? "request"}: ${cause}, waiting ${e.waitMs}ms (${e.reason})`);
+  };
+  const source = createRedditSource({
+    client: argv.client,
+    requestDelayMs: Number(argv.requestDelayMs) || 1100,
+    onProgress
+  });
+  return argv.record ? createRecordingSource(source, path.resolve(argv.record)) : source;
+}
+
+/**
+ * How a harvest output is labelled in logs and manifests.
+ */
+function outputLabel(output) {
+  return output.subreddit ? `r/${output.subreddit}` : output.user ? `u/${output.user}` : "threads";
+}
+
+/**
+ * "wrote <file> (N posts)", or "stored N posts" when posts only went to a store.
+ */
+function describeWritten(output, noun = "posts") {
+  return output.filePath ? `wrote ${output.filePath} (${output.postCount} ${noun})` : `stored ${output.postCount} ${noun}`;
+}
+
+// Content filters passed to the harvest as one `filters` object.
+const FILTER_OPTIONS = [
+  "includeKeywords",
+  "excludeKeywords",
+  "includeRegex",
+  "excludeRegex",
+  "includeFlair",
+  "excludeFlair",
+  "excludeNsfw",
+  "excludeSpoilers",
+  "excludeAuthors",
+  "skipBots",
+  "where"
+];
+
+// Options naming Reddit users. With --redact, run records name their
+// pseudonyms and the checkpoint leaves them out, so they are passed again to
+// resume the run.
+const USER_OPTIONS = ["users", "excludeAuthors"];
+
+// Harvest options recorded in a checkpoint so `--resume` can restore them.
+const RESUMABLE_OPTIONS = [
+  "subreddits",
+  "listing",
+  "time",
+  "limit",
+  "search",
+  "searchWindow",
+  "combine",
+  "nearDuplicates",
+  "minScore",
+  "minComments",
+  "after",
+  "before",
+  ...FILTER_OPTIONS,
+  "includeComments",
+  "commentLimit",
+  "commentDepth",
+  "format",
+  "csvComments",
+  "store",
+  "files",
+  "normalize",
+  "stripMarkdown",
+  "stripLinks",
+  "redact",
+  "dedupe",
+  "incremental",
+  "posts",
+  "users"
+];
+
+/**
+ * Resolve `--posts` to post IDs. Accepts a comma list of URLs/IDs or a path
+ * to a file with one URL/ID per line.
+ */
+async function readPostsArg(value) {
+  if (!value) return [];
+  const stat = await fs.stat(path.resolve(String(value))).catch(() => null);
+  if (stat?.isFile()) {
+    return normalizePostsArg(await fs.readFile(path.resolve(String(value)), "utf8"));
+  }
+  return normalizePostsArg(value);
+}
+
+/**
+ * Score, date and content filter options shared by harvest and import.
+ */
+const FILTER_OPTION_DEFS = {
+  minScore: { type: "number", describe: "Skip posts below this score" },
+  minComments: { type: "number", describe: "Skip posts with fewer comments" },
+  after: { type: "string", describe: "Only posts after this date (ISO format)" },
+  before: { type: "string", describe: "Only posts before this date (ISO format)" },
+  includeKeywords: { type: "string", describe: "Keep only posts mentioning any of these (comma-separated; title, body, comments)" },
+  excludeKeywords: { type: "string", describe: "Drop posts mentioning any of these (comma-separated)" },
+  includeRegex: { type: "string", describe: "Keep only posts matching this regex (/pattern/flags or case-insensitive pattern)" },
+  excludeRegex: { type: "string", describe: "Drop posts matching this regex" },
+  includeFlair: { type: "string", describe: "Keep only posts with one of these link flairs (comma-separated)" },
+  excludeFlair: { type: "string", describe: "Drop posts with one of these link flairs (comma-separated)" },
+  excludeNsfw: { type: "boolean", default: false, describe: "Drop NSFW posts" },
+  excludeSpoilers: { type: "boolean", default: false, describe: "Drop posts marked as spoilers" },
+  excludeAuthors: { type: "string", describe: "Drop posts and comments by these authors (comma-separated)" },
+  skipBots: { type: "boolean", default: true, describe: "Drop posts and comments by AutoModerator and known bots (--no-skipBots to keep)" },
+  where: { type: "string", describe: "Filter expression, e.g. \"score >= 20 && (flair == 'Question' || title ~ /pricing/i) && age < 30d\"" }
+};
+
+/**
+ * Text normalisation options shared by harvest, import and analyze.
+ */
+const NORMALIZE_OPTION_DEFS = {
+  normalize: {
+    type: "boolean",
+    default: false,
+    describe: "Clean post and comment text: decode entities, drop zero-width characters, [deleted]/[removed] comments and bot footers, collapse quotes"
+  },
+  stripMarkdown: { type: "boolean", default: false, describe: "Also strip Reddit markdown (implies --normalize)" },
+  stripLinks: { type: "boolean", default: false, describe: "Also replace links with their text or [link] (implies --normalize)" }
+};
+
+/**
+ * Text normaliser for --normalize, or null when it is off.
+ */
+function createNormalizerFromArgs(argv) {
+  if (!argv.normalize && !argv.stripMarkdown && !argv.stripLinks) return null;
+  return createNormalizer({ stripMarkdown: Boolean(argv.stripMarkdown), stripLinks: Boolean(argv.stripLinks) });
+}
+
+async function runHarvest(cliArgv) {
+  const logger = createLogger({ verbose: Boolean(cliArgv.verbose) });
+  const outDir = cliArgv.outDir ? path.resolve(cliArgv.outDir) : path.resolve("outputs");
   await ensureDir(outDir);
 
+  // Checkpoint: reopen the interrupted run, or start a new one
+  let argv = cliArgv;
+  let checkpoint = null;
+  if (cliArgv.resume) {
+    checkpoint = await createCheckpoint(outDir, { runId: String(cliArgv.resume), resume: true });
+    const { withheld = [], ...options } = checkpoint.options;
+    // Only subreddit harvests record their progress
+    if (options.posts || options.users || withheld.includes("users")) {
+      throw new Error(`Run ${checkpoint.runId} harvested --posts or --users, which cannot be resumed: start the harvest again`);
+    }
+    const missing = withheld.filter((k) => cliArgv[k] == null);
+    if (missing.length > 0) {
+      throw new Error(
+        `Run ${checkpoint.runId} was harvested with --redact, so its ${missing.map((k) => `--${k}`).join(" and ")} were not saved: pass them again to resume`
+      );
+    }
+    argv = { ...cliArgv, ...options };
+    logger.info(`Resuming run ${checkpoint.runId}`);
+  }
+
+  const subreddits = normalizeSubredditsArg(argv.subreddits);
+  const postIds = await readPostsArg(argv.posts);
+  const users = normalizeSubredditsArg(argv.users).map((u) => u.replace(/^\/?u\//i, ""));
+  if (subreddits.length === 0 && postIds.length === 0 && users.length === 0) {
+    throw new Error(`--subreddits, --posts or --users is required (e.g. "startups,Entrepreneur")`);
+  }
+  if (argv.where) compileWhere(argv.where);
+  const writeFiles = argv.files !== false;
+  if (!writeFiles && !argv.store) throw new Error(`--no-files needs --store, or the posts are not saved anywhere`);
+  if (!writeFiles && argv.combine) throw new Error(`--combine needs corpus files (drop --no-files)`);
+  if (argv.nearDuplicates && !argv.combine && !argv.analyze) {
+    throw new Error(`--nearDuplicates needs --combine or --analyze, which see all the harvested posts at once`);
+  }
+
+  if (!checkpoint) {
+    const options = Object.fromEntries(RESUMABLE_OPTIONS.map((k) => [k, cliArgv[k] ?? null]));
+    options.posts = postIds.join(",") || null;
+    if (cliArgv.redact) {
+      options.withheld = USER_OPTIONS.filter((k) => options[k] != null);
+      for (const k of USER_OPTIONS) delete options[k];
+    }
+    checkpoint = await createCheckpoint(outDir, { runId: nowTimestampForFiles(), options });
+    logger.info(
+      postIds.length > 0 || users.length > 0
+        ? `Run ${checkpoint.runId}`
+        : `Run ${checkpoint.runId} (continue with --resume ${checkpoint.runId} if interrupted)`
+    );
+  }
+
   // Handle --resetDedupe
   if (argv.resetDedupe) {
     await resetDedupeIndex(outDir);
     logger.success("Dedupe index reset");
   }
 
-  const reddit = createRedditClient({ requestDelayMs: Number(argv.requestDelayMs) || 1100 });
+  const source = await createSourceFromArgs(argv, logger);
+
+  const normalizer = createNormalizerFromArgs(argv);
+  const redactor = argv.redact ? createRedactor({ salt: await loadRedactionSalt(outDir) }) : null;
+  // Harvested and excluded usernames are identities too: the run's records name their pseudonyms
+  const recordedArgv = redactor
+    ? { ...argv, ...Object.fromEntries(USER_OPTIONS.filter((k) => argv[k] != null).map((k) => [k, redactor.redactUsernames(argv[k])])) }
+    : argv;
+
+  const store = argv.store ? await openStore(argv.store) : null;
+  store?.startRun({
+    runId: checkpoint.runId,
+    command: "harvest",
+    args: Object.fromEntries(RESUMABLE_OPTIONS.map((k) => [k, recordedArgv[k] ?? null]))
+  });
 
   const listing = argv.listing;
   const time = argv.time;
@@ -44,6 +308,11 @@ async function runHarvest(argv) {
   const commentLimit = Number(argv.commentLimit);
   const commentDepth = Number(argv.commentDepth);
   const format = argv.format || "txt";
+  const csvComments = Boolean(argv.csvComments);
+  const concurrency = Number(argv.concurrency ?? 1);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive integer (got ${argv.concurrency})`);
+  }
 
   // Filters
   const minScore = argv.minScore != null ? Number(argv.minScore) : null;
@@ -51,11 +320,30 @@ async function runHarvest(argv) {
   const after = argv.after || null;
   const before = argv.before || null;
   const search = argv.search || null;
+  const searchWindow = Boolean(argv.searchWindow);
+  const filters = Object.fromEntries(FILTER_OPTIONS.filter((k) => argv[k] != null).map((k) => [k, argv[k]]));
+
+  // With --combine, each source is written as JSONL and merged at the end
+  const combine = Boolean(argv.combine);
+  const sourceFormat = combine ? "jsonl" : format;
+  const manifest = createRunManifest({
+    runId: checkpoint.runId,
+    command: "harvest",
+    argv: recordedArgv,
+    filters: {
+      minScore,
+      minComments,
+      after,
+      before,
+      ...Object.fromEntries(FILTER_OPTIONS.filter((k) => recordedArgv[k] != null).map((k) => [k, recordedArgv[k]]))
+    }
+  });
 
-  // Dedupe
+  // Dedupe (incremental harvests keep their high-water marks in the same index)
+  const incremental = Boolean(argv.incremental);
   let dedupeIndex = null;
-  if (argv.dedupe) {
-    dedupeIndex = await createDedupeTracker(outDir);
+  if (argv.dedupe || incremental) {
+    dedupeIndex = await createDedupeTracker(outDir, { runId: checkpoint.runId });
     if (dedupeIndex.existingCount > 0) {
       logger.info(`Dedupe index loaded: ${dedupeIndex.existingCount} existing post(s)`);
     }
@@ -63,7 +351,14 @@ async function runHarvest(argv) {
 
   let activeSpinner = null;
   let activeSubreddit = null;
+  const filterDrops = {};
   const spinForSubreddit = (sr, text) => {
+    // Subreddits harvested side by side share one spinner showing the latest update
+    if (concurrency > 1) {
+      if (activeSpinner) activeSpinner.text = text;
+      else activeSpinner = logger.spinner(text).start();
+      return;
+    }
     if (!activeSpinner || activeSubreddit !== sr) {
       if (activeSpinner) activeSpinner.stop();
       activeSubreddit = sr;
@@ -74,28 +369,67 @@ async function runHarvest(argv) {
   };
 
   const result = await harvestSubredditsToFiles({
-    reddit,
+    source,
     subreddits,
     outDir,
     listing,
     time,
     limit,
     search,
+    searchWindow,
     minScore,
     minComments,
     after,
     before,
+    filters,
     includeComments,
     commentLimit,
     commentDepth,
     dedupeIndex,
-    format,
+    incremental,
+    checkpoint,
+    format: sourceFormat,
+    csvComments,
+    concurrency,
+    // Posts are streamed to their files; only analysis needs them in memory
+    keepPosts: Boolean(argv.analyze),
+    store,
+    writeFiles,
+    normalizer,
+    redactor,
     onProgress: (e) => {
+      if (e.subreddit) manifest.record(`r/${e.subreddit}`, e);
       if (e.type === "subreddit_start") {
         const mode = e.search ? `search: "${e.search}"` : `${e.listing}${e.listing === "top" ? `/${e.time}` : ""}`;
         spinForSubreddit(e.subreddit, `Fetching r/${e.subreddit} (${mode})…`);
         return;
       }
+      if (e.type === "checkpoint_skipped") {
+        logger.success(`r/${e.subreddit}: already harvested in this run (${e.filePath ?? "store"}, ${e.postCount} posts)`);
+        return;
+      }
+      if (e.type === "checkpoint_resumed") {
+        logger.info(`r/${e.subreddit}: resuming after ${e.posts} harvested post(s)`);
+        return;
+      }
+      if (e.type === "page_fetched") {
+        spinForSubreddit(e.subreddit, `r/${e.subreddit}: page ${e.page}, ${e.totalPosts} post(s) so far…`);
+        return;
+      }
+      if (e.type === "listing_ceiling") {
+        logger.warn(`r/${e.subreddit}: reached Reddit's ~${e.ceiling} item listing limit (${e.totalPosts} posts)`);
+        return;
+      }
+      if (e.type === "search_truncated") {
+        logger.warn(
+          `r/${e.subreddit}: search results stop at ${formatUnixDate(e.oldest)} (Reddit returns ~${e.cap} per query); older posts in the window were not reached`
+        );
+        return;
+      }
+      if (e.type === "incremental_stop") {
+        logger.debug(`r/${e.subreddit}: reached posts seen in an earlier run, stopped paging`);
+        return;
+      }
       if (e.type === "posts_fetched") {
         spinForSubreddit(e.subreddit, `r/${e.subreddit}: fetched ${e.totalPosts} post(s)…`);
         return;
@@ -108,6 +442,11 @@ async function runHarvest(argv) {
         logger.debug(`Skipped ${e.skipped} duplicate post(s) in r/${e.subreddit}`);
         return;
       }
+      if (e.type === "filter_dropped") {
+        const drops = (filterDrops[e.subreddit] ??= {});
+        drops[e.filter] = (drops[e.filter] ?? 0) + e.dropped;
+        return;
+      }
       if (e.type === "post_progress") {
         spinForSubreddit(e.subreddit, `r/${e.subreddit}: post ${e.index}/${e.total}${includeComments ? " (+comments)" : ""}`);
         logger.debug(`post ${e.index}/${e.total}: ${String(e.title || "").slice(0, 120)}`);
@@ -122,17 +461,109 @@ async function runHarvest(argv) {
         return;
       }
       if (e.type === "file_written") {
-        if (activeSpinner) {
-          activeSpinner.succeed(`r/${e.subreddit}: wrote ${e.filePath} (${e.postCount} posts)`);
+        const message = `r/${e.subreddit}: ${describeWritten(e)}`;
+        if (activeSpinner && concurrency > 1) {
+          // The next update from a subreddit still running starts a new spinner
+          activeSpinner.stop();
+          activeSpinner = null;
+          logger.success(message);
+        } else if (activeSpinner) {
+          activeSpinner.succeed(message);
           activeSpinner = null;
           activeSubreddit = null;
         } else {
-          logger.success(`r/${e.subreddit}: wrote ${e.filePath} (${e.postCount} posts)`);
+          logger.success(message);
         }
+        const summary = describeFilterDrops(filterDrops[e.subreddit] ?? {});
+        if (summary) logger.info(`  ${summary}`);
+        delete filterDrops[e.subreddit];
       }
     }
   });
 
+  if (postIds.length > 0) {
+    const postsSpinner = logger.spinner(`Fetching ${postIds.length} thread(s)…`).start();
+    const postsResult = await harvestPostsToFile({
+      source,
+      postIds,
+      outDir,
+      filters,
+      includeComments,
+      commentLimit,
+      commentDepth,
+      dedupeIndex,
+      format: sourceFormat,
+      csvComments,
+      timestamp: result.timestamp,
+      concurrency,
+      store,
+      writeFiles,
+      normalizer,
+      redactor,
+      onProgress: (e) => {
+        manifest.record("threads", e);
+        if (e.type === "post_progress") {
+          postsSpinner.text = `Thread ${e.index}/${e.total}: r/${e.subreddit}${includeComments ? " (+comments)" : ""}`;
+          logger.debug(`thread ${e.index}/${e.total}: ${String(e.title || "").slice(0, 120)}`);
+        } else if (e.type === "comments_expand_start") {
+          postsSpinner.text = `Thread ${e.index}/${e.total}: loading comments…`;
+        } else if (e.type === "post_fetch_error") {
+          logger.warn(`Could not fetch post ${e.postId}: ${e.error}`);
+        } else if (e.type === "dedupe_skipped") {
+          logger.debug(`Skipped ${e.skipped} duplicate thread(s)`);
+        }
+      }
+    });
+    postsSpinner.succeed(`Threads: ${describeWritten(postsResult.output)}`);
+    result.outputs.push(postsResult.output);
+    result.allPosts.push(...postsResult.posts);
+  }
+
+  if (users.length > 0) {
+    let usersSpinner = null;
+    let currentUser = null;
+    const usersResult = await harvestUsersToFiles({
+      source,
+      users,
+      outDir,
+      limit,
+      minScore,
+      minComments,
+      after,
+      before,
+      filters,
+      includeComments,
+      commentLimit,
+      commentDepth,
+      dedupeIndex,
+      format: sourceFormat,
+      csvComments,
+      timestamp: result.timestamp,
+      store,
+      writeFiles,
+      normalizer,
+      redactor,
+      onProgress: (e) => {
+        if (e.type === "user_start") currentUser = e.user;
+        const user = e.user ?? currentUser;
+        manifest.record(`u/${redactor ? redactor.pseudonym(user) : user}`, e);
+        if (e.type === "user_start") {
+          usersSpinner = logger.spinner(`Fetching u/${e.user} history…`).start();
+        } else if (e.type === "page_fetched") {
+          usersSpinner.text = `u/${e.user}: ${e.totalPosts} ${e.kind}(s) fetched…`;
+        } else if (e.type === "comments_expand_start") {
+          usersSpinner.text = `Submission ${e.index}/${e.total} in r/${e.subreddit}: loading comments…`;
+        } else if (e.type === "dedupe_skipped") {
+          logger.debug(`Skipped ${e.skipped} duplicate ${e.kind}(s) from u/${e.user}`);
+        } else if (e.type === "file_written") {
+          usersSpinner.succeed(`u/${e.user}: ${describeWritten(e, "records")}`);
+        }
+      }
+    });
+    result.outputs.push(...usersResult.outputs);
+    result.allPosts.push(...usersResult.allPosts);
+  }
+
   // Save dedupe index
   if (dedupeIndex) {
     await dedupeIndex.save();
@@ -141,11 +572,45 @@ async function runHarvest(argv) {
     }
   }
 
-  const totalPosts = result.outputs.reduce((sum, o) => sum + o.postCount, 0);
-  logger.success(`Wrote ${result.outputs.length} file(s) to ${outDir} (${totalPosts} total posts)`);
-  for (const o of result.outputs) {
-    logger.info(`  r/${o.subreddit}: ${o.filePath} (${o.postCount} posts, ${o.textLength} chars)`);
+  let combined = null;
+  if (combine) {
+    const parts = result.outputs.map(outputLabel);
+    combined = await combineCorpusFiles({
+      inputs: result.outputs.map((o) => o.filePath),
+      filePath: path.join(outDir, `${result.timestamp}-combined.${corpusExtension(format)}`),
+      format,
+      textOpts: { combined: parts, limit, includeComments, commentLimit, csvComments },
+      nearDuplicates: Boolean(argv.nearDuplicates)
+    });
+    combined.parts = parts;
+    for (const o of result.outputs) await fs.rm(o.filePath, { force: true });
+  }
+
+  const manifestFile = await manifest.write(outDir, {
+    outputs: combined ? [] : result.outputs,
+    combined,
+    normalization: normalizer?.stats() ?? null,
+    redaction: redactor?.stats() ?? null
+  });
+  store?.finishRun(checkpoint.runId, { manifestPath: manifestFile });
+  store?.close();
+  await checkpoint.remove();
+
+  const files = combined ? [{ ...combined, label: "combined" }] : result.outputs.map((o) => ({ ...o, label: outputLabel(o) }));
+  const totalPosts = files.reduce((sum, o) => sum + o.postCount, 0);
+  if (writeFiles) {
+    logger.success(`Wrote ${files.length} file(s) to ${outDir} (${totalPosts} total posts)`);
+    for (const o of files) {
+      logger.info(`  ${o.label}: ${o.filePath} (${o.postCount} posts, ${o.textLength} chars)`);
+    }
+  } else {
+    logger.success(`Stored ${totalPosts} post(s) from ${files.length} source(s)`);
   }
+  if (store) logger.info(`  store: ${store.path}`);
+  if (normalizer) logger.info(`  ${describeNormalization(normalizer.stats())}`);
+  if (redactor) logger.info(`  ${describeRedaction(redactor.stats())}`);
+  if (combined?.nearDuplicates) logger.info(`  ${describeNearDuplicates(combined.nearDuplicates)}`);
+  logger.info(`  manifest: ${manifestFile}`);
 
   if (argv.analyze) {
     const analyzeSpinner = logger.spinner("Preparing corpus for analysis…").start();
@@ -153,12 +618,18 @@ async function runHarvest(argv) {
     // Use structured posts for better analysis
     const analysisOpts = {
       posts: result.allPosts,
-      subreddits,
+      subreddits: [...new Set([...subreddits, ...result.allPosts.map((p) => p.subreddit)])],
       quoteFidelity: Boolean(argv.quoteFidelity),
       outDir,
       timestamp: result.timestamp,
+      corpusFiles: files.map((o) => o.filePath).filter(Boolean),
+      manifestPath: manifestFile,
+      redactor,
+      nearDuplicates: Boolean(argv.nearDuplicates),
       onProgress: (e) => {
-        if (e.type === "subreddit_analysis_start") {
+        if (e.type === "duplicates_collapsed") {
+          logger.info(`  ${describeNearDuplicates(e)}`);
+        } else if (e.type === "subreddit_analysis_start") {
           analyzeSpinner.text = `OpenAI: analyzing r/${e.subreddit}…`;
         } else if (e.type === "analyze_chunk_start") {
           analyzeSpinner.text = `OpenAI: chunk ${e.index}/${e.total}…`;
@@ -173,6 +644,12 @@ async function runHarvest(argv) {
     };
 
     const analysisResult = await analyzeCorpus(analysisOpts);
+    // Harvested posts are already normalised and redacted
+    await addManifestAnalysis(manifestFile, {
+      ...analysisResult,
+      normalization: normalizer?.stats() ?? null,
+      redaction: redactor?.stats() ?? null
+    });
 
     analyzeSpinner.succeed(`Analysis complete!`);
     logger.info(`  Analysis: ${analysisResult.analysisPath}`);
@@ -184,18 +661,32 @@ async function runHarvest(argv) {
 
 async function runAnalyze(argv) {
   const logger = createLogger({ verbose: Boolean(argv.verbose) });
-  if (!argv.input) throw new Error(`--input is required (path to a .txt or .jsonl corpus file)`);
+  if (!argv.input) throw new Error(`--input is required (path to a .txt or .jsonl corpus file, or a run manifest)`);
   const inputPath = path.resolve(argv.input);
   const outDir = argv.outDir ? path.resolve(argv.outDir) : path.resolve("outputs");
   const quoteFidelity = Boolean(argv.quoteFidelity);
 
+  if (argv.where) compileWhere(argv.where);
+  const normalizer = createNormalizerFromArgs(argv);
+  const redactor = argv.redact ? createRedactor({ salt: await loadRedactionSalt(outDir) }) : null;
+
   const sp = logger.spinner("Analyzing corpus with OpenAI…").start();
   const result = await analyzeFileToMarkdown({
     inputPath,
     outDir,
     quoteFidelity,
+    where: argv.where,
+    normalizer,
+    redactor,
+    nearDuplicates: Boolean(argv.nearDuplicates),
     onProgress: (e) => {
-      if (e.type === "analyze_chunk_start") {
+      if (e.type === "corpus_unparsed") {
+        logger.warn(`Could not parse ${e.file} as a reddit-harvest corpus (${e.error}); analyzing it as plain text`);
+      } else if (e.type === "filter_dropped") {
+        logger.info(`  --where kept ${e.kept} post(s), dropped ${e.dropped}`);
+      } else if (e.type === "duplicates_collapsed") {
+        logger.info(`  ${describeNearDuplicates(e)}`);
+      } else if (e.type === "analyze_chunk_start") {
         sp.text = `OpenAI: chunk ${e.index}/${e.total}…`;
       } else if (e.type === "analyze_synthesis_start") {
         sp.text = "OpenAI: synthesizing…";
@@ -212,13 +703,250 @@ async function runAnalyze(argv) {
   if (result.opportunitiesPath) {
     logger.info(`  Opportunities: ${result.opportunitiesPath}`);
   }
+  if (normalizer) logger.info(`  ${describeNormalization(normalizer.stats())}`);
+  if (redactor) logger.info(`  ${describeRedaction(redactor.stats())}`);
+  if (result.manifestPath) {
+    logger.info(`  Recorded in: ${result.manifestPath}`);
+  }
+}
+
+async function runImport(argv) {
+  const logger = createLogger({ verbose: Boolean(argv.verbose) });
+  const outDir = argv.outDir ? path.resolve(argv.outDir) : path.resolve("outputs");
+  const inputs = normalizeSubredditsArg(argv.input).map((f) => path.resolve(f));
+  if (inputs.length === 0) throw new Error(`--input is required (one or more ndjson dump files)`);
+  if (argv.where) compileWhere(argv.where);
+  await ensureDir(outDir);
+
+  const runId = nowTimestampForFiles();
+  let dedupeIndex = null;
+  if (argv.dedupe) {
+    dedupeIndex = await createDedupeTracker(outDir, { runId });
+    if (dedupeIndex.existingCount > 0) {
+      logger.info(`Dedupe index loaded: ${dedupeIndex.existingCount} existing post(s)`);
+    }
+  }
+
+  const normalizer = createNormalizerFromArgs(argv);
+  const redactor = argv.redact ? createRedactor({ salt: await loadRedactionSalt(outDir) }) : null;
+  const store = argv.store ? await openStore(argv.store) : null;
+  store?.startRun({ runId, command: "import", args: { input: argv.input, subreddits: argv.subreddits ?? null } });
+
+  const filterDrops = {};
+  const sp = logger.spinner("Importing dumps…").start();
+  const result = await importDumps({
+    inputs,
+    outDir,
+    subreddits: normalizeSubredditsArg(argv.subreddits),
+    minScore: argv.minScore != null ? Number(argv.minScore) : null,
+    minComments: argv.minComments != null ? Number(argv.minComments) : null,
+    after: argv.after || null,
+    before: argv.before || null,
+    filters: Object.fromEntries(FILTER_OPTIONS.filter((k) => argv[k] != null).map((k) => [k, argv[k]])),
+    includeComments: Boolean(argv.includeComments),
+    commentLimit: Number(argv.commentLimit),
+    commentDepth: Number(argv.commentDepth),
+    dedupeIndex,
+    format: argv.format || "txt",
+    csvComments: Boolean(argv.csvComments),
+    timestamp: runId,
+    store,
+    normalizer,
+    redactor,
+    keepPosts: false,
+    onProgress: (e) => {
+      if (e.type === "import_file_start") {
+        sp.text = `Reading ${e.pass} from ${path.basename(e.file)}…`;
+      } else if (e.type === "import_progress") {
+        sp.text = `${path.basename(e.file)}: ${e.lines.toLocaleString()} line(s)…`;
+      } else if (e.type === "import_parse_error") {
+        logger.debug(`${path.basename(e.file)}:${e.line}: skipped unparseable line (${e.error})`);
+      } else if (e.type === "filter_dropped") {
+        filterDrops[e.filter] = (filterDrops[e.filter] ?? 0) + e.dropped;
+      } else if (e.type === "dedupe_skipped") {
+        logger.debug(`Skipped ${e.skipped} duplicate post(s)`);
+      }
+    }
+  });
+
+  if (dedupeIndex) {
+    await dedupeIndex.save();
+    if (dedupeIndex.newCount > 0) {
+      logger.info(`Dedupe index updated: +${dedupeIndex.newCount} new post(s)`);
+    }
+  }
+
+  const totalPosts = result.outputs.reduce((sum, o) => sum + o.postCount, 0);
+  sp.succeed(`Wrote ${result.outputs.length} file(s) to ${outDir} (${totalPosts} total posts)`);
+  const summary = describeFilterDrops(filterDrops);
+  if (summary) logger.info(`  ${summary}`);
+  for (const o of result.outputs) {
+    logger.info(`  r/${o.subreddit}: ${o.filePath} (${o.postCount} posts, ${o.textLength} chars)`);
+  }
+  if (normalizer) logger.info(`  ${describeNormalization(normalizer.stats())}`);
+  if (redactor) logger.info(`  ${describeRedaction(redactor.stats())}`);
+  if (store) {
+    store.finishRun(runId);
+    store.close();
+    logger.info(`  store: ${store.path}`);
+  }
+}
+
+/**
+ * Parse repeated `--param name=value` options into named SQL parameters.
+ */
+function parseQueryParams(params = []) {
+  return Object.fromEntries(
+    [params].flat().map((param) => {
+      const eq = String(param).indexOf("=");
+      if (eq < 1) throw new Error(`--param must be name=value (got "${param}")`);
+      return [String(param).slice(0, eq), String(param).slice(eq + 1)];
+    })
+  );
+}
+
+async function runQuery(argv) {
+  const logger = createLogger({ verbose: Boolean(argv.verbose) });
+  const store = await openStore(argv.store);
+  try {
+    if (argv.list) {
+      const saved = store.savedQueries();
+      if (saved.length === 0) logger.info(`No saved queries in ${store.path} (save one with --save <name>)`);
+      for (const q of saved) logger.info(`${q.name}: ${q.sql.replaceAll(/\s+/g, " ")}`);
+      return;
+    }
+
+    const sql = argv.saved ? store.savedQuery(argv.saved) : argv.sql;
+    if (!sql) throw new Error(`Give the SQL to run, or --saved <name> (see --list)`);
+    const { columns, rows } = store.query(sql, parseQueryParams(argv.param));
+    const output = formatRows(columns, rows, argv.format);
+
+    // Results go to stdout unless --out is given, so keep notices off it
+    const notice = argv.out
+      ? logger.success
+      : (msg) => {
+          // eslint-disable-next-line no-console
+          console.error(msg);
+        };
+    if (argv.save) {
+      store.saveQuery(argv.save, sql);
+      notice(`Saved query "${argv.save}"`);
+    }
+    if (argv.out) {
+      await writeTextFile(path.resolve(argv.out), output);
+      notice(`Wrote ${rows.length} row(s) to ${path.resolve(argv.out)}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } finally {
+    store.close();
+  }
 }
 
 async function runExplore(argv) {
   const dir = argv.dir ? path.resolve(argv.dir) : path.resolve("outputs");
   const latest = Boolean(argv.latest);
+  const manifest = argv.manifest ? path.resolve(argv.manifest) : null;
 
-  await runExplorer({ dir, latest });
+  await runExplorer({ dir, latest, manifest });
+}
+
+async function runDedupe(argv) {
+  const logger = createLogger({ verbose: Boolean(argv.verbose) });
+  const outDir = argv.outDir ? path.resolve(argv.outDir) : path.resolve("outputs");
+
+  if (argv.action === "stats") {
+    const stats = await dedupeIndexStats(outDir);
+    if (stats.total === 0) {
+      logger.warn(`No indexed posts in ${outDir} (harvest with --dedupe first)`);
+      return;
+    }
+    logger.success(`${stats.total} indexed post(s) from ${stats.runs} run(s), ${stats.highWaterMarks} high-water mark(s)`);
+    for (const s of stats.subreddits) {
+      const span = s.oldest ? ` (${s.oldest.slice(0, 10)} to ${s.newest.slice(0, 10)})` : "";
+      logger.info(`  ${s.subreddit ? `r/${s.subreddit}` : "(no subreddit recorded)"}: ${s.count}${span}`);
+    }
+    const ages = Object.entries(stats.ages).filter(([, n]) => n > 0);
+    logger.info(`  ${ages.map(([bucket, n]) => `harvested ${bucket === "unknown" ? "at an unknown time" : `${bucket} ago`}: ${n}`).join(", ")}`);
+  } else if (argv.action === "prune") {
+    if (!argv.olderThan) throw new Error(`dedupe prune needs --olderThan, e.g. --olderThan 90d`);
+    const { removed, remaining, highWaterMarks } = await pruneDedupeIndex(outDir, { olderThan: parseDuration(argv.olderThan) });
+    logger.success(`Pruned ${removed} post(s) harvested over ${argv.olderThan} ago (${remaining} remain)`);
+    if (highWaterMarks > 0) logger.info(`  Reset ${highWaterMarks} --incremental high-water mark(s) of the pruned subreddits`);
+  } else if (argv.action === "forget") {
+    if (!argv.target) throw new Error(`dedupe forget needs a post ID, post URL or subreddit (e.g. r/startups)`);
+    const { kind, removed, highWaterMarks } = await forgetDedupeEntries(outDir, argv.target);
+    if (removed === 0 && highWaterMarks === 0) {
+      logger.warn(`Nothing indexed for ${argv.target}`);
+    } else if (kind === "post") {
+      logger.success(`Forgot post ${argv.target}`);
+    } else {
+      logger.success(`Forgot ${removed} post(s) and ${highWaterMarks} high-water mark(s) of ${argv.target}`);
+    }
+  } else if (argv.action === "export") {
+    const data = JSON.stringify(await exportDedupeIndex(outDir), null, 2) + "\n";
+    if (argv.target) {
+      await writeTextFile(path.resolve(argv.target), data);
+      logger.success(`Exported the dedupe index to ${path.resolve(argv.target)}`);
+    } else {
+      process.stdout.write(data);
+    }
+  } else {
+    if (!argv.target) throw new Error(`dedupe import needs the file written by "dedupe export"`);
+    const { added, total } = await importDedupeIndex(outDir, JSON.parse(await fs.readFile(path.resolve(argv.target), "utf8")));
+    logger.success(`Imported ${added} new post(s) into the dedupe index (${total} total)`);
+  }
+}
+
+async function runSnapshot(argv) {
+  const logger = createLogger({ verbose: Boolean(argv.verbose) });
+  const outDir = argv.outDir ? path.resolve(argv.outDir) : path.resolve("outputs");
+
+  // Comments from --users harvests share the index but have no thread to re-fetch
+  const postIds = await loadIndexedPostIds(outDir);
+  if (postIds.length === 0) {
+    throw new Error(`No indexed posts in ${outDir} (harvest with --dedupe first)`);
+  }
+
+  const source = await createSourceFromArgs(argv, logger);
+
+  const sp = logger.spinner(`Snapshotting ${postIds.length} post(s)…`).start();
+  const observations = await snapshotPosts({
+    source,
+    postIds,
+    onProgress: (e) => {
+      if (e.type === "snapshot_batch") sp.text = `Snapshot: ${e.done}/${e.total} post(s)…`;
+    }
+  });
+  await appendObservations(outDir, observations);
+
+  sp.succeed(`Recorded ${observations.length} observation(s) in ${outDir}`);
+  if (observations.length < postIds.length) {
+    logger.warn(`${postIds.length - observations.length} post(s) no longer available`);
+  }
+}
+
+async function runHistory(argv) {
+  const logger = createLogger({ verbose: Boolean(argv.verbose) });
+  const outDir = argv.outDir ? path.resolve(argv.outDir) : path.resolve("outputs");
+
+  const history = await loadHistory(outDir);
+  const ranked = rankTraction(history, { metric: argv.metric, top: Number(argv.top) });
+  if (ranked.length === 0) {
+    logger.warn(`No posts with two or more snapshots in ${outDir} (run "reddit-harvest snapshot" again later)`);
+    return;
+  }
+
+  const unit = argv.metric === "comments" ? "comments" : "score";
+  logger.success(`Fastest-growing threads by ${unit}/hour (${history.size} tracked)`);
+  for (const r of ranked) {
+    const first = r.latest.score - r.scoreDelta;
+    const firstComments = r.latest.numComments - r.commentsDelta;
+    logger.info(
+      `${r.perHour.toFixed(1).padStart(7)}/h  r/${r.subreddit}  ${r.title.slice(0, 80)}` +
+        ` (score ${first}→${r.latest.score}, comments ${firstComments}→${r.latest.numComments}, ${r.hours.toFixed(1)}h, id ${r.id})`
+    );
+  }
 }
 
 yargs(hideBin(process.argv))
@@ -228,23 +956,49 @@ yargs(hideBin(process.argv))
     "Download subreddit content and write corpus files",
     (y) =>
       y
-        .option("subreddits", { type: "string", demandOption: true, describe: "Comma-separated list, e.g. startups,Entrepreneur" })
+        .option("subreddits", { type: "string", describe: "Comma-separated list, e.g. startups,Entrepreneur (required unless --resume)" })
         .option("listing", { choices: ["hot", "new", "top"], default: "hot", describe: "Which listing to pull" })
         .option("time", { choices: ["hour", "day", "week", "month", "year", "all"], default: "week", describe: "Time range (top only)" })
-        .option("limit", { type: "number", default: 25, describe: "Posts per subreddit" })
+        .option("limit", { type: "number", default: 25, describe: "Posts per subreddit (paginates past 100; Reddit caps listings at ~1000)" })
         .option("search", { type: "string", describe: "Search query (uses Reddit search instead of listing)" })
-        .option("minScore", { type: "number", describe: "Skip posts below this score" })
-        .option("minComments", { type: "number", describe: "Skip posts with fewer comments" })
-        .option("after", { type: "string", describe: "Only posts after this date (ISO format)" })
-        .option("before", { type: "string", describe: "Only posts before this date (ISO format)" })
-        .option("includeComments", { type: "boolean", default: false, describe: "Include top-level comments" })
+        .option("searchWindow", { type: "boolean", default: false, describe: "Keep only search results created inside --after/--before; a sample, not exhaustive: Reddit returns only the ~250 newest matches" })
+        .option("posts", { type: "string", describe: "Specific threads: comma-separated URLs/IDs, or a file with one per line" })
+        .option("users", { type: "string", describe: "Comma-separated usernames whose submissions and comments to harvest" })
+        .options(FILTER_OPTION_DEFS)
+        .option("includeComments", { type: "boolean", default: false, describe: "Include comments" })
         .option("commentLimit", { type: "number", default: 50, describe: "Max comments per post (best-effort)" })
-        .option("commentDepth", { type: "number", default: 1, describe: "Reply depth when expanding comments" })
+        .option("commentDepth", { type: "number", default: 1, describe: "Comment tree depth to keep (1 = top-level only)" })
         .option("outDir", { type: "string", default: "outputs", describe: "Output directory" })
-        .option("format", { choices: ["txt", "jsonl"], default: "txt", describe: "Output format" })
+        .option("format", { choices: CORPUS_FORMATS, default: "txt", describe: "Output format" })
+        .option("csvComments", { type: "boolean", default: false, describe: "With --format csv, write one row per comment instead of per post" })
+        .option("store", { type: "string", describe: "Also upsert posts, comments and the run into a database, e.g. sqlite:research.db" })
+        .option("files", { type: "boolean", default: true, describe: "Write corpus files (--no-files with --store to write only to the database)" })
+        .options(NORMALIZE_OPTION_DEFS)
+        .option("redact", { type: "boolean", default: false, describe: "Pseudonymise authors and scrub emails, phone numbers, token URLs and u/ mentions" })
+        .option("combine", { type: "boolean", default: false, describe: "Write one merged corpus file instead of one per subreddit/user/thread list" })
+        .option("nearDuplicates", {
+          type: "boolean",
+          default: false,
+          describe: "Cluster reposted and crossposted content, marking all but the best-scoring post duplicateOf (with --combine or --analyze)"
+        })
         .option("dedupe", { type: "boolean", default: false, describe: "Skip previously harvested posts" })
+        .option("incremental", { type: "boolean", default: false, describe: "Only collect posts newer than the last run (implies --dedupe)" })
         .option("resetDedupe", { type: "boolean", default: false, describe: "Clear the dedupe index before harvesting" })
+        .option("resume", { type: "string", describe: "Resume an interrupted --subreddits run by its run ID (checkpoint in --outDir)" })
         .option("requestDelayMs", { type: "number", default: 1100, describe: "Delay between Reddit API requests (ms)" })
+        .option("concurrency", {
+          type: "number",
+          default: 1,
+          describe: "Subreddits (and comment threads within each) to harvest at once, under one shared request budget"
+        })
+        .option("client", {
+          choices: ["auto", "snoowrap", "oauth"],
+          default: "auto",
+          describe: "Reddit client: snoowrap, direct OAuth JSON API, or auto (OAuth app-only when no refresh token is set)"
+        })
+        .option("record", { type: "string", describe: "Save every Reddit response to this cassette directory" })
+        .option("replay", { type: "string", describe: "Serve Reddit responses from this cassette directory (no credentials needed)" })
+        .conflicts("record", "replay")
         .option("analyze", { type: "boolean", default: false, describe: "Run OpenAI synthesis after harvesting" })
         .option("quoteFidelity", { type: "boolean", default: false, describe: "Require supporting quotes for all claims" })
         .option("verbose", { type: "boolean", default: false, describe: "Verbose debug logging" }),
@@ -255,21 +1009,112 @@ yargs(hideBin(process.argv))
     "Run OpenAI analysis on an existing corpus file",
     (y) =>
       y
-        .option("input", { type: "string", demandOption: true, describe: "Path to a .txt or .jsonl corpus file" })
+        .option("input", {
+          type: "string",
+          demandOption: true,
+          describe: "Path to a corpus file (.txt, .jsonl, .csv or .md), or a <timestamp>-manifest.json to analyze that run's corpus"
+        })
+        .option("where", { type: "string", describe: "Only analyze posts matching this filter expression (.jsonl and .txt corpora)" })
+        .options(NORMALIZE_OPTION_DEFS)
+        .option("redact", { type: "boolean", default: false, describe: "Send OpenAI only pseudonymised, PII-scrubbed posts (.jsonl and .txt corpora)" })
+        .option("nearDuplicates", { type: "boolean", default: false, describe: "Analyze reposted and crossposted content once, as its best-scoring post" })
         .option("outDir", { type: "string", default: "outputs", describe: "Output directory" })
         .option("quoteFidelity", { type: "boolean", default: false, describe: "Require supporting quotes for all claims" })
         .option("verbose", { type: "boolean", default: false, describe: "Verbose debug logging" }),
     (argv) => runAnalyze(argv).catch(exitWithError)
   )
+  .command(
+    "import",
+    "Import Reddit archive dumps (ndjson) as corpus files",
+    (y) =>
+      y
+        .option("input", { type: "string", demandOption: true, describe: "Comma-separated ndjson dump files (plain or .gz) with submissions and/or comments" })
+        .option("subreddits", { type: "string", describe: "Only import these subreddits (comma-separated)" })
+        .options(FILTER_OPTION_DEFS)
+        .option("includeComments", { type: "boolean", default: false, describe: "Join comments to their submissions" })
+        .option("commentLimit", { type: "number", default: 50, describe: "Max top-level comments per post" })
+        .option("commentDepth", { type: "number", default: 1, describe: "Comment tree depth to keep (1 = top-level only)" })
+        .option("outDir", { type: "string", default: "outputs", describe: "Output directory" })
+        .option("format", { choices: CORPUS_FORMATS, default: "txt", describe: "Output format" })
+        .option("csvComments", { type: "boolean", default: false, describe: "With --format csv, write one row per comment instead of per post" })
+        .option("store", { type: "string", describe: "Also upsert imported posts and comments into a database, e.g. sqlite:research.db" })
+        .options(NORMALIZE_OPTION_DEFS)
+        .option("redact", { type: "boolean", default: false, describe: "Pseudonymise authors and scrub emails, phone numbers, token URLs and u/ mentions" })
+        .option("dedupe", { type: "boolean", default: false, describe: "Skip posts already in the dedupe index and add imported ones" })
+        .option("verbose", { type: "boolean", default: false, describe: "Verbose debug logging" }),
+    (argv) => runImport(argv).catch(exitWithError)
+  )
+  .command(
+    "query [sql]",
+    "Run ad-hoc or saved SQL against a corpus database",
+    (y) =>
+      y
+        .positional("sql", { type: "string", describe: "Read-only SQL, e.g. \"SELECT subreddit, COUNT(*) FROM posts GROUP BY 1\"" })
+        .option("store", { type: "string", demandOption: true, describe: "Database to query, e.g. sqlite:research.db" })
+        .option("saved", { type: "string", describe: "Run the saved query with this name" })
+        .option("save", { type: "string", describe: "Save the SQL under this name after it runs" })
+        .option("list", { type: "boolean", default: false, describe: "List saved queries" })
+        .option("param", { type: "string", array: true, describe: "Named parameter for @name placeholders, as name=value (repeatable)" })
+        .option("format", { choices: QUERY_FORMATS, default: "table", describe: "Output format" })
+        .option("out", { type: "string", describe: "Write results to this file instead of stdout" })
+        .conflicts("saved", "sql")
+        .option("verbose", { type: "boolean", default: false, describe: "Verbose debug logging" }),
+    (argv) => runQuery(argv).catch(exitWithError)
+  )
   .command(
     "explore",
     "Interactively browse analysis results",
     (y) =>
       y
         .option("dir", { type: "string", default: "outputs", describe: "Directory containing analysis files" })
-        .option("latest", { type: "boolean", default: false, describe: "Auto-select the most recent analysis" }),
+        .option("latest", { type: "boolean", default: false, describe: "Auto-select the most recent analysis" })
+        .option("manifest", { type: "string", describe: "Browse the analyses recorded in this run manifest" }),
     (argv) => runExplore(argv).catch(exitWithError)
   )
+  .command(
+    "dedupe <action> [target]",
+    "Inspect and manage the dedupe index (.harvest-index.json)",
+    (y) =>
+      y
+        .positional("action", {
+          choices: ["stats", "prune", "forget", "export", "import"],
+          describe: "stats: counts by subreddit and age; prune: drop old entries; forget: drop a post or subreddit; export/import: share the index"
+        })
+        .positional("target", { type: "string", describe: "forget: post ID, URL or r/subreddit; export/import: JSON file (export writes stdout without one)" })
+        .option("outDir", { type: "string", default: "outputs", describe: "Directory with the dedupe index" })
+        .option("olderThan", { type: "string", describe: "prune: drop posts harvested longer ago than this, e.g. 90d, 12w" })
+        .option("verbose", { type: "boolean", default: false, describe: "Verbose debug logging" }),
+    (argv) => runDedupe(argv).catch(exitWithError)
+  )
+  .command(
+    "snapshot",
+    "Re-fetch indexed posts and record their score and comment counts",
+    (y) =>
+      y
+        .option("outDir", { type: "string", default: "outputs", describe: "Directory with the dedupe index and history" })
+        .option("requestDelayMs", { type: "number", default: 1100, describe: "Delay between Reddit API requests (ms)" })
+        .option("client", {
+          choices: ["auto", "snoowrap", "oauth"],
+          default: "auto",
+          describe: "Reddit client: snoowrap, direct OAuth JSON API, or auto (OAuth app-only when no refresh token is set)"
+        })
+        .option("record", { type: "string", describe: "Save every Reddit response to this cassette directory" })
+        .option("replay", { type: "string", describe: "Serve Reddit responses from this cassette directory (no credentials needed)" })
+        .conflicts("record", "replay")
+        .option("verbose", { type: "boolean", default: false, describe: "Verbose debug logging" }),
+    (argv) => runSnapshot(argv).catch(exitWithError)
+  )
+  .command(
+    "history",
+    "Report which threads are gaining traction fastest across snapshots",
+    (y) =>
+      y
+        .option("outDir", { type: "string", default: "outputs", describe: "Directory with the history store" })
+        .option("metric", { choices: ["score", "comments"], default: "score", describe: "Growth to rank by" })
+        .option("top", { type: "number", default: 20, describe: "Number of threads to show" })
+        .option("verbose", { type: "boolean", default: false, describe: "Verbose debug logging" }),
+    (argv) => runHistory(argv).catch(exitWithError)
+  )
   .demandCommand(1)
   .help()
   .strict()
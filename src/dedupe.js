@@ -1,44 +1,99 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { parsePostId } from "./utils.js";
 
 const INDEX_FILENAME = ".harvest-index.json";
 
+// Upper bounds (in days) of the age buckets reported by dedupeIndexStats
+const AGE_BUCKETS = [
+  ["<1d", 1],
+  ["1-7d", 7],
+  ["7-30d", 30],
+  ["30-90d", 90],
+  ["90-365d", 365],
+  [">365d", Infinity]
+];
+
 /**
- * Load the dedupe index from disk.
- * Returns a Set of post IDs.
+ * Read the raw index file. Returns { posts, highWater } (empty if missing).
  */
-export async function loadDedupeIndex(outDir) {
+async function readIndexFile(outDir) {
   const indexPath = path.join(outDir, INDEX_FILENAME);
   try {
     const content = await fs.readFile(indexPath, "utf8");
     const data = JSON.parse(content);
-    return new Set(Object.keys(data.posts || {}));
+    return { posts: data.posts || {}, highWater: data.highWater || {} };
   } catch {
-    return new Set();
+    return { posts: {}, highWater: {} };
   }
 }
 
+async function writeIndexFile(outDir, { posts, highWater }) {
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(path.join(outDir, INDEX_FILENAME), JSON.stringify({ posts, highWater }, null, 2), "utf8");
+}
+
+/**
+ * Key for a high-water mark: the subreddit, plus the search query if any.
+ */
+export function highWaterKey(subreddit, search = null) {
+  const sr = String(subreddit).toLowerCase();
+  return search ? `${sr}?search=${search}` : sr;
+}
+
+/**
+ * Load the dedupe index from disk.
+ * Returns a Set of post IDs.
+ */
+export async function loadDedupeIndex(outDir) {
+  const { posts } = await readIndexFile(outDir);
+  return new Set(Object.keys(posts));
+}
+
+/**
+ * Load the IDs of indexed submissions, leaving out the comments a user
+ * harvest indexes. Entries saved before kinds were recorded count as
+ * submissions.
+ */
+export async function loadIndexedPostIds(outDir) {
+  const { posts } = await readIndexFile(outDir);
+  return Object.entries(posts)
+    .filter(([, entry]) => entry.kind !== "comment")
+    .map(([id]) => id);
+}
+
+/**
+ * Load the high-water marks (newest `created_utc` seen) from disk.
+ * Returns a Map keyed by `highWaterKey`.
+ */
+export async function loadHighWaterMarks(outDir) {
+  const { highWater } = await readIndexFile(outDir);
+  return new Map(Object.entries(highWater));
+}
+
 /**
  * Save the dedupe index to disk.
+ * `postIds` is a Set or array of IDs, or a Map from ID to that post's own
+ * metadata (e.g. `{ subreddit }`); `metadata` (e.g. `{ runId }`) is recorded
+ * for every post. High-water marks are merged with existing ones, keeping the
+ * newest.
  */
-export async function saveDedupeIndex(outDir, postIds, metadata = {}) {
-  const indexPath = path.join(outDir, INDEX_FILENAME);
+export async function saveDedupeIndex(outDir, postIds, metadata = {}, highWater = {}) {
+  const entries = postIds instanceof Map ? postIds : new Map([...postIds].map((id) => [id, {}]));
+  const harvestedAt = new Date().toISOString();
   const posts = {};
-  for (const id of postIds) {
-    posts[id] = { harvestedAt: new Date().toISOString(), ...metadata };
+  for (const [id, postMetadata] of entries) {
+    posts[id] = { harvestedAt, ...metadata, ...postMetadata };
   }
 
   // Merge with existing
-  let existing = {};
-  try {
-    const content = await fs.readFile(indexPath, "utf8");
-    existing = JSON.parse(content).posts || {};
-  } catch {
-    // No existing index
+  const existing = await readIndexFile(outDir);
+  const mergedHighWater = { ...existing.highWater };
+  for (const [key, createdUtc] of Object.entries(highWater)) {
+    mergedHighWater[key] = Math.max(mergedHighWater[key] ?? 0, createdUtc);
   }
 
-  const merged = { ...existing, ...posts };
-  await fs.writeFile(indexPath, JSON.stringify({ posts: merged }, null, 2), "utf8");
+  await writeIndexFile(outDir, { posts: { ...existing.posts, ...posts }, highWater: mergedHighWater });
 }
 
 /**
@@ -55,22 +110,37 @@ export async function resetDedupeIndex(outDir) {
 
 /**
  * Create a trackable dedupe index that can be used during harvesting.
- * Returns an object with Set-like interface plus save method.
+ * Returns an object with Set-like interface plus save method, and tracks the
+ * newest post seen per subreddit/query for incremental harvests. Entries are
+ * saved with their `kind` ("post", or "comment" for comments from a user's
+ * history), their subreddit (when `add` is given one) and the `runId`.
  */
-export async function createDedupeTracker(outDir) {
+export async function createDedupeTracker(outDir, { runId = null } = {}) {
   const existingIds = await loadDedupeIndex(outDir);
-  const newIds = new Set();
+  const highWaterMarks = await loadHighWaterMarks(outDir);
+  const newIds = new Map();
+  const newHighWater = {};
 
   return {
     has(id) {
       return existingIds.has(id);
     },
-    add(id) {
-      newIds.add(id);
+    add(id, { subreddit = null, kind = "post" } = {}) {
+      newIds.set(id, { kind, ...(subreddit ? { subreddit } : {}) });
+    },
+    highWaterFor(subreddit, search = null) {
+      return highWaterMarks.get(highWaterKey(subreddit, search)) ?? null;
+    },
+    updateHighWater(subreddit, search, createdUtc) {
+      const key = highWaterKey(subreddit, search);
+      if (createdUtc > (highWaterMarks.get(key) ?? 0)) {
+        highWaterMarks.set(key, createdUtc);
+        newHighWater[key] = createdUtc;
+      }
     },
     async save() {
-      if (newIds.size > 0) {
-        await saveDedupeIndex(outDir, newIds);
+      if (newIds.size > 0 || Object.keys(newHighWater).length > 0) {
+        await saveDedupeIndex(outDir, newIds, runId ? { runId } : {}, newHighWater);
       }
     },
     get newCount() {
@@ -82,3 +152,143 @@ export async function createDedupeTracker(outDir) {
   };
 }
 
+/**
+ * Summarise the dedupe index: posts per subreddit (with the oldest and newest
+ * `harvestedAt`), posts per age bucket, and the number of runs and high-water
+ * marks. Posts indexed before subreddits were recorded count under `null`.
+ */
+export async function dedupeIndexStats(outDir, { now = Date.now() } = {}) {
+  const { posts, highWater } = await readIndexFile(outDir);
+  const subreddits = new Map();
+  const ages = Object.fromEntries([...AGE_BUCKETS.map(([label]) => [label, 0]), ["unknown", 0]]);
+  const runs = new Set();
+
+  for (const entry of Object.values(posts)) {
+    const subreddit = entry.subreddit ?? null;
+    const key = subreddit?.toLowerCase() ?? null;
+    if (!subreddits.has(key)) subreddits.set(key, { subreddit, count: 0, oldest: null, newest: null });
+    const s = subreddits.get(key);
+    s.count += 1;
+
+    const harvestedAt = Date.parse(entry.harvestedAt);
+    if (Number.isNaN(harvestedAt)) {
+      ages.unknown += 1;
+    } else {
+      const days = (now - harvestedAt) / 86400000;
+      ages[AGE_BUCKETS.find(([, max]) => days < max)[0]] += 1;
+      if (!s.oldest || entry.harvestedAt < s.oldest) s.oldest = entry.harvestedAt;
+      if (!s.newest || entry.harvestedAt > s.newest) s.newest = entry.harvestedAt;
+    }
+    if (entry.runId) runs.add(entry.runId);
+  }
+
+  return {
+    total: Object.keys(posts).length,
+    subreddits: [...subreddits.values()].sort(
+      (a, b) => b.count - a.count || (a.subreddit === null) - (b.subreddit === null) || String(a.subreddit).localeCompare(String(b.subreddit))
+    ),
+    ages,
+    runs: runs.size,
+    highWaterMarks: Object.keys(highWater).length
+  };
+}
+
+// High-water marks other than those of the lowercased `subreddits` (plain
+// listings and searches alike)
+function withoutHighWater(highWater, subreddits) {
+  return Object.fromEntries(Object.entries(highWater).filter(([key]) => !subreddits.has(key.split("?")[0])));
+}
+
+/**
+ * Remove posts harvested more than `olderThan` seconds ago, so they can be
+ * harvested again. Posts without a `harvestedAt` are kept. The high-water
+ * marks of the subreddits that lost posts go too, or else `--incremental`
+ * would still skip them; a pruned post with no subreddit recorded clears
+ * every mark. Returns `{ removed, remaining, highWaterMarks }`.
+ */
+export async function pruneDedupeIndex(outDir, { olderThan, now = Date.now() }) {
+  if (!(olderThan > 0)) throw new Error(`olderThan must be a positive number of seconds (got ${olderThan})`);
+  const { posts, highWater } = await readIndexFile(outDir);
+  const cutoff = now - olderThan * 1000;
+  const kept = {};
+  const affected = new Set();
+  let unknownSubreddit = false;
+  for (const [id, entry] of Object.entries(posts)) {
+    if (!(Date.parse(entry.harvestedAt) < cutoff)) kept[id] = entry;
+    else if (entry.subreddit) affected.add(entry.subreddit.toLowerCase());
+    else unknownSubreddit = true;
+  }
+  const keptHighWater = unknownSubreddit ? {} : withoutHighWater(highWater, affected);
+
+  const removed = Object.keys(posts).length - Object.keys(kept).length;
+  const highWaterMarks = Object.keys(highWater).length - Object.keys(keptHighWater).length;
+  if (removed > 0) await writeIndexFile(outDir, { posts: kept, highWater: keptHighWater });
+  return { removed, remaining: Object.keys(kept).length, highWaterMarks };
+}
+
+/**
+ * Forget a post (by ID, fullname or URL) or a whole subreddit (`r/name`, or a
+ * bare name that is not an indexed post ID), so it is harvested again.
+ * Forgetting a subreddit also drops its high-water marks, so incremental runs
+ * start over. Returns `{ kind, removed, highWaterMarks }`.
+ */
+export async function forgetDedupeEntries(outDir, target) {
+  const { posts, highWater } = await readIndexFile(outDir);
+  const ref = String(target ?? "").trim();
+  const subredditMatch = ref.match(/^\/?r\/([A-Za-z0-9_]+)\/?$/);
+  const postId = subredditMatch ? null : parsePostId(ref);
+
+  if (postId && posts[postId]) {
+    const rest = { ...posts };
+    delete rest[postId];
+    await writeIndexFile(outDir, { posts: rest, highWater });
+    return { kind: "post", removed: 1, highWaterMarks: 0 };
+  }
+
+  const name = subredditMatch?.[1] ?? ref;
+  if (!/^[A-Za-z0-9_]+$/.test(name)) throw new Error(`Not a post ID, post URL or subreddit: ${ref}`);
+  const sr = name.toLowerCase();
+  const kept = Object.fromEntries(Object.entries(posts).filter(([, entry]) => entry.subreddit?.toLowerCase() !== sr));
+  const keptHighWater = withoutHighWater(highWater, new Set([sr]));
+
+  const removed = Object.keys(posts).length - Object.keys(kept).length;
+  const highWaterMarks = Object.keys(highWater).length - Object.keys(keptHighWater).length;
+  if (removed > 0 || highWaterMarks > 0) await writeIndexFile(outDir, { posts: kept, highWater: keptHighWater });
+  return { kind: "subreddit", removed, highWaterMarks };
+}
+
+/**
+ * The dedupe index as a shareable object, in the same shape as the index
+ * file plus `exportedAt`.
+ */
+export async function exportDedupeIndex(outDir) {
+  const { posts, highWater } = await readIndexFile(outDir);
+  return { exportedAt: new Date().toISOString(), posts, highWater };
+}
+
+/**
+ * Merge an exported index (see `exportDedupeIndex`) into this one. Posts
+ * already indexed keep their own metadata; high-water marks keep the newest.
+ * Returns `{ added, total }`.
+ */
+export async function importDedupeIndex(outDir, data) {
+  if (!data || typeof data.posts !== "object" || Array.isArray(data.posts)) {
+    throw new Error(`Not a reddit-harvest dedupe index export (no "posts" object)`);
+  }
+  const existing = await readIndexFile(outDir);
+  const posts = { ...existing.posts };
+  let added = 0;
+  for (const [id, entry] of Object.entries(data.posts)) {
+    if (posts[id]) continue;
+    posts[id] = entry && typeof entry === "object" ? entry : {};
+    added += 1;
+  }
+
+  const highWater = { ...existing.highWater };
+  for (const [key, createdUtc] of Object.entries(data.highWater ?? {})) {
+    if (typeof createdUtc === "number") highWater[key] = Math.max(highWater[key] ?? 0, createdUtc);
+  }
+
+  await writeIndexFile(outDir, { posts, highWater });
+  return { added, total: Object.keys(posts).length };
+}
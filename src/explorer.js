@@ -2,13 +2,46 @@ import fs from "node:fs/promises";
 import path from "node:path";
 import { select } from "@inquirer/prompts";
 import chalk from "chalk";
+import { loadManifest } from "./manifest.js";
+
+/**
+ * Map each analysis recorded in the directory's run manifests to the manifest
+ * and corpus files it came from.
+ */
+async function findManifestProvenance(dir, files) {
+  const provenance = new Map();
+  for (const file of files.filter((f) => f.endsWith("-manifest.json"))) {
+    const manifest = await loadManifest(path.join(dir, file)).catch(() => null);
+    for (const a of manifest?.analyses ?? []) {
+      provenance.set(a.analysisPath, { manifestPath: manifest.path, corpusFiles: manifest.corpusFiles });
+    }
+  }
+  return provenance;
+}
+
+/**
+ * Analyses recorded in a run manifest, newest first.
+ */
+export async function findManifestAnalyses(manifestPath) {
+  const manifest = await loadManifest(manifestPath);
+  return manifest.analyses
+    .map((a) => ({
+      timestamp: path.basename(a.analysisPath).replace("-analysis.md", ""),
+      analysisPath: a.analysisPath,
+      opportunitiesPath: a.opportunitiesPath,
+      manifestPath: manifest.path,
+      corpusFiles: manifest.corpusFiles
+    }))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
 
 /**
  * Find analysis files in a directory.
- * Returns array of { timestamp, analysisPath, opportunitiesPath, tagsPath }
+ * Returns array of { timestamp, analysisPath, opportunitiesPath, manifestPath?, corpusFiles? }
  */
 export async function findAnalysisFiles(dir) {
   const files = await fs.readdir(dir);
+  const provenance = await findManifestProvenance(dir, files);
 
   // Find all opportunities.json files and pair with analysis.md
   const analyses = [];
@@ -19,10 +52,12 @@ export async function findAnalysisFiles(dir) {
     const analysisFile = `${timestamp}-analysis.md`;
 
     if (files.includes(analysisFile)) {
+      const analysisPath = path.join(dir, analysisFile);
       analyses.push({
         timestamp,
-        analysisPath: path.join(dir, analysisFile),
-        opportunitiesPath: path.join(dir, oppFile)
+        analysisPath,
+        opportunitiesPath: path.join(dir, oppFile),
+        ...provenance.get(analysisPath)
       });
     }
   }
@@ -405,7 +440,14 @@ export async function explore(analysis) {
     const compCount = analysis.tags?.competitors?.length || 0;
 
     console.log(chalk.bold.green("\n🔍 Reddit Analysis Explorer\n"));
-    console.log(chalk.dim(`Analysis: ${analysis.timestamp}\n`));
+    console.log(chalk.dim(`Analysis: ${analysis.timestamp}`));
+    if (analysis.corpusFiles?.length) {
+      console.log(chalk.dim(`Corpus: ${analysis.corpusFiles.map((f) => path.basename(f)).join(", ")}`));
+    }
+    if (analysis.manifestPath) {
+      console.log(chalk.dim(`Manifest: ${path.basename(analysis.manifestPath)}`));
+    }
+    console.log("");
 
     const choice = await select({
       message: "What would you like to explore?",
@@ -440,14 +482,14 @@ export async function explore(analysis) {
 }
 
 /**
- * Run the explorer from a directory.
+ * Run the explorer from a directory, or from the analyses of a run manifest.
  * If latest is true, auto-selects the most recent analysis.
  */
-export async function runExplorer({ dir = "outputs", latest = false } = {}) {
-  const analyses = await findAnalysisFiles(dir);
+export async function runExplorer({ dir = "outputs", latest = false, manifest = null } = {}) {
+  const analyses = manifest ? await findManifestAnalyses(manifest) : await findAnalysisFiles(dir);
 
   if (analyses.length === 0) {
-    console.log(chalk.red(`\nNo analysis files found in ${dir}\n`));
+    console.log(chalk.red(`\nNo analysis files found in ${manifest ?? dir}\n`));
     console.log(chalk.dim("Run 'reddit-harvest harvest --analyze' first to generate analysis.\n"));
     return;
   }
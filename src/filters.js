@@ -0,0 +1,225 @@
+import { compileWhere } from "./where.js";
+
+/**
+ * Accounts skipped by default (`skipBots`). Compared case-insensitively.
+ */
+export const KNOWN_BOTS = [
+  "AutoModerator",
+  "RemindMeBot",
+  "sneakpeekbot",
+  "RepostSleuthBot",
+  "SaveVideo",
+  "WikiSummarizerBot",
+  "TweetLinkerBot",
+  "B0tRank",
+  "of_patrol_bot",
+  "VredditDownloader"
+];
+
+/**
+ * Parse a date string to Unix timestamp (seconds).
+ * Accepts ISO strings or Unix timestamps.
+ */
+export function parseDateToUnix(dateStr) {
+  if (!dateStr) return null;
+  const n = Number(dateStr);
+  if (!Number.isNaN(n) && n > 1e9 && n < 1e12) return n; // Already unix seconds
+  if (!Number.isNaN(n) && n > 1e12) return Math.floor(n / 1000); // Unix ms
+  const d = new Date(dateStr);
+  if (Number.isNaN(d.getTime())) return null;
+  return Math.floor(d.getTime() / 1000);
+}
+
+/**
+ * Compile a regex argument. Accepts `/pattern/flags` or a bare pattern,
+ * which is matched case-insensitively.
+ */
+export function toRegExp(pattern) {
+  const s = String(pattern);
+  const literal = s.match(/^\/(.+)\/([a-z]*)$/s);
+  try {
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(s, "i");
+  } catch (err) {
+    throw new Error(`Invalid regex ${s}: ${err.message}`);
+  }
+}
+
+function toList(value) {
+  if (value === null || value === undefined || value === "") return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function authorOf(p) {
+  return String(p.author?.name ?? p.author ?? "");
+}
+
+/**
+ * Searchable text of a post: title, body and (for harvested posts) every
+ * comment in the tree.
+ */
+function postText(p) {
+  const parts = [p.title, p.selftext ?? p.body];
+  const walk = (comments) => {
+    if (!Array.isArray(comments)) return;
+    for (const c of comments) {
+      parts.push(c.body);
+      walk(c.replies);
+    }
+  };
+  walk(p.comments);
+  return parts.filter(Boolean).join("\n");
+}
+
+/**
+ * Build the filter steps for a harvest. Each step is `{ name, test }`, named
+ * after the option that produced it.
+ *
+ * `pre` steps run on raw posts before comments are expanded. When comments are
+ * harvested, keyword and regex filters also need the comment text, so include
+ * filters move to the `post` steps (run on harvested posts) and exclude filters
+ * run in both. `isDeniedAuthor` tells whether a post or comment author is
+ * excluded (deny-list, and known bots unless `skipBots` is false).
+ *
+ * A `where` expression (see `compileWhere`) is evaluated on the shaped post, so
+ * it always runs in the `post` steps.
+ */
+export function createFilters(
+  {
+    minScore = null,
+    minComments = null,
+    after = null,
+    before = null,
+    includeKeywords,
+    excludeKeywords,
+    includeRegex,
+    excludeRegex,
+    includeFlair,
+    excludeFlair,
+    excludeNsfw = false,
+    excludeSpoilers = false,
+    excludeAuthors,
+    skipBots = true,
+    where
+  } = {},
+  { includeComments = false } = {}
+) {
+  const pre = [];
+  const post = [];
+
+  if (minScore != null && !Number.isNaN(minScore)) {
+    pre.push({ name: "minScore", test: (p) => (p.score ?? 0) >= minScore });
+  }
+
+  if (minComments != null && !Number.isNaN(minComments)) {
+    pre.push({ name: "minComments", test: (p) => (p.num_comments ?? p.numComments ?? 0) >= minComments });
+  }
+
+  const afterTs = parseDateToUnix(after);
+  if (afterTs != null) {
+    pre.push({ name: "after", test: (p) => (p.created_utc ?? 0) >= afterTs });
+  }
+
+  const beforeTs = parseDateToUnix(before);
+  if (beforeTs != null) {
+    pre.push({ name: "before", test: (p) => (p.created_utc ?? 0) <= beforeTs });
+  }
+
+  if (excludeNsfw) {
+    pre.push({ name: "excludeNsfw", test: (p) => !(p.over_18 ?? p.over18) });
+  }
+
+  if (excludeSpoilers) {
+    pre.push({ name: "excludeSpoilers", test: (p) => !p.spoiler });
+  }
+
+  const flairOf = (p) => String(p.link_flair_text ?? p.flair ?? "").toLowerCase();
+  const flairIn = toList(includeFlair).map((f) => f.toLowerCase());
+  if (flairIn.length > 0) {
+    pre.push({ name: "includeFlair", test: (p) => flairIn.includes(flairOf(p)) });
+  }
+  const flairOut = toList(excludeFlair).map((f) => f.toLowerCase());
+  if (flairOut.length > 0) {
+    pre.push({ name: "excludeFlair", test: (p) => !flairOut.includes(flairOf(p)) });
+  }
+
+  const deniedAuthors = new Set(toList(excludeAuthors).map((a) => a.toLowerCase()));
+  const bots = new Set(skipBots ? KNOWN_BOTS.map((a) => a.toLowerCase()) : []);
+  const isDeniedAuthor = (name) => {
+    const a = String(name ?? "").toLowerCase();
+    return deniedAuthors.has(a) || bots.has(a);
+  };
+  if (deniedAuthors.size > 0) {
+    pre.push({ name: "excludeAuthors", test: (p) => !deniedAuthors.has(authorOf(p).toLowerCase()) });
+  }
+  if (bots.size > 0) {
+    pre.push({ name: "skipBots", test: (p) => !bots.has(authorOf(p).toLowerCase()) });
+  }
+
+  const keywordsIn = toList(includeKeywords).map((k) => k.toLowerCase());
+  const keywordsOut = toList(excludeKeywords).map((k) => k.toLowerCase());
+  const regexIn = includeRegex ? toRegExp(includeRegex) : null;
+  const regexOut = excludeRegex ? toRegExp(excludeRegex) : null;
+  const matches = (re, text) => {
+    re.lastIndex = 0;
+    return re.test(text);
+  };
+
+  const includeSteps = [];
+  const excludeSteps = [];
+  if (keywordsIn.length > 0) {
+    includeSteps.push({
+      name: "includeKeywords",
+      test: (p) => {
+        const text = postText(p).toLowerCase();
+        return keywordsIn.some((k) => text.includes(k));
+      }
+    });
+  }
+  if (keywordsOut.length > 0) {
+    excludeSteps.push({
+      name: "excludeKeywords",
+      test: (p) => {
+        const text = postText(p).toLowerCase();
+        return !keywordsOut.some((k) => text.includes(k));
+      }
+    });
+  }
+  if (regexIn) {
+    includeSteps.push({ name: "includeRegex", test: (p) => matches(regexIn, postText(p)) });
+  }
+  if (regexOut) {
+    excludeSteps.push({ name: "excludeRegex", test: (p) => !matches(regexOut, postText(p)) });
+  }
+
+  if (includeComments) {
+    pre.push(...excludeSteps);
+    post.push(...includeSteps, ...excludeSteps);
+  } else {
+    pre.push(...includeSteps, ...excludeSteps);
+  }
+
+  if (where) {
+    post.push({ name: "where", test: compileWhere(where) });
+  }
+
+  return { pre, post, isDeniedAuthor };
+}
+
+/**
+ * Apply filter steps to posts array, calling `onDrop(name, dropped)` for each
+ * step that removed posts.
+ */
+export function applyFilters(posts, steps, onDrop) {
+  let filtered = posts;
+  for (const { name, test } of steps) {
+    const beforeCount = filtered.length;
+    filtered = filtered.filter(test);
+    if (filtered.length < beforeCount) {
+      onDrop?.(name, beforeCount - filtered.length);
+    }
+  }
+  return filtered;
+}
@@ -15,3 +15,251 @@ export function parseJSONL(content) {
     .map((line) => JSON.parse(line));
 }
 
+
+/**
+ * Corpus output formats, each written to a file with the same extension.
+ */
+export const CORPUS_FORMATS = ["txt", "jsonl", "csv", "md"];
+
+export function corpusExtension(format) {
+  return CORPUS_FORMATS.includes(format) ? format : "txt";
+}
+
+const CSV_POST_COLUMNS = [
+  ["id", (p) => p.id],
+  ["kind", (p) => p.kind ?? "post"],
+  ["subreddit", (p) => p.subreddit],
+  ["title", (p) => p.title],
+  ["author", (p) => p.author],
+  ["created", (p) => p.created],
+  ["score", (p) => p.score],
+  ["num_comments", (p) => p.numComments],
+  ["flair", (p) => p.flair],
+  ["upvote_ratio", (p) => p.upvoteRatio],
+  ["is_self", (p) => p.isSelf],
+  ["domain", (p) => p.domain],
+  ["over_18", (p) => p.over18],
+  ["crosspost_parent", (p) => p.crosspostParent],
+  ["edited", (p) => p.edited],
+  ["locked", (p) => p.locked],
+  ["removed", (p) => p.removed],
+  ["total_awards", (p) => p.totalAwards],
+  ["url", (p) => p.url],
+  ["permalink", (p) => p.permalink],
+  ["selftext", (p) => p.selftext],
+  ["comments_error", (p) => p.commentsError],
+  ["duplicate_of", (p) => p.duplicateOf]
+];
+
+const CSV_COMMENT_COLUMNS = [
+  ["post_id", ({ post }) => post.id],
+  ["subreddit", ({ post }) => post.subreddit],
+  ["post_title", ({ post }) => post.title],
+  ["post_permalink", ({ post }) => post.permalink],
+  ["comment_id", ({ comment }) => comment?.id],
+  ["parent_id", ({ comment }) => comment?.parentId],
+  ["depth", ({ comment }) => comment?.depth],
+  ["comment_path", ({ path }) => path],
+  ["author", ({ comment }) => comment?.author],
+  ["score", ({ comment }) => comment?.score],
+  ["created", ({ comment }) => comment?.created],
+  ["body", ({ comment }) => comment?.body]
+];
+
+/**
+ * Quote a CSV field when it holds a delimiter, quote, line break or edge
+ * whitespace (RFC 4180); quotes inside are doubled. Text starting with a
+ * character spreadsheets read as a formula (`=`, `+`, `-`, `@`, tab, CR) gets
+ * a leading `'`, so a Reddit title such as `=HYPERLINK(…)` stays text.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(s) || s !== s.trim() ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+function csvRow(cells) {
+  return cells.map(csvCell).join(",") + "\r\n";
+}
+
+/**
+ * Flatten a comment tree depth-first, labelling each comment with its position
+ * in the thread (2.1 is the first reply to the second top-level comment).
+ */
+function flattenComments(comments, prefix = "") {
+  return (comments ?? []).flatMap((comment, idx) => {
+    const path = `${prefix}${idx + 1}`;
+    return [{ comment, path }, ...flattenComments(comment.replies, `${path}.`)];
+  });
+}
+
+/**
+ * CSV header row: one column per post field, or per comment field with
+ * `comments`.
+ */
+export function formatCSVHeader({ comments = false } = {}) {
+  return csvRow((comments ? CSV_COMMENT_COLUMNS : CSV_POST_COLUMNS).map(([name]) => name));
+}
+
+/**
+ * CSV rows for one post: a single row, or with `comments` one row per comment
+ * (a post without comments still gets a row, with the comment fields empty).
+ */
+export function formatPostCSVRows(post, { comments = false } = {}) {
+  if (!comments) return csvRow(CSV_POST_COLUMNS.map(([, get]) => get(post)));
+
+  const rows = flattenComments(post.comments);
+  if (rows.length === 0) rows.push({ comment: null, path: null });
+  return rows.map((row) => csvRow(CSV_COMMENT_COLUMNS.map(([, get]) => get({ post, ...row })))).join("");
+}
+
+/**
+ * Format posts as CSV, one row per post, or one row per comment with
+ * `comments: true`. Rows end in CRLF so spreadsheets keep multiline bodies
+ * inside their cells.
+ */
+export function formatPostsToCSV(posts, { comments = false } = {}) {
+  return formatCSVHeader({ comments }) + posts.map((p) => formatPostCSVRows(p, { comments })).join("");
+}
+
+function escapeMarkdown(text) {
+  return String(text ?? "").replaceAll(/[\\`*_[\]<>]/g, "\\$&");
+}
+
+function redditUrl(permalink) {
+  if (!permalink) return "";
+  return permalink.startsWith("/") ? `https://www.reddit.com${permalink}` : permalink;
+}
+
+function describeMarkdownSource({ subreddit, listing, time, search, postIds, user, imported, combined }) {
+  if (combined) return { title: combined.join(", "), details: [] };
+  if (postIds) return { title: `${postIds.length} thread(s)`, details: [] };
+  if (user) return { title: `u/${user}`, details: [] };
+  if (imported) return { title: `r/${subreddit}`, details: [`imported from ${imported.join(", ")}`] };
+  return {
+    title: `r/${subreddit}`,
+    details: [search ? `search: "${search}"` : `listing: ${listing}${listing === "top" ? ` (${time})` : ""}`]
+  };
+}
+
+/**
+ * Markdown title block of a corpus holding `postCount` posts.
+ */
+export function formatMarkdownHeader(postCount, meta = {}) {
+  const { title, details } = describeMarkdownSource(meta);
+  return [
+    `# Reddit corpus: ${escapeMarkdown(title)}`,
+    ``,
+    `_${[`${postCount} post(s)`, ...details, `exported ${new Date().toISOString()}`].join(" · ")}_`,
+    ``
+  ].join("\n");
+}
+
+/**
+ * A quoted comment and its replies, nested one quote level per depth.
+ */
+function formatMarkdownComment(comment, level = 1) {
+  const quote = "> ".repeat(level);
+  const body = String(comment.body ?? "").replaceAll("\r\n", "\n").trim() || "_(empty)_";
+  return [
+    [
+      `${quote}**u/${escapeMarkdown(comment.author)}** · ${comment.score} points`,
+      quote.trimEnd(),
+      ...body.split("\n").map((line) => `${quote}${line}`.trimEnd())
+    ].join("\n"),
+    ...(comment.replies ?? []).map((reply) => formatMarkdownComment(reply, level + 1))
+  ].join("\n\n");
+}
+
+/**
+ * Markdown card for the post at `index` (0-based): linked title, details line,
+ * body and, when harvested, its comments as quotes.
+ */
+export function formatPostMarkdown(post, index, { includeComments = false } = {}) {
+  const title = post.kind === "comment" ? `Comment on “${post.title}”` : post.title;
+  const details = [
+    `r/${post.subreddit}`,
+    `u/${post.author}`,
+    `${post.score} points`,
+    ...(post.kind === "comment" ? [] : [`${post.numComments} comments`]),
+    post.created,
+    ...(post.flair ? [`flair: ${post.flair}`] : [])
+  ];
+
+  const lines = [
+    `---`,
+    ``,
+    `## ${index + 1}. [${escapeMarkdown(title)}](${redditUrl(post.permalink)})`,
+    ``,
+    escapeMarkdown(details.join(" · ")),
+    ``
+  ];
+  if (post.isSelf === false && post.url) lines.push(`Link: <${post.url}>`, ``);
+  lines.push(String(post.selftext ?? "").trim() || "_(no text)_", ``);
+
+  if (includeComments && post.kind !== "comment") {
+    if (post.commentsError) {
+      lines.push(`_Comments could not be loaded: ${escapeMarkdown(post.commentsError)}_`, ``);
+    } else if (post.comments?.length) {
+      lines.push(`### Comments`, ``, post.comments.map((c) => formatMarkdownComment(c)).join("\n\n"), ``);
+    } else {
+      lines.push(`_No comments._`, ``);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Format posts as a Markdown document of linked post cards with quoted
+ * comments, for reading or pasting into a notes tool.
+ */
+export function formatPostsToMarkdown(posts, meta = {}) {
+  return [formatMarkdownHeader(posts.length, meta), ...posts.map((p, i) => formatPostMarkdown(p, i, meta))].join("\n");
+}
+
+/**
+ * Output formats of the `query` command.
+ */
+export const QUERY_FORMATS = ["table", "csv", "jsonl"];
+
+function tableCell(value, maxWidth) {
+  const s = value === null || value === undefined ? "" : String(value).replaceAll(/\s+/g, " ");
+  return s.length > maxWidth ? `${s.slice(0, maxWidth - 1)}…` : s;
+}
+
+/**
+ * Format query results (column names and rows as arrays) as an aligned text
+ * table. Whitespace runs become single spaces and long cells are cut to
+ * `maxWidth` characters.
+ */
+export function formatRowsToTable(columns, rows, { maxWidth = 60 } = {}) {
+  const cells = [columns, ...rows].map((row) => row.map((v) => tableCell(v, maxWidth)));
+  const widths = columns.map((_, i) => Math.max(...cells.map((row) => row[i].length)));
+  const line = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+  const [header, ...body] = cells;
+  return [line(header), widths.map((w) => "-".repeat(w)).join("  "), ...body.map(line)].join("\n") + "\n";
+}
+
+/**
+ * Format query results as CSV, quoted like corpus CSV.
+ */
+export function formatRowsToCSV(columns, rows) {
+  return csvRow(columns) + rows.map(csvRow).join("");
+}
+
+/**
+ * Format query results as JSONL, one object per row keyed by column name.
+ */
+export function formatRowsToJSONL(columns, rows) {
+  return rows.map((row) => JSON.stringify(Object.fromEntries(columns.map((c, i) => [c, row[i]]))) + "\n").join("");
+}
+
+/**
+ * Format query results in one of QUERY_FORMATS.
+ */
+export function formatRows(columns, rows, format = "table") {
+  if (format === "csv") return formatRowsToCSV(columns, rows);
+  if (format === "jsonl") return formatRowsToJSONL(columns, rows);
+  return formatRowsToTable(columns, rows);
+}
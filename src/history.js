@@ -0,0 +1,105 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseJSONL } from "./formatters.js";
+import { toSource } from "./sources.js";
+
+const HISTORY_FILENAME = ".harvest-history.jsonl";
+
+// /api/info accepts up to 100 fullnames per request.
+const SNAPSHOT_BATCH_SIZE = 100;
+
+/**
+ * Load all observations from the history store.
+ * Returns a Map of post ID → observations sorted oldest first.
+ */
+export async function loadHistory(outDir) {
+  const historyPath = path.join(outDir, HISTORY_FILENAME);
+  let observations;
+  try {
+    observations = parseJSONL(await fs.readFile(historyPath, "utf8"));
+  } catch {
+    return new Map();
+  }
+
+  const byPost = new Map();
+  for (const o of observations) {
+    if (!byPost.has(o.id)) byPost.set(o.id, []);
+    byPost.get(o.id).push(o);
+  }
+  for (const list of byPost.values()) {
+    list.sort((a, b) => a.observedAt.localeCompare(b.observedAt));
+  }
+  return byPost;
+}
+
+/**
+ * Append observations to the history store.
+ */
+export async function appendObservations(outDir, observations) {
+  if (observations.length === 0) return;
+  const historyPath = path.join(outDir, HISTORY_FILENAME);
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.appendFile(historyPath, observations.map((o) => JSON.stringify(o)).join("\n") + "\n", "utf8");
+}
+
+/**
+ * Re-fetch posts by ID and return a time-stamped observation of each.
+ * Posts are looked up in batches; posts Reddit no longer returns are skipped.
+ */
+export async function snapshotPosts({ source, reddit, postIds, observedAt = new Date().toISOString(), onProgress }) {
+  const src = toSource(source ?? reddit);
+  const observations = [];
+
+  for (let i = 0; i < postIds.length; i += SNAPSHOT_BATCH_SIZE) {
+    const batch = postIds.slice(i, i + SNAPSHOT_BATCH_SIZE);
+    const posts = await src.info(batch.map((id) => `t3_${id}`));
+
+    for (const p of posts) {
+      observations.push({
+        id: String(p.id),
+        subreddit: String(p.subreddit?.display_name ?? p.subreddit ?? ""),
+        title: String(p.title ?? ""),
+        observedAt,
+        score: p.score ?? 0,
+        numComments: p.num_comments ?? 0,
+        upvoteRatio: p.upvote_ratio ?? null
+      });
+    }
+
+    onProgress?.({ type: "snapshot_batch", done: Math.min(i + batch.length, postIds.length), total: postIds.length });
+  }
+
+  return observations;
+}
+
+/**
+ * Rank posts by how fast they gained score and comments between their first
+ * and latest observation. Posts observed only once are left out.
+ */
+export function rankTraction(history, { metric = "score", top = 20 } = {}) {
+  const field = metric === "comments" ? "numComments" : "score";
+  const ranked = [];
+
+  for (const [id, observations] of history) {
+    if (observations.length < 2) continue;
+    const first = observations[0];
+    const last = observations[observations.length - 1];
+    const hours = (Date.parse(last.observedAt) - Date.parse(first.observedAt)) / 3_600_000;
+    if (hours <= 0) continue;
+
+    ranked.push({
+      id,
+      subreddit: last.subreddit,
+      title: last.title,
+      observations: observations.length,
+      hours,
+      scoreDelta: last.score - first.score,
+      commentsDelta: last.numComments - first.numComments,
+      perHour: (last[field] - first[field]) / hours,
+      latest: last
+    });
+  }
+
+  ranked.sort((a, b) => b.perHour - a.perHour);
+  return ranked.slice(0, top);
+}
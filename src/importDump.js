@@ -0,0 +1,232 @@
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import zlib from "node:zlib";
+import { ensureDir, nowTimestampForFiles, sanitizeForFilename } from "./utils.js";
+import { createFilters, applyFilters } from "./filters.js";
+import { shapePost, shapeCommentTree, createCorpusWriter } from "./redditHarvest.js";
+import { corpusExtension } from "./formatters.js";
+
+// Report reading progress every this many lines.
+const PROGRESS_EVERY = 10_000;
+
+/**
+ * Stream the JSON records of an ndjson dump (optionally gzipped), one per
+ * line. Lines that fail to parse are reported and skipped.
+ */
+export async function* readDumpRecords(filePath, { onProgress } = {}) {
+  if (/\.(zst|xz|bz2)$/.test(filePath)) {
+    throw new Error(`Cannot read ${filePath}: decompress it first (only plain and .gz ndjson are supported)`);
+  }
+
+  let stream = fs.createReadStream(filePath);
+  if (filePath.endsWith(".gz")) stream = stream.pipe(zlib.createGunzip());
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (lineNumber % PROGRESS_EVERY === 0) onProgress?.({ type: "import_progress", file: filePath, lines: lineNumber });
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      onProgress?.({ type: "import_parse_error", file: filePath, line: lineNumber, error: err.message });
+      continue;
+    }
+    yield record;
+  }
+}
+
+/**
+ * Comments carry the submission they belong to in `link_id`; submissions don't.
+ */
+function isComment(record) {
+  return typeof record.link_id === "string";
+}
+
+/**
+ * Nest a submission's flat dump comments into reply trees, best first.
+ */
+function buildCommentTree(linkId, comments) {
+  const byScore = (a, b) => (b.score ?? 0) - (a.score ?? 0);
+  const children = new Map();
+  for (const c of comments) {
+    const parent = c.parent_id ?? linkId;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(c);
+  }
+
+  const attach = (c) => ({ ...c, replies: (children.get(`t1_${c.id}`) ?? []).sort(byScore).map(attach) });
+  return (children.get(linkId) ?? []).sort(byScore).map(attach);
+}
+
+/**
+ * JSONL records of a spool file, one per line.
+ */
+async function* readSpool(spoolPath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(spoolPath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line) yield JSON.parse(line);
+  }
+}
+
+/**
+ * Import Reddit dump files (ndjson, one submission or comment per line) into
+ * post records shaped like harvested ones, one corpus file per subreddit.
+ *
+ * Submissions are read in a first pass and run through the usual filters and
+ * dedupe index; the kept ones are spooled to `<outDir>/<timestamp>-import*.partial`
+ * files rather than held in memory. With `includeComments`, a second pass
+ * joins comments to the kept submissions by `link_id`, so dumps can be split
+ * across files in any order; those comments stay in memory until their post
+ * is finished. Finished posts are spooled again, and each subreddit's corpus
+ * is then written newest first through `createCorpusWriter`, one post at a
+ * time. Besides the comments, memory holds only each kept post's ID and
+ * where its spooled line is.
+ *
+ * Pass `keepPosts: false` to leave `allPosts` empty rather than holding every
+ * imported post in memory.
+ *
+ * A `store` (see `openStore`) also receives the imported posts, linked to the
+ * run `timestamp`. A `normalizer` (see `normalize.js`) and then a `redactor`
+ * (see `redact.js`) are applied to every kept post before it is written or
+ * stored.
+ */
+export async function importDumps({
+  inputs,
+  outDir,
+  subreddits = null,
+  minScore = null,
+  minComments = null,
+  after = null,
+  before = null,
+  filters = {},
+  includeComments = false,
+  commentLimit = 50,
+  commentDepth = 1,
+  dedupeIndex = null,
+  format = "txt",
+  csvComments = false,
+  timestamp = null,
+  store = null,
+  normalizer = null,
+  redactor = null,
+  keepPosts = true,
+  onProgress
+}) {
+  const ts = timestamp ?? nowTimestampForFiles();
+  const wanted = subreddits?.length ? new Set(subreddits.map((s) => s.toLowerCase())) : null;
+  const filterSteps = createFilters({ minScore, minComments, after, before, ...filters }, { includeComments });
+  const onDrop = (filter, dropped) => onProgress?.({ type: "filter_dropped", filter, dropped });
+
+  await ensureDir(outDir);
+  const submissionsSpool = path.join(outDir, `${ts}-import-submissions.partial`);
+  const postsSpool = path.join(outDir, `${ts}-import-posts.partial`);
+
+  try {
+    // Pass 1: submissions, spooled; kept IDs map to their comments
+    const kept = new Map();
+    let skipped = 0;
+    const submissionsOut = await fs.promises.open(submissionsSpool, "w");
+    try {
+      for (const file of inputs) {
+        onProgress?.({ type: "import_file_start", file, pass: "submissions" });
+        for await (const record of readDumpRecords(file, { onProgress })) {
+          if (isComment(record) || !record.id) continue;
+          const subreddit = String(record.subreddit ?? "");
+          if (wanted && !wanted.has(subreddit.toLowerCase())) continue;
+          if (applyFilters([record], filterSteps.pre, onDrop).length === 0) continue;
+          if (dedupeIndex?.has(String(record.id)) || kept.has(String(record.id))) {
+            skipped += 1;
+            continue;
+          }
+          kept.set(String(record.id), []);
+          await submissionsOut.write(JSON.stringify(shapePost(record, subreddit)) + "\n");
+        }
+      }
+    } finally {
+      await submissionsOut.close();
+    }
+    if (skipped > 0) onProgress?.({ type: "dedupe_skipped", skipped });
+
+    // Pass 2: comments of kept submissions
+    if (includeComments && kept.size > 0) {
+      for (const file of inputs) {
+        onProgress?.({ type: "import_file_start", file, pass: "comments" });
+        for await (const record of readDumpRecords(file, { onProgress })) {
+          if (!isComment(record)) continue;
+          const { id, parent_id, author, score, body, created_utc } = record;
+          kept.get(record.link_id.replace(/^t3_/, ""))?.push({ id, parent_id, author, score, body, created_utc });
+        }
+      }
+    }
+
+    // Finish each post and spool it again, remembering where its line is
+    const bySubreddit = new Map();
+    const postsOut = await fs.promises.open(postsSpool, "w");
+    try {
+      let offset = 0;
+      for await (const post of readSpool(submissionsSpool)) {
+        if (includeComments) {
+          post.comments = shapeCommentTree(buildCommentTree(`t3_${post.id}`, kept.get(post.id)), {
+            commentLimit,
+            commentDepth,
+            isDeniedAuthor: filterSteps.isDeniedAuthor
+          });
+        }
+        kept.delete(post.id);
+
+        // Filters that need the shaped post or its comment text
+        if (applyFilters([post], filterSteps.post, onDrop).length === 0) continue;
+
+        dedupeIndex?.add(post.id, { subreddit: post.subreddit });
+        const normalized = normalizer ? normalizer.normalizePost(post) : post;
+        const finished = redactor ? redactor.redactPost(normalized) : normalized;
+        store?.addPosts([finished], { runId: ts });
+
+        const line = JSON.stringify(finished) + "\n";
+        await postsOut.write(line);
+        const length = Buffer.byteLength(line);
+        if (!bySubreddit.has(post.subreddit)) bySubreddit.set(post.subreddit, []);
+        bySubreddit.get(post.subreddit).push({ created: finished.created, offset, length });
+        offset += length;
+      }
+    } finally {
+      await postsOut.close();
+    }
+
+    const imported = inputs.map((f) => path.basename(f));
+    const outputs = [];
+    const allPosts = [];
+    const postsIn = await fs.promises.open(postsSpool, "r");
+    try {
+      for (const [subreddit, lines] of [...bySubreddit].sort(([a], [b]) => a.localeCompare(b))) {
+        // Newest first, like a "new" listing
+        lines.sort((a, b) => b.created.localeCompare(a.created));
+        const filePath = path.join(outDir, `${ts}-r_${sanitizeForFilename(subreddit)}.${corpusExtension(format)}`);
+        const writer = await createCorpusWriter(filePath, format, { subreddit, imported, includeComments, commentLimit, csvComments });
+        for (const { offset, length } of lines) {
+          const buffer = Buffer.alloc(length);
+          await postsIn.read(buffer, 0, length, offset);
+          const post = JSON.parse(buffer.toString("utf8"));
+          await writer.write(post);
+          if (keepPosts) allPosts.push(post);
+        }
+        const output = { subreddit, ...(await writer.close()) };
+        outputs.push(output);
+        onProgress?.({ type: "file_written", ...output });
+      }
+    } finally {
+      await postsIn.close();
+    }
+
+    return { timestamp: ts, outputs, allPosts };
+  } finally {
+    await fs.promises.rm(submissionsSpool, { force: true });
+    await fs.promises.rm(postsSpool, { force: true });
+  }
+}
@@ -1,30 +1,95 @@
 export { loadEnv } from "./env.js";
-export { createRedditClient, withRetry } from "./redditClient.js";
+export { createRedditClient, createRedditSource, withRetry } from "./redditClient.js";
+export { createSnoowrapSource, toSource, SOURCE_METHODS } from "./sources.js";
+export { createOAuthSource } from "./redditOAuth.js";
+export { createScheduler, createScheduledSource, parseRateLimitHeaders, retryAfterMs } from "./scheduler.js";
+export { createRecordingSource, createReplaySource } from "./cassette.js";
 export {
   harvestSubreddit,
+  harvestSubredditStream,
   harvestSubredditToText,
   harvestSubredditsToFiles,
-  formatPostsToText
+  harvestPosts,
+  harvestPostsToFile,
+  harvestUser,
+  harvestUsersToFiles,
+  formatPostsToText,
+  parseTextCorpus,
+  createCorpusWriter,
+  combineCorpusFiles,
+  shapePost,
+  shapeCommentTree
 } from "./redditHarvest.js";
+export { importDumps, readDumpRecords } from "./importDump.js";
 export {
   createOpenAIClient,
   analyzeCorpus,
   analyzeCorpusTextToMarkdown,
-  analyzeFileToMarkdown
+  analyzeFileToMarkdown,
+  postsToText
 } from "./openaiAnalyze.js";
-export { formatPostsToJSONL, parseJSONL } from "./formatters.js";
+export {
+  formatPostsToJSONL,
+  parseJSONL,
+  formatPostsToCSV,
+  formatPostsToMarkdown,
+  formatRows,
+  CORPUS_FORMATS,
+  QUERY_FORMATS
+} from "./formatters.js";
+export { openStore, openSqliteStore, parseStoreSpec } from "./store.js";
+export { createRedactor, loadRedactionSalt, REDACTION_RULES } from "./redact.js";
+export { createNormalizer, NORMALIZE_STEPS } from "./normalize.js";
+export { markDuplicates, findDuplicateClusters, describePost } from "./nearDuplicates.js";
+export {
+  createFilters,
+  applyFilters,
+  parseDateToUnix,
+  toRegExp,
+  KNOWN_BOTS
+} from "./filters.js";
+export { compileWhere, parseDuration, WHERE_FIELDS } from "./where.js";
 export {
   loadDedupeIndex,
+  loadIndexedPostIds,
   saveDedupeIndex,
   resetDedupeIndex,
-  createDedupeTracker
+  createDedupeTracker,
+  loadHighWaterMarks,
+  highWaterKey,
+  dedupeIndexStats,
+  pruneDedupeIndex,
+  forgetDedupeEntries,
+  exportDedupeIndex,
+  importDedupeIndex
 } from "./dedupe.js";
+export {
+  loadHistory,
+  appendObservations,
+  snapshotPosts,
+  rankTraction
+} from "./history.js";
+export {
+  loadCheckpoint,
+  readCheckpointPosts,
+  removeCheckpoint,
+  createCheckpoint
+} from "./checkpoint.js";
+export {
+  createRunManifest,
+  loadManifest,
+  addManifestAnalysis,
+  manifestPath,
+  readToolInfo
+} from "./manifest.js";
 export {
   nowTimestampForFiles,
   ensureDir,
   sanitizeForFilename,
   chunkStringBySize,
   normalizeSubredditsArg,
+  parsePostId,
+  normalizePostsArg,
   writeTextFile
 } from "./utils.js";
 export {
@@ -39,6 +104,7 @@ export {
 } from "./schemas.js";
 export {
   findAnalysisFiles,
+  findManifestAnalyses,
   loadAnalysis,
   explore,
   runExplorer
@@ -13,6 +13,9 @@ export function createLogger({ verbose = false } = {}) {
     console.log(line);
   }
 
+  // Most recently created spinner, for status updates that don't own one
+  let current = null;
+
   return {
     verbose,
     info: (msg) => log(`${prefix} ${chalk.cyan("info")}  ${msg}`),
@@ -23,12 +26,19 @@ export function createLogger({ verbose = false } = {}) {
       if (!verbose) return;
       log(`${prefix} ${chalk.magenta("debug")} ${chalk.dim(msg)}`);
     },
-    spinner: (text) =>
-      ora({
+    spinner: (text) => {
+      current = ora({
         text,
         spinner: "dots",
         color: "cyan"
-      })
+      });
+      return current;
+    },
+    // Show a transient status on the running spinner, or log it if none is
+    status: (msg) => {
+      if (current?.isSpinning) current.text = msg;
+      else log(`${prefix} ${chalk.cyan("info")}  ${msg}`);
+    }
   };
 }
 
@@ -0,0 +1,184 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const MANIFEST_VERSION = 1;
+
+export function manifestPath(outDir, runId) {
+  return path.join(outDir, `${runId}-manifest.json`);
+}
+
+export function isManifestPath(filePath) {
+  return String(filePath).endsWith("-manifest.json");
+}
+
+/**
+ * Name and version of this tool, from its package.json.
+ */
+export async function readToolInfo() {
+  const pkg = JSON.parse(await fs.readFile(new URL("../package.json", import.meta.url), "utf8"));
+  return { name: pkg.name, version: pkg.version };
+}
+
+/**
+ * CLI arguments worth keeping: no yargs internals or kebab-case duplicates.
+ */
+function cleanArgs(argv) {
+  return Object.fromEntries(
+    Object.entries(argv).filter(([key, value]) => key !== "_" && key !== "$0" && !key.includes("-") && value !== undefined)
+  );
+}
+
+// Paths in a manifest are relative to it, so a run directory can be moved
+const relativeTo = (dir, filePath) => (filePath ? path.relative(dir, filePath) : null);
+const resolveFrom = (dir, filePath) => (filePath ? path.resolve(dir, filePath) : null);
+
+/**
+ * Collect what a harvest run did into a manifest.
+ *
+ * Progress events are recorded per source, a label such as "r/startups",
+ * "u/spez" or "threads": post counts, dedupe skips, filter drops, comment and
+ * fetch errors and how long the source took.
+ */
+export function createRunManifest({ runId, command, argv = {}, filters = {}, now = Date.now }) {
+  const startedAt = now();
+  const sources = new Map();
+
+  const sourceFor = (label) => {
+    if (!sources.has(label)) {
+      sources.set(label, {
+        startedAt: now(),
+        durationMs: null,
+        filePath: null,
+        postCount: 0,
+        fetched: null,
+        dedupeSkipped: 0,
+        filterDrops: {},
+        commentErrors: [],
+        fetchErrors: [],
+        resumed: false
+      });
+    }
+    return sources.get(label);
+  };
+
+  function record(label, e) {
+    const s = sourceFor(label);
+    if (e.type === "posts_fetched") {
+      s.fetched = e.totalPosts;
+    } else if (e.type === "dedupe_skipped") {
+      s.dedupeSkipped += e.skipped;
+    } else if (e.type === "filter_dropped") {
+      s.filterDrops[e.filter] = (s.filterDrops[e.filter] ?? 0) + e.dropped;
+    } else if (e.type === "comments_expand_error") {
+      s.commentErrors.push({ postId: e.postId, error: e.error });
+    } else if (e.type === "post_fetch_error") {
+      s.fetchErrors.push({ postId: e.postId, error: e.error });
+    } else if (e.type === "checkpoint_skipped") {
+      Object.assign(s, { resumed: true, filePath: e.filePath, postCount: e.postCount });
+    } else if (e.type === "file_written") {
+      Object.assign(s, { filePath: e.filePath, postCount: e.postCount, durationMs: now() - s.startedAt });
+    }
+  }
+
+  /**
+   * Write `<runId>-manifest.json` to `outDir` and return its path.
+   * `normalization` and `redaction` are the `stats()` of the run's normaliser
+   * and redactor, if it had them.
+   */
+  async function write(outDir, { outputs = [], combined = null, normalization = null, redaction = null } = {}) {
+    const finishedAt = now();
+    const rel = (filePath) => relativeTo(outDir, filePath);
+    // Per-source files merged into a combined corpus no longer exist
+    const sourceEntries = [...sources].map(([label, { startedAt: _, filePath, ...s }]) => [
+      label,
+      { ...s, filePath: combined ? null : rel(filePath) }
+    ]);
+
+    const manifest = {
+      manifestVersion: MANIFEST_VERSION,
+      tool: await readToolInfo(),
+      command,
+      runId,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - startedAt,
+      args: cleanArgs(argv),
+      filters,
+      normalization,
+      redaction,
+      outputs: outputs.map((o) => ({ ...o, filePath: rel(o.filePath) })),
+      combined: combined ? { ...combined, filePath: rel(combined.filePath) } : null,
+      sources: Object.fromEntries(sourceEntries),
+      totals: {
+        posts: sourceEntries.reduce((sum, [, s]) => sum + s.postCount, 0),
+        dedupeSkipped: sourceEntries.reduce((sum, [, s]) => sum + s.dedupeSkipped, 0),
+        commentErrors: sourceEntries.reduce((sum, [, s]) => sum + s.commentErrors.length, 0),
+        fetchErrors: sourceEntries.reduce((sum, [, s]) => sum + s.fetchErrors.length, 0)
+      },
+      analyses: []
+    };
+
+    const filePath = manifestPath(outDir, runId);
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+    return filePath;
+  }
+
+  return { runId, record, write };
+}
+
+/**
+ * Load a run manifest, resolving its file paths. `corpusFiles` lists the
+ * corpus the run produced: the combined file, or every per-source file.
+ */
+export async function loadManifest(filePath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read manifest ${filePath}: ${err.message}`);
+  }
+  if (manifest?.manifestVersion !== MANIFEST_VERSION || !Array.isArray(manifest.outputs)) {
+    throw new Error(`Not a reddit-harvest run manifest: ${filePath}`);
+  }
+
+  const dir = path.dirname(path.resolve(filePath));
+  const outputs = manifest.outputs.map((o) => ({ ...o, filePath: resolveFrom(dir, o.filePath) }));
+  const combined = manifest.combined ? { ...manifest.combined, filePath: resolveFrom(dir, manifest.combined.filePath) } : null;
+
+  return {
+    ...manifest,
+    path: path.resolve(filePath),
+    outputs,
+    combined,
+    // Runs written only to a store (--no-files) have no corpus files
+    corpusFiles: combined ? [combined.filePath] : outputs.map((o) => o.filePath).filter(Boolean),
+    analyses: (manifest.analyses ?? []).map((a) => ({
+      ...a,
+      analysisPath: resolveFrom(dir, a.analysisPath),
+      opportunitiesPath: resolveFrom(dir, a.opportunitiesPath)
+    }))
+  };
+}
+
+/**
+ * Record in a manifest that an analysis was produced from its corpus.
+ */
+export async function addManifestAnalysis(filePath, { analysisPath, opportunitiesPath, where = null, normalization = null, redaction = null, nearDuplicates = null }) {
+  const manifest = JSON.parse(await fs.readFile(filePath, "utf8"));
+  const dir = path.dirname(path.resolve(filePath));
+
+  manifest.analyses = [
+    ...(manifest.analyses ?? []),
+    {
+      createdAt: new Date().toISOString(),
+      analysisPath: relativeTo(dir, analysisPath),
+      opportunitiesPath: relativeTo(dir, opportunitiesPath),
+      where,
+      normalization,
+      redaction,
+      nearDuplicates
+    }
+  ];
+  await fs.writeFile(filePath, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+}
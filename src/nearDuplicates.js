@@ -0,0 +1,186 @@
+import crypto from "node:crypto";
+
+// Fewest words a text needs to be compared by similarity: short titles such
+// as "How do I find a cofounder?" overlap too easily
+const MIN_WORDS = 8;
+
+// MinHash signature length, split into BANDS bands of ROWS values for
+// locality-sensitive hashing: posts sharing a band are compared
+const HASHES = 64;
+const ROWS = 3;
+const BANDS = Math.floor(HASHES / ROWS);
+
+function words(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/&amp;/g, "&")
+    .match(/[\p{L}\p{N}']+/gu) ?? [];
+}
+
+/**
+ * MinHash signature of a set of words: the minimum of each of HASHES hash
+ * functions over the set. Two signatures agree in a share of positions that
+ * estimates the Jaccard similarity of the sets.
+ */
+export function minhash(tokens) {
+  const signature = new Uint32Array(HASHES).fill(0xffffffff);
+  for (const token of new Set(tokens)) {
+    const digest = crypto.createHash("md5").update(token).digest();
+    const h1 = digest.readUInt32LE(0);
+    const h2 = digest.readUInt32LE(4) | 1;
+    for (let i = 0; i < HASHES; i += 1) {
+      const h = (h1 + Math.imul(i, h2)) >>> 0;
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity (0–1) of the word sets behind two signatures.
+ */
+export function similarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < HASHES; i += 1) if (a[i] === b[i]) same += 1;
+  return same / HASHES;
+}
+
+/**
+ * What near-duplicate detection needs of a post, without its text: ranking
+ * fields, crosspost parent and a MinHash `signature` of title and body. Texts
+ * too short to compare by similarity keep their words as `textKey` instead.
+ */
+export function describePost(p) {
+  const tokens = words(`${p.title ?? ""} ${p.selftext ?? ""}`);
+  const short = tokens.length < MIN_WORDS;
+  return {
+    id: String(p.id),
+    subreddit: p.subreddit ?? "",
+    author: String(p.author ?? ""),
+    score: Number(p.score ?? 0),
+    numComments: Number(p.numComments ?? 0),
+    created: p.created ?? "",
+    crosspostParent: p.crosspostParent ? String(p.crosspostParent).replace(/^t3_/, "") : null,
+    signature: short ? null : minhash(tokens),
+    textKey: short && tokens.length > 0 ? tokens.join(" ") : null
+  };
+}
+
+// Best representative first: highest score, then most comments, then the
+// earliest post
+function compareRepresentatives(a, b) {
+  return b.score - a.score || b.numComments - a.numComments || a.created.localeCompare(b.created) || a.id.localeCompare(b.id);
+}
+
+/**
+ * Group posts that are the same content into clusters.
+ *
+ * Posts are linked when one is a crosspost of the other, both crosspost the
+ * same original, the word sets of their title and body have an estimated
+ * Jaccard similarity of at least `minSimilarity`, or, for texts too short to
+ * compare that way, the same author posted the same words. Takes posts or
+ * `describePost` results; returns one `{ representative, duplicates,
+ * subreddits }` per cluster of two or more, the representative being the
+ * best-scoring post.
+ */
+export function findDuplicateClusters(posts, { minSimilarity = 0.6 } = {}) {
+  if (!(minSimilarity > 0 && minSimilarity <= 1)) throw new Error(`minSimilarity must be in (0, 1] (got ${minSimilarity})`);
+  const items = posts.map((p) => ("signature" in p && "textKey" in p ? p : describePost(p)));
+  const index = new Map(items.map((item, i) => [item.id, i]));
+
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (i, j) => {
+    const [a, b] = [find(i), find(j)];
+    if (a !== b) parent[b] = a;
+  };
+
+  // Candidates share a bucket; each bucket links what really matches
+  const buckets = new Map();
+  const bucket = (key, i) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  };
+  items.forEach((item, i) => {
+    if (item.crosspostParent) {
+      if (index.has(item.crosspostParent)) union(index.get(item.crosspostParent), i);
+      bucket(`x:${item.crosspostParent}`, i);
+    }
+    if (item.textKey) bucket(`t:${item.author.toLowerCase()}:${item.textKey}`, i);
+    if (item.signature) {
+      for (let band = 0; band < BANDS; band += 1) {
+        bucket(`m${band}:${item.signature.subarray(band * ROWS, (band + 1) * ROWS).join(",")}`, i);
+      }
+    }
+  });
+
+  for (const [key, members] of buckets) {
+    if (members.length < 2) continue;
+    const fuzzy = key.startsWith("m");
+    for (let a = 0; a < members.length; a += 1) {
+      for (let b = a + 1; b < members.length; b += 1) {
+        const [i, j] = [members[a], members[b]];
+        if (find(i) === find(j)) continue;
+        if (!fuzzy || similarity(items[i].signature, items[j].signature) >= minSimilarity) union(i, j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => {
+      const [best, ...rest] = [...group].sort(compareRepresentatives);
+      return {
+        representative: best.id,
+        duplicates: rest.map((item) => item.id),
+        subreddits: [...new Set(group.map((item) => item.subreddit))]
+      };
+    });
+}
+
+/**
+ * The marks `markDuplicates` gives each clustered post, by post ID:
+ * `duplicateOf` for a duplicate, and for a representative its `duplicates`
+ * as `{ id, subreddit }`.
+ */
+export function duplicateMarks(clusters, posts) {
+  const subredditOf = new Map(posts.map((p) => [String(p.id), p.subreddit ?? ""]));
+  const marks = new Map();
+  for (const { representative, duplicates } of clusters) {
+    marks.set(representative, { duplicates: duplicates.map((id) => ({ id, subreddit: subredditOf.get(id) ?? "" })) });
+    for (const id of duplicates) marks.set(id, { duplicateOf: representative });
+  }
+  return marks;
+}
+
+/**
+ * Mark near-duplicate posts (see `findDuplicateClusters`). Returns copies of
+ * `posts` where each duplicate has `duplicateOf` set to its representative's
+ * ID and each representative lists its `duplicates`, plus the clusters.
+ */
+export function markDuplicates(posts, opts) {
+  const clusters = findDuplicateClusters(posts, opts);
+  const marks = duplicateMarks(clusters, posts);
+  return {
+    posts: posts.map((p) => (marks.has(String(p.id)) ? { ...p, ...marks.get(String(p.id)) } : p)),
+    clusters
+  };
+}
+
+/**
+ * Counts worth recording about a set of clusters.
+ */
+export function summarizeClusters(clusters) {
+  return {
+    clusters: clusters.length,
+    duplicates: clusters.reduce((sum, c) => sum + c.duplicates.length, 0)
+  };
+}
@@ -0,0 +1,209 @@
+// Steps in the order they run; the first three always run, the rest can be
+// switched with createNormalizer's options
+export const NORMALIZE_STEPS = ["entities", "zeroWidth", "whitespace", "botFooters", "quotes", "markdown", "links"];
+
+const PLACEHOLDERS = { "[deleted]": "deleted", "[removed]": "removed" };
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+const ENTITY = /&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi;
+const HAS_ENTITY = /&(?:#\d+|#x[0-9a-f]+|[a-z]+);/i;
+
+// Zero-width characters and soft hyphens; Reddit's editor leaves &#x200B; lines
+const ZERO_WIDTH = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+
+const BOT_FOOTER =
+  /\b(?:i am a bot|i'm a bot|beep,? boop|this action was performed automatically|contact the moderators of this subreddit)\b|\^\(?\[?(?:info|feedback|opt[- ]?out|source)\b/i;
+const RULE = /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/;
+
+const MARKDOWN_LINK = /\[([^\]\n]*)\]\(\s*<?([^()\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const BARE_URL = /\bhttps?:\/\/[^\s<>"'`)\]]+/gi;
+const IS_URL = /^https?:\/\//i;
+
+function decodeEntity(match, dec, hex, name) {
+  if (dec || hex) {
+    const code = dec ? Number(dec) : parseInt(hex, 16);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+}
+
+/**
+ * Decode HTML entities. Reddit encodes selftext twice over (`&amp;#x200B;`),
+ * so a second pass runs when the first one produced entities.
+ */
+function decodeEntities(text) {
+  const once = text.replace(ENTITY, decodeEntity);
+  return once !== text && HAS_ENTITY.test(once) ? once.replace(ENTITY, decodeEntity) : once;
+}
+
+function tidyWhitespace(text) {
+  return text
+    .replace(/\u00A0/g, " ")
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Drop trailing paragraphs that are bot boilerplate ("I am a bot…",
+ * "^(info) | ^(opt out)"), with the horizontal rule usually above them.
+ */
+function stripBotFooters(text) {
+  const paragraphs = text.split(/\n\s*\n/);
+  let end = paragraphs.length;
+  while (end > 0 && BOT_FOOTER.test(paragraphs[end - 1])) end -= 1;
+  if (end === paragraphs.length) return text;
+  while (end > 0 && RULE.test(paragraphs[end - 1])) end -= 1;
+  return paragraphs.slice(0, end).join("\n\n");
+}
+
+/**
+ * Collapse each block of `>` quoted lines into one short quote line; quoted
+ * replies mostly repeat the comment above them.
+ */
+function collapseQuotes(text, maxChars) {
+  const out = [];
+  let quote = null;
+  const flush = () => {
+    if (quote == null) return;
+    const joined = quote.join(" ").replace(/\s+/g, " ").trim();
+    if (joined) out.push(`> ${joined.length > maxChars ? `${joined.slice(0, maxChars).trimEnd()}…` : joined}`);
+    quote = null;
+  };
+  for (const line of text.split("\n")) {
+    // `>!spoiler!<` is not a quote
+    const m = /^\s*>(?!!)\s?(.*)$/.exec(line);
+    if (m) {
+      (quote ??= []).push(m[1].replace(/^[>\s]+/, ""));
+    } else {
+      flush();
+      out.push(line);
+    }
+  }
+  flush();
+  return out.join("\n");
+}
+
+function stripMarkdown(text, { keepLinkTargets }) {
+  return text
+    .replace(MARKDOWN_LINK, (_, label, url) => (keepLinkTargets && label.trim() && label.trim() !== url ? `${label} (${url})` : label.trim() || url))
+    .replace(/^\s*```.*$/gm, "")
+    .replace(/`([^`\n]+)`/g, "$1")
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/^(\s*)[*+]\s+/gm, "$1- ")
+    .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, "")
+    .replace(/(\*\*|__)(?=\S)([^\n]*?\S)\1/g, "$2")
+    .replace(/(?<![\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/g, "$1")
+    .replace(/(?<!\w)_(?=\S)([^_\n]*?\S)_(?!\w)/g, "$1")
+    .replace(/~~(?=\S)([^\n]*?\S)~~/g, "$1")
+    .replace(/>!(.*?)!</g, "$1")
+    .replace(/\^\(([^)\n]*)\)/g, "$1")
+    .replace(/\^(?=\S)/g, "")
+    .replace(/\\([\\`*_{}[\]()#+\-.!>~^|])/g, "$1");
+}
+
+function stripLinks(text) {
+  return text
+    .replace(MARKDOWN_LINK, (_, label, url) => label.trim() || (IS_URL.test(url) ? "[link]" : url))
+    .replace(BARE_URL, "[link]");
+}
+
+/**
+ * Create a text normaliser for post titles, bodies and comments, to cut the
+ * noise that wastes analysis tokens.
+ *
+ * Entities are decoded, zero-width characters removed and whitespace tidied
+ * always; `stripBotFooters`, `collapseQuotes` (to `quoteChars` characters) and
+ * `dropDeleted` are on by default, `stripMarkdown` and `stripLinks` off.
+ *
+ * With `dropDeleted`, "[deleted]" and "[removed]" comments are dropped, or
+ * emptied when they still have replies, and post bodies that are only a
+ * placeholder are emptied. Text that changes keeps its original in a
+ * `titleRaw`, `selftextRaw` or `bodyRaw` field. `stats()` counts the texts
+ * each step changed and the comments dropped.
+ */
+export function createNormalizer({
+  stripBotFooters: botFooters = true,
+  collapseQuotes: quotes = true,
+  quoteChars = 120,
+  dropDeleted = true,
+  stripMarkdown: markdown = false,
+  stripLinks: links = false
+} = {}) {
+  const enabled = { entities: true, zeroWidth: true, whitespace: true, botFooters, quotes, markdown, links };
+  const steps = {
+    entities: decodeEntities,
+    zeroWidth: (text) => text.replace(ZERO_WIDTH, ""),
+    whitespace: tidyWhitespace,
+    botFooters: stripBotFooters,
+    quotes: (text) => collapseQuotes(text, quoteChars),
+    // Links are kept, as "label (url)", unless they are stripped next
+    markdown: (text) => tidyWhitespace(stripMarkdown(text, { keepLinkTargets: !links })),
+    links: (text) => tidyWhitespace(stripLinks(text))
+  };
+  const applied = Object.fromEntries(NORMALIZE_STEPS.map((step) => [step, 0]));
+  const dropped = { deleted: 0, removed: 0 };
+
+  /**
+   * Normalise one piece of text, counting the steps that changed it.
+   */
+  function normalizeText(text) {
+    if (typeof text !== "string" || !text) return text;
+    let out = text;
+    for (const step of NORMALIZE_STEPS) {
+      if (!enabled[step]) continue;
+      const next = steps[step](out);
+      if (next !== out) applied[step] += 1;
+      out = next;
+    }
+    return out;
+  }
+
+  // Run the steps on `obj[field]`, keeping the original in `<field>Raw`
+  function normalizeField(obj, field) {
+    const rawField = `${field}Raw`;
+    const raw = obj[rawField] ?? obj[field];
+    const placeholder = dropDeleted && PLACEHOLDERS[String(raw ?? "").trim()];
+    const text = placeholder ? "" : normalizeText(obj[field]);
+    return text === raw ? {} : { [field]: text, [rawField]: raw };
+  }
+
+  function normalizeComments(comments) {
+    return comments.flatMap((c) => {
+      const replies = c.replies ? normalizeComments(c.replies) : c.replies;
+      const kind = dropDeleted && PLACEHOLDERS[String(c.bodyRaw ?? c.body ?? "").trim()];
+      if (kind && !(replies?.length > 0)) {
+        dropped[kind] += 1;
+        return [];
+      }
+      return [{ ...c, ...normalizeField(c, "body"), ...(replies ? { replies } : {}) }];
+    });
+  }
+
+  /**
+   * Return a normalised copy of a shaped post and its comment tree.
+   */
+  function normalizePost(p) {
+    return {
+      ...p,
+      ...normalizeField(p, "title"),
+      ...normalizeField(p, "selftext"),
+      ...(p.comments ? { comments: normalizeComments(p.comments) } : {})
+    };
+  }
+
+  return {
+    normalizePost,
+    normalizeText,
+    /**
+     * Enabled steps, how many texts each one changed, and dropped comments.
+     */
+    stats() {
+      return {
+        steps: NORMALIZE_STEPS.filter((step) => enabled[step]),
+        applied: Object.fromEntries(Object.entries(applied).filter(([, n]) => n > 0)),
+        dropped: { ...dropped }
+      };
+    }
+  };
+}
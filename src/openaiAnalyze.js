@@ -4,7 +4,11 @@ import OpenAI from "openai";
 import { zodResponseFormat } from "openai/helpers/zod";
 import { chunkStringBySize, ensureDir, nowTimestampForFiles } from "./utils.js";
 import { parseJSONL } from "./formatters.js";
+import { isTextCorpus, parseTextCorpus } from "./redditHarvest.js";
+import { compileWhere } from "./where.js";
+import { isManifestPath, loadManifest, addManifestAnalysis } from "./manifest.js";
 import { TagsSchema, OpportunitiesSchema } from "./schemas.js";
+import { markDuplicates, summarizeClusters } from "./nearDuplicates.js";
 
 function requireEnv(name) {
   const v = process.env[name];
@@ -58,10 +62,41 @@ export function createOpenAIClient() {
 }
 
 /**
- * Convert posts array to text for analysis.
+ * Render a comment tree with replies indented under their parent.
  */
-function postsToText(posts) {
-  return posts.map((p, i) => {
+function commentThreadLines(comments, indent) {
+  return comments.flatMap((c) => [
+    `${indent}- [${c.author}, score: ${c.score}]: ${c.body}`,
+    ...commentThreadLines(c.replies ?? [], `${indent}  `)
+  ]);
+}
+
+/**
+ * Metadata worth showing the model: flair, reception and moderation state.
+ * Only fields that carry signal are included.
+ */
+function postMetadataLines(p) {
+  const lines = [];
+  if (p.flair) lines.push(`flair: ${p.flair}`);
+  if (p.upvoteRatio != null) lines.push(`upvote_ratio: ${p.upvoteRatio}`);
+  if (p.isSelf === false && p.domain) lines.push(`link: ${p.domain}`);
+  if (p.crosspostParent) lines.push(`crosspost_of: ${p.crosspostParent}`);
+  if (p.duplicates?.length > 0) {
+    const where = [...new Set(p.duplicates.map((d) => d.subreddit).filter(Boolean))].map((sr) => `r/${sr}`);
+    lines.push(`also_posted: ${p.duplicates.length} near-duplicate(s)${where.length > 0 ? ` in ${where.join(", ")}` : ""}`);
+  }
+  if (p.totalAwards > 0) lines.push(`awards: ${p.totalAwards}`);
+  const state = [p.over18 && "nsfw", p.edited && "edited", p.locked && "locked", p.removed && "removed"].filter(Boolean);
+  if (state.length > 0) lines.push(`state: ${state.join(", ")}`);
+  return lines;
+}
+
+/**
+ * Convert posts array to text for analysis. A `normalizer` (see
+ * `normalize.js`) cleans the text first.
+ */
+export function postsToText(posts, { normalizer = null } = {}) {
+  return (normalizer ? posts.map(normalizer.normalizePost) : posts).map((p, i) => {
     const lines = [
       `--- POST ${i + 1} ---`,
       `id: ${p.id}`,
@@ -69,6 +104,7 @@ function postsToText(posts) {
       `title: ${p.title}`,
       `author: ${p.author}`,
       `score: ${p.score}`,
+      ...postMetadataLines(p),
       `permalink: https://reddit.com${p.permalink}`,
       ``,
       p.selftext || "(no body)",
@@ -77,9 +113,7 @@ function postsToText(posts) {
 
     if (p.comments?.length > 0) {
       lines.push("COMMENTS:");
-      for (const c of p.comments) {
-        lines.push(`  - [${c.author}, score: ${c.score}]: ${c.body}`);
-      }
+      lines.push(...commentThreadLines(p.comments, "  "));
       lines.push("");
     }
 
@@ -87,6 +121,18 @@ function postsToText(posts) {
   }).join("\n\n");
 }
 
+/**
+ * Clean and redact posts for the prompts. Normalising comes first, as when
+ * harvesting: decoding entities and zero-width characters can reveal an email
+ * or phone number (`jane&#64;example.com`) that the redactor must then see.
+ */
+export function preparePosts(posts, { normalizer = null, redactor = null } = {}) {
+  return posts.map((p) => {
+    const normalized = normalizer ? normalizer.normalizePost(p) : p;
+    return redactor ? redactor.redactPost(normalized) : normalized;
+  });
+}
+
 /**
  * Build the quote fidelity instruction addition.
  */
@@ -267,6 +313,10 @@ async function generateFinalSynthesis({ client, model, subredditSummaries, tags,
 
 /**
  * Main analysis function for structured posts data.
+ * `corpusFiles` and `manifestPath` name where the posts came from; they are
+ * listed in the analysis header. With a `normalizer` (see `normalize.js`)
+ * prompts carry cleaned text, and with a `redactor` (see `redact.js`) only
+ * redacted posts (see `preparePosts`). Near-duplicates are analyzed once (see `collapseDuplicates`).
  */
 export async function analyzeCorpus({
   posts,
@@ -274,6 +324,11 @@ export async function analyzeCorpus({
   quoteFidelity = false,
   outDir = "outputs",
   timestamp = null,
+  corpusFiles = null,
+  manifestPath = null,
+  normalizer = null,
+  redactor = null,
+  nearDuplicates = false,
   onProgress
 }) {
   const client = createOpenAIClient();
@@ -282,9 +337,15 @@ export async function analyzeCorpus({
 
   await ensureDir(outDir);
 
+  const { posts: analyzed, summary: duplicateSummary } = collapseDuplicates(
+    preparePosts(posts, { normalizer, redactor }),
+    nearDuplicates
+  );
+  if (duplicateSummary) onProgress?.({ type: "duplicates_collapsed", ...duplicateSummary });
+
   // Group posts by subreddit
   const postsBySubreddit = {};
-  for (const p of posts) {
+  for (const p of analyzed) {
     const sr = p.subreddit || "unknown";
     if (!postsBySubreddit[sr]) postsBySubreddit[sr] = [];
     postsBySubreddit[sr].push(p);
@@ -321,7 +382,10 @@ export async function analyzeCorpus({
     `**Generated:** ${new Date().toISOString()}`,
     `**Model:** ${model}`,
     `**Subreddits:** ${subreddits.join(", ")}`,
-    `**Total Posts Analyzed:** ${posts.length}`,
+    `**Total Posts Analyzed:** ${analyzed.length}`,
+    ...(analyzed.length < posts.length ? [`**Near-Duplicates Collapsed:** ${posts.length - analyzed.length}`] : []),
+    ...(corpusFiles?.length ? [`**Corpus:** ${corpusFiles.map((f) => path.relative(outDir, f)).join(", ")}`] : []),
+    ...(manifestPath ? [`**Manifest:** ${path.relative(outDir, manifestPath)}`] : []),
     `**Quote Fidelity Mode:** ${quoteFidelity ? "Enabled" : "Disabled"}`,
     ``,
     `---`,
@@ -370,35 +434,107 @@ export async function analyzeCorpus({
     opportunitiesPath,
     tags,
     opportunities,
-    subredditSummaries
+    subredditSummaries,
+    nearDuplicates: duplicateSummary
   };
 }
 
 /**
- * Analyze from a file (backward compatible + enhanced).
+ * Leave one post per near-duplicate cluster, so the same question posted to
+ * five subreddits counts once; the representative kept lists where else it
+ * was posted. With `nearDuplicates` (true, or options for
+ * `findDuplicateClusters`) the posts are clustered first; marks already in
+ * the corpus (see `combineCorpusFiles`) are honoured either way.
+ */
+function collapseDuplicates(posts, nearDuplicates) {
+  let marked = posts;
+  let summary = null;
+  if (nearDuplicates) {
+    const { posts: withMarks, clusters } = markDuplicates(posts, nearDuplicates === true ? {} : nearDuplicates);
+    marked = withMarks;
+    summary = summarizeClusters(clusters);
+  }
+  const ids = new Set(marked.map((p) => String(p.id)));
+  return { posts: marked.filter((p) => !(p.duplicateOf && ids.has(String(p.duplicateOf)))), summary };
+}
+
+/**
+ * Read the posts of a corpus file. JSONL and reddit-harvest txt corpora give
+ * structured posts; any other text is passed through whole, as a single
+ * pseudo-post, for the old chunking approach. So is a txt corpus that no
+ * longer parses (say, after hand edits), with `parseError` saying why.
  */
-export async function analyzeFileToMarkdown({ inputPath, outDir = "outputs", quoteFidelity = false, onProgress }) {
+async function readCorpusPosts(inputPath) {
   const content = await fs.readFile(inputPath, "utf8");
+  if (inputPath.endsWith(".jsonl")) return { posts: parseJSONL(content), structured: true };
+  let parseError;
+  if (inputPath.endsWith(".txt") && isTextCorpus(content)) {
+    try {
+      return { posts: parseTextCorpus(content).posts, structured: true };
+    } catch (err) {
+      parseError = err.message;
+    }
+  }
+
+  const posts = [{
+    id: "corpus",
+    subreddit: path.basename(inputPath).replace(/\.[^.]+$/, ""),
+    title: "Corpus file",
+    author: "",
+    score: 0,
+    numComments: 0,
+    url: "",
+    permalink: "",
+    selftext: content,
+    comments: []
+  }];
+  return { posts, structured: false, parseError };
+}
+
+/**
+ * Analyze from a file (backward compatible + enhanced).
+ * A `where` expression selects which posts of a JSONL or txt corpus are analyzed;
+ * it sees the posts as stored, before any `redactor` is applied.
+ *
+ * `inputPath` may also be a run manifest (`<timestamp>-manifest.json`): its
+ * corpus files are analyzed together and the analysis is recorded in it.
+ */
+export async function analyzeFileToMarkdown({
+  inputPath,
+  outDir = "outputs",
+  quoteFidelity = false,
+  where,
+  normalizer = null,
+  redactor = null,
+  nearDuplicates = false,
+  onProgress
+}) {
+  const manifest = isManifestPath(inputPath) ? await loadManifest(inputPath) : null;
+  const corpusFiles = manifest ? manifest.corpusFiles : [path.resolve(inputPath)];
+  if (corpusFiles.length === 0) throw new Error(`Manifest ${inputPath} lists no corpus files`);
+
+  let posts = [];
+  const unstructured = [];
+  for (const file of corpusFiles) {
+    const corpus = await readCorpusPosts(file);
+    if (corpus.parseError) onProgress?.({ type: "corpus_unparsed", file, error: corpus.parseError });
+    posts.push(...corpus.posts);
+    if (!corpus.structured) unstructured.push(file);
+  }
+
+  // Free text has no author fields to pseudonymise
+  if (redactor && unstructured.length > 0) {
+    throw new Error(`--redact needs a .jsonl corpus or a .txt corpus written by reddit-harvest (got ${unstructured[0]})`);
+  }
 
-  // Detect format
-  let posts;
-  if (inputPath.endsWith(".jsonl")) {
-    posts = parseJSONL(content);
-  } else {
-    // For txt files, we need to pass the raw text through the old chunking approach
-    // but wrap it in a pseudo-post structure
-    posts = [{
-      id: "corpus",
-      subreddit: path.basename(inputPath).replace(/\.[^.]+$/, ""),
-      title: "Corpus file",
-      author: "",
-      score: 0,
-      numComments: 0,
-      url: "",
-      permalink: "",
-      selftext: content,
-      comments: []
-    }];
+  if (where) {
+    if (unstructured.length > 0) {
+      throw new Error(`--where needs a .jsonl corpus or a .txt corpus written by reddit-harvest (got ${unstructured[0]})`);
+    }
+    const kept = posts.filter(compileWhere(where));
+    onProgress?.({ type: "filter_dropped", filter: "where", dropped: posts.length - kept.length, kept: kept.length });
+    if (kept.length === 0) throw new Error(`No posts in ${inputPath} match --where ${where}`);
+    posts = kept;
   }
 
   // Infer subreddits from posts
@@ -409,13 +545,29 @@ export async function analyzeFileToMarkdown({ inputPath, outDir = "outputs", quo
     subreddits: subreddits.length > 0 ? subreddits : ["unknown"],
     quoteFidelity,
     outDir,
+    corpusFiles,
+    manifestPath: manifest?.path ?? null,
+    normalizer,
+    redactor,
+    nearDuplicates,
     onProgress
   });
 
+  if (manifest) {
+    await addManifestAnalysis(manifest.path, {
+      ...result,
+      where: where ?? null,
+      normalization: normalizer?.stats() ?? null,
+      redaction: redactor?.stats() ?? null,
+      nearDuplicates: result.nearDuplicates
+    });
+  }
+
   return {
     outPath: result.analysisPath,
     analysisPath: result.analysisPath,
-    opportunitiesPath: result.opportunitiesPath
+    opportunitiesPath: result.opportunitiesPath,
+    manifestPath: manifest?.path ?? null
   };
 }
 
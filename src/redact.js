@@ -0,0 +1,159 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const SALT_FILENAME = ".harvest-redaction-salt";
+
+// Authors are replaced by pseudonyms; the text rules run in this order so a
+// URL's email-like userinfo or digits are not matched by the later rules
+export const REDACTION_RULES = ["author", "url", "email", "phone", "mention"];
+
+const PSEUDONYM = /^anon_[0-9a-f]{10}$/;
+
+// Query parameters that carry credentials or session state
+const TOKEN_URL = /\bhttps?:\/\/[^\s<>"'`)\]]+/gi;
+const TOKEN_PARAM = /[?&#](?:access_?token|token|api_?key|apikey|key|auth|sig|signature|session|sessionid|sid|code|password|pwd|secret)=/i;
+const URL_CREDENTIALS = /^https?:\/\/[^/?#\s]*@/i;
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+// Digit groups joined by single separators, optionally with a +country code
+// or (area code); only kept as a phone number with 10 to 15 digits
+const PHONE = /(?<![\w+(])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,5}(?![\w-])/g;
+
+// `u/name`, `/u/name`, and `/user/name` paths, also inside profile links
+// such as `reddit.com/user/name`
+const MENTION = /((?<![\w-])\/?u\/|\/user\/)([A-Za-z0-9_-]{3,20})/g;
+
+/**
+ * Load the project's redaction salt from `outDir`, creating a random one on
+ * first use. Pseudonyms depend only on it, so every run written to the same
+ * directory gives an author the same pseudonym.
+ */
+export async function loadRedactionSalt(outDir) {
+  const saltPath = path.join(outDir, SALT_FILENAME);
+  try {
+    const salt = (await fs.readFile(saltPath, "utf8")).trim();
+    if (salt) return salt;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const salt = crypto.randomBytes(32).toString("hex");
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(saltPath, salt + "\n", { encoding: "utf8", mode: 0o600 });
+  return salt;
+}
+
+/**
+ * Create a redactor that replaces authors (and `u/` mentions) with salted
+ * pseudonyms such as `anon_3f9a0c12be`, and scrubs emails, phone numbers and
+ * URLs carrying tokens from titles, bodies and comments.
+ *
+ * Redacting is idempotent: pseudonyms and placeholders are left alone, so an
+ * already redacted post comes back unchanged. `stats()` counts how often each
+ * rule fired.
+ */
+export function createRedactor({ salt }) {
+  if (!salt) throw new Error("createRedactor needs a salt (see loadRedactionSalt)");
+  const counts = Object.fromEntries(REDACTION_RULES.map((rule) => [rule, 0]));
+
+  // Reddit usernames are case-insensitive
+  const pseudonym = (name) =>
+    `anon_${crypto.createHmac("sha256", salt).update(String(name).toLowerCase()).digest("hex").slice(0, 10)}`;
+
+  function redactAuthor(author) {
+    if (!author || author === "[deleted]" || PSEUDONYM.test(author)) return author;
+    counts.author += 1;
+    return pseudonym(author);
+  }
+
+  function redactText(text) {
+    if (typeof text !== "string" || !text) return text;
+    return text
+      .replace(TOKEN_URL, (url) => {
+        if (!TOKEN_PARAM.test(url) && !URL_CREDENTIALS.test(url)) return url;
+        counts.url += 1;
+        return "[url]";
+      })
+      .replace(EMAIL, () => {
+        counts.email += 1;
+        return "[email]";
+      })
+      .replace(PHONE, (match) => {
+        const digits = match.replace(/\D/g, "").length;
+        if (digits < 10 || digits > 15) return match;
+        counts.phone += 1;
+        return "[phone]";
+      })
+      .replace(MENTION, (match, prefix, name) => {
+        if (PSEUDONYM.test(name)) return match;
+        counts.mention += 1;
+        return `${prefix}${pseudonym(name)}`;
+      });
+  }
+
+  // The original text a normaliser kept may hide PII behind entities or
+  // zero-width characters (`jane&#64;example.com`) that the rules don't
+  // match; when its cleaned text needed redacting, it is replaced by that
+  function redactRaw(raw, clean, redacted) {
+    return redacted !== clean ? redacted : redactText(raw);
+  }
+
+  function redactComment(c) {
+    const body = redactText(c.body);
+    return {
+      ...c,
+      author: redactAuthor(c.author),
+      body,
+      ...("bodyRaw" in c ? { bodyRaw: redactRaw(c.bodyRaw, c.body, body) } : {}),
+      ...(c.replies ? { replies: c.replies.map(redactComment) } : {})
+    };
+  }
+
+  /**
+   * Return a redacted copy of a shaped post and its comment tree, including
+   * the original text a normaliser kept (see `normalize.js`).
+   */
+  function redactPost(p) {
+    const title = redactText(p.title);
+    const selftext = redactText(p.selftext);
+    return {
+      ...p,
+      author: redactAuthor(p.author),
+      title,
+      selftext,
+      url: redactText(p.url),
+      ...("titleRaw" in p ? { titleRaw: redactRaw(p.titleRaw, p.title, title) } : {}),
+      ...("selftextRaw" in p ? { selftextRaw: redactRaw(p.selftextRaw, p.selftext, selftext) } : {}),
+      ...(p.comments ? { comments: p.comments.map(redactComment) } : {})
+    };
+  }
+
+  return {
+    redactPost,
+    redactText,
+    pseudonym,
+    /**
+     * A comma-separated list of usernames, such as `--users` (an array of
+     * them when the option is repeated), as a list of their pseudonyms.
+     */
+    redactUsernames(value) {
+      return [value]
+        .flat()
+        .flatMap((v) => String(v ?? "").split(","))
+        .map((name) => name.trim().replace(/^\/?u(?:ser)?\//i, ""))
+        .filter(Boolean)
+        .map((name) => (PSEUDONYM.test(name) ? name : pseudonym(name)))
+        .join(",");
+    },
+    /**
+     * Per-rule counts so far, and the rules that fired at least once.
+     */
+    stats() {
+      return {
+        rules: [...REDACTION_RULES],
+        fired: Object.fromEntries(Object.entries(counts).filter(([, n]) => n > 0))
+      };
+    }
+  };
+}
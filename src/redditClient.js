@@ -1,4 +1,7 @@
 import Snoowrap from "snoowrap";
+import { createSnoowrapSource } from "./sources.js";
+import { createOAuthSource } from "./redditOAuth.js";
+import { createScheduler, createScheduledSource, isRetryableError, retryAfterMs } from "./scheduler.js";
 
 function requireEnv(name) {
   const v = process.env[name];
@@ -14,7 +17,9 @@ function sleep(ms) {
 }
 
 /**
- * Retry a function with exponential backoff.
+ * Retry a function with exponential backoff, or after `Retry-After` when the
+ * error carries one. Reddit calls made through a data source are retried by
+ * its scheduler instead.
  */
 export async function withRetry(fn, { maxRetries = 3, baseDelayMs = 1000, onRetry } = {}) {
   let lastError;
@@ -23,14 +28,11 @@ export async function withRetry(fn, { maxRetries = 3, baseDelayMs = 1000, onRetr
       return await fn();
     } catch (err) {
       lastError = err;
-      const isRateLimit = err?.statusCode === 429 || /rate.?limit/i.test(err?.message);
-      const isRetryable = isRateLimit || err?.statusCode >= 500;
-
-      if (!isRetryable || attempt === maxRetries) {
+      if (!isRetryableError(err) || attempt === maxRetries) {
         throw err;
       }
 
-      const delayMs = baseDelayMs * Math.pow(2, attempt);
+      const delayMs = retryAfterMs(err) ?? baseDelayMs * Math.pow(2, attempt);
       onRetry?.({ attempt: attempt + 1, maxRetries, delayMs, error: err });
       await sleep(delayMs);
     }
@@ -64,3 +66,28 @@ export function createRedditClient({ requestDelayMs = 1100 } = {}) {
 
   return reddit;
 }
+
+/**
+ * Create the data source used to reach Reddit, with every call going through
+ * a rate-limit-aware scheduler (one is created unless `scheduler` is given).
+ * `client` is "snoowrap", "oauth" (direct JSON API calls), or "auto": snoowrap
+ * when REDDIT_REFRESH_TOKEN is set, otherwise app-only OAuth.
+ */
+export function createRedditSource({ client = "auto", requestDelayMs = 1100, scheduler = null, onProgress } = {}) {
+  const refreshToken = process.env.REDDIT_REFRESH_TOKEN;
+  const useOAuth = client === "oauth" || (client === "auto" && !refreshToken);
+
+  const source = useOAuth
+    ? createOAuthSource({
+        userAgent: requireEnv("REDDIT_USER_AGENT"),
+        clientId: requireEnv("REDDIT_CLIENT_ID"),
+        clientSecret: requireEnv("REDDIT_CLIENT_SECRET"),
+        refreshToken: refreshToken || null
+      })
+    : createSnoowrapSource(createRedditClient({ requestDelayMs }));
+
+  return createScheduledSource(
+    source,
+    scheduler ?? createScheduler({ minIntervalMs: Math.max(requestDelayMs, 1000), onProgress })
+  );
+}
@@ -1,7 +1,23 @@
+import fs from "node:fs/promises";
+import { createReadStream } from "node:fs";
 import path from "node:path";
-import { nowTimestampForFiles, sanitizeForFilename, writeTextFile } from "./utils.js";
+import readline from "node:readline";
+import { ensureDir, mapConcurrent, nowTimestampForFiles, sanitizeForFilename, writeTextFile } from "./utils.js";
+import { createFilters, applyFilters, parseDateToUnix } from "./filters.js";
+import { toSource } from "./sources.js";
+import { describePost, findDuplicateClusters, duplicateMarks, summarizeClusters } from "./nearDuplicates.js";
+import {
+  corpusExtension,
+  formatCSVHeader,
+  formatMarkdownHeader,
+  formatPostCSVRows,
+  formatPostMarkdown,
+  formatPostsToCSV,
+  formatPostsToJSONL,
+  formatPostsToMarkdown
+} from "./formatters.js";
 
-function commentsToArray(comments) {
+function listingToArray(comments) {
   if (!comments) return [];
   if (Array.isArray(comments)) return comments;
   if (typeof comments.toArray === "function") return comments.toArray();
@@ -14,257 +30,962 @@ function safeText(v) {
   return String(v);
 }
 
+// Reddit returns at most 100 items per request and stops paginating a listing
+// after roughly 1000 items, regardless of the `after` cursor.
+const PAGE_SIZE = 100;
+const LISTING_CEILING = 1000;
+
+// Search stops well short of the listing ceiling; results that run this far
+// may have been cut off. Search takes no date range, so nothing reaches past it.
+const SEARCH_CAP = 250;
+
 /**
- * Parse a date string to Unix timestamp (seconds).
- * Accepts ISO strings or Unix timestamps.
+ * Fetch a single page of a subreddit listing or search.
  */
-function parseDateToUnix(dateStr) {
-  if (!dateStr) return null;
-  const n = Number(dateStr);
-  if (!Number.isNaN(n) && n > 1e9 && n < 1e12) return n; // Already unix seconds
-  if (!Number.isNaN(n) && n > 1e12) return Math.floor(n / 1000); // Unix ms
-  const d = new Date(dateStr);
-  if (Number.isNaN(d.getTime())) return null;
-  return Math.floor(d.getTime() / 1000);
+async function fetchPage(source, { subreddit, listing, time, search, limit, after }) {
+  if (search) {
+    // Search mode
+    return source.search({ subreddit, query: search, time, sort: listing === "top" ? "top" : listing, limit, after });
+  }
+
+  return source.listing({ subreddit, listing, time, limit, after });
 }
 
 /**
- * Apply filters to posts array.
+ * Fetch a listing page by page, following the `after` cursor until `limit`
+ * items have been fetched or the listing runs out. `fetchPage` is called with
+ * `{ limit, after }`; `context` (e.g. `{ subreddit }`) is added to progress
+ * events. Yields each page with the cursor to resume from and the running total.
  */
-function applyFilters(posts, { minScore, minComments, after, before }) {
-  let filtered = posts;
+async function* fetchPages({ fetchPage, limit, after = null, fetched = 0, context = {}, onProgress }) {
+  let page = 0;
 
-  if (minScore != null && !Number.isNaN(minScore)) {
-    filtered = filtered.filter((p) => (p.score ?? 0) >= minScore);
-  }
+  while (fetched < limit) {
+    if (fetched >= LISTING_CEILING) {
+      onProgress?.({ type: "listing_ceiling", ...context, totalPosts: fetched, ceiling: LISTING_CEILING });
+      return;
+    }
 
-  if (minComments != null && !Number.isNaN(minComments)) {
-    filtered = filtered.filter((p) => (p.num_comments ?? 0) >= minComments);
-  }
+    const pageLimit = Math.min(PAGE_SIZE, limit - fetched);
+    const items = listingToArray(await fetchPage({ limit: pageLimit, after })).slice(0, pageLimit);
+    if (items.length === 0) return;
 
-  const afterTs = parseDateToUnix(after);
-  if (afterTs != null) {
-    filtered = filtered.filter((p) => (p.created_utc ?? 0) >= afterTs);
-  }
+    page += 1;
+    fetched += items.length;
+    onProgress?.({ type: "page_fetched", ...context, page, pagePosts: items.length, totalPosts: fetched });
 
-  const beforeTs = parseDateToUnix(before);
-  if (beforeTs != null) {
-    filtered = filtered.filter((p) => (p.created_utc ?? 0) <= beforeTs);
-  }
+    const last = items[items.length - 1];
+    const next = last?.name ?? (last?.id ? `t3_${last.id}` : null);
+    yield { items, after: next, fetched };
 
-  return filtered;
+    if (!next || next === after) return;
+    after = next;
+  }
 }
 
 /**
- * Fetch posts from a subreddit (listing or search).
+ * Search newest first (`sort=new`) and keep the posts created inside the
+ * `after`/`before` window, paging until the results are older than the
+ * window, `limit` posts are kept or the results run out. Reddit search takes
+ * no date range, so a window reaching back past its cap (`SEARCH_CAP`) is
+ * only partly covered: a `search_truncated` event says how far back the
+ * results went. Yields pages in the same shape as `fetchPages` (without a
+ * resumable cursor); a page has `complete` set once the whole window was seen.
  */
-async function fetchPosts({ reddit, subreddit, listing, time, limit, search }) {
-  const sub = reddit.getSubreddit(subreddit);
+async function* fetchSearchWindow({ source, subreddit, search, after, before, limit, onProgress }) {
+  const start = parseDateToUnix(after) ?? 0;
+  const end = parseDateToUnix(before) ?? Infinity;
+  let kept = 0;
+  let raw = 0;
+  let oldest = null;
 
-  if (search) {
-    // Search mode
-    return sub.search({ query: search, time, sort: listing === "top" ? "top" : listing, limit });
+  for await (const page of fetchPages({
+    fetchPage: (page) => source.search({ subreddit, query: search, sort: "new", time: "all", ...page }),
+    limit: LISTING_CEILING,
+    context: { subreddit },
+    onProgress
+  })) {
+    raw = page.fetched;
+    for (const p of page.items) oldest = Math.min(oldest ?? Infinity, p.created_utc ?? 0);
+
+    const items = page.items
+      .filter((p) => (p.created_utc ?? 0) >= start && (p.created_utc ?? 0) <= end)
+      .slice(0, limit - kept);
+    kept += items.length;
+
+    const reachedStart = oldest < start;
+    yield { items, after: null, fetched: kept, complete: reachedStart };
+    if (reachedStart || kept >= limit) return;
   }
 
-  if (listing === "hot") return sub.getHot({ limit });
-  if (listing === "new") return sub.getNew({ limit });
-  if (listing === "top") return sub.getTop({ time, limit });
-  throw new Error(`Unknown listing: ${listing} (expected hot|new|top)`);
+  if (raw >= SEARCH_CAP) {
+    onProgress?.({ type: "search_truncated", subreddit, oldest, totalPosts: kept, cap: SEARCH_CAP });
+  } else {
+    // Fewer results than the cap: every match was seen
+    yield { items: [], after: null, fetched: kept, complete: true };
+  }
 }
 
 /**
- * Expand comments for a post and return structured comment data.
+ * Strip the type prefix from a Reddit fullname (t1_abc, t3_xyz → abc, xyz).
  */
-async function expandPostComments(post, { commentLimit, commentDepth }) {
-  const expanded = await post.expandReplies({ limit: commentLimit, depth: commentDepth });
-  const topLevel = commentsToArray(expanded?.comments ?? post?.comments).slice(0, commentLimit);
-  return topLevel.map((c) => ({
+function fullnameToId(fullname) {
+  return safeText(fullname).replace(/^t\d_/, "");
+}
+
+/**
+ * Shape a comment and its loaded replies into a tree, keeping replies up to
+ * `maxDepth` levels (depth 0 is a top-level comment).
+ */
+function shapeComment(c, depth, maxDepth, isDeniedAuthor) {
+  const replies = depth + 1 < maxDepth ? listingToArray(c?.replies) : [];
+  return {
     id: safeText(c?.id),
+    parentId: fullnameToId(c?.parent_id),
+    depth,
     author: safeText(c?.author?.name ?? c?.author),
     score: c?.score ?? 0,
     body: safeText(c?.body),
-    created: c?.created_utc ? new Date(c.created_utc * 1000).toISOString() : ""
-  }));
+    created: c?.created_utc ? new Date(c.created_utc * 1000).toISOString() : "",
+    replies: keepComments(replies, isDeniedAuthor).map((r) => shapeComment(r, depth + 1, maxDepth, isDeniedAuthor))
+  };
+}
+
+/**
+ * Drop comments (and their replies) written by excluded authors or bots.
+ */
+function keepComments(comments, isDeniedAuthor) {
+  if (!isDeniedAuthor) return comments;
+  return comments.filter((c) => !isDeniedAuthor(c?.author?.name ?? c?.author));
+}
+
+/**
+ * Count comments in a comment tree, including replies.
+ */
+function countComments(comments) {
+  return (comments ?? []).reduce((sum, c) => sum + 1 + countComments(c.replies), 0);
+}
+
+/**
+ * Shape raw top-level comments (replies nested under `replies`) into the
+ * comment tree stored on a post.
+ */
+export function shapeCommentTree(comments, { commentLimit, commentDepth, isDeniedAuthor }) {
+  const topLevel = keepComments(listingToArray(comments), isDeniedAuthor).slice(0, commentLimit);
+  return topLevel.map((c) => shapeComment(c, 0, Math.max(commentDepth, 1), isDeniedAuthor));
+}
+
+/**
+ * Expand comments for a post and return the comment tree.
+ */
+async function expandPostComments(source, post, { commentLimit, commentDepth, isDeniedAuthor }) {
+  const comments = await source.comments(post, { limit: commentLimit, depth: commentDepth });
+  return shapeCommentTree(comments, { commentLimit, commentDepth, isDeniedAuthor });
+}
+
+/**
+ * Typed submission metadata kept alongside the core post fields.
+ * `edited` is the edit time (ISO) or null; `removed` covers moderator, admin
+ * and author removals.
+ */
+function shapePostMetadata(p) {
+  return {
+    flair: p.link_flair_text ? safeText(p.link_flair_text) : null,
+    upvoteRatio: typeof p.upvote_ratio === "number" ? p.upvote_ratio : null,
+    isSelf: Boolean(p.is_self),
+    domain: safeText(p.domain),
+    over18: Boolean(p.over_18),
+    crosspostParent: p.crosspost_parent ? safeText(p.crosspost_parent) : null,
+    edited: typeof p.edited === "number" && p.edited > 0 ? new Date(p.edited * 1000).toISOString() : null,
+    locked: Boolean(p.locked),
+    removed: Boolean(p.removed_by_category ?? p.removed),
+    totalAwards: p.total_awards_received ?? 0
+  };
+}
+
+/**
+ * Shape a raw submission into a post record (without comments).
+ */
+export function shapePost(p, subreddit) {
+  return {
+    id: safeText(p.id),
+    subreddit,
+    title: safeText(p.title),
+    author: safeText(p.author?.name ?? p.author),
+    created: p?.created_utc ? new Date(p.created_utc * 1000).toISOString() : "",
+    score: p.score ?? 0,
+    numComments: p.num_comments ?? 0,
+    url: safeText(p.url),
+    permalink: safeText(p.permalink),
+    selftext: safeText(p.selftext),
+    ...shapePostMetadata(p),
+    comments: []
+  };
 }
 
 /**
- * Harvest posts from a subreddit and return structured data.
+ * Shape a raw submission into a post record, expanding comments if requested.
  */
-export async function harvestSubreddit({
+async function harvestPost(p, { source, subreddit, index, total, includeComments, commentLimit, commentDepth, isDeniedAuthor, onProgress }) {
+  onProgress?.({
+    type: "post_progress",
+    subreddit,
+    index,
+    total,
+    postId: p?.id,
+    title: p?.title
+  });
+
+  const postData = shapePost(p, subreddit);
+
+  if (includeComments) {
+    try {
+      onProgress?.({
+        type: "comments_expand_start",
+        subreddit,
+        index,
+        total,
+        postId: p?.id
+      });
+      postData.comments = await expandPostComments(source, p, { commentLimit, commentDepth, isDeniedAuthor });
+      onProgress?.({
+        type: "comments_expand_done",
+        subreddit,
+        index,
+        total,
+        postId: p?.id,
+        comments: countComments(postData.comments)
+      });
+    } catch (err) {
+      postData.commentsError = safeText(err?.message ?? err);
+      onProgress?.({
+        type: "comments_expand_error",
+        subreddit,
+        index,
+        total,
+        postId: p?.id,
+        error: postData.commentsError
+      });
+    }
+  }
+
+  return postData;
+}
+
+/**
+ * Normalise, then redact, a post that passed the filters.
+ */
+function finishPost(post, { normalizer, redactor }) {
+  const normalized = normalizer ? normalizer.normalizePost(post) : post;
+  return redactor ? redactor.redactPost(normalized) : normalized;
+}
+
+/**
+ * Harvest posts from a subreddit, yielding each post as soon as it is shaped
+ * and has passed the filters.
+ *
+ * Pages are filtered and shaped as they arrive. When a `checkpoint` is given,
+ * each shaped post and the pagination cursor are recorded so an interrupted
+ * harvest can pick up where it stopped; posts recorded before the interruption
+ * are yielded first.
+ *
+ * A `normalizer` (see `normalize.js`) and then a `redactor` (see `redact.js`)
+ * are applied once a post has passed the filters, so neither the checkpoint
+ * nor anything downstream sees the original authors or text.
+ *
+ * Reddit is read through `source` (see `sources.js`); a snoowrap client passed
+ * as `reddit` is wrapped automatically. With `concurrency` above 1, comments of
+ * that many posts are expanded at once (the source's scheduler still paces the
+ * requests); posts are kept in listing order either way.
+ */
+export async function* harvestSubredditStream({
+  source,
   reddit,
   subreddit,
   listing = "hot",
   time = "week",
   limit = 25,
   search = null,
+  searchWindow = false,
   minScore = null,
   minComments = null,
   after = null,
   before = null,
+  filters = {},
   includeComments = false,
   commentLimit = 50,
   commentDepth = 1,
   dedupeIndex = null,
+  incremental = false,
+  checkpoint = null,
+  concurrency = 1,
+  normalizer = null,
+  redactor = null,
   onProgress
 }) {
   onProgress?.({ type: "subreddit_start", subreddit, listing, time, limit, search });
 
-  const rawPosts = await fetchPosts({ reddit, subreddit, listing, time, limit, search });
-  onProgress?.({ type: "posts_fetched", subreddit, totalPosts: rawPosts.length });
+  const filterSteps = createFilters({ minScore, minComments, after, before, ...filters }, { includeComments });
+  const onDrop = (filter, dropped) => onProgress?.({ type: "filter_dropped", subreddit, filter, dropped });
 
-  // Apply filters
-  let posts = applyFilters(rawPosts, { minScore, minComments, after, before });
+  // Incremental: only posts newer than the newest one seen by earlier runs.
+  // A plain Set works as a dedupe index too, so high-water marks are optional.
+  const storedMark = dedupeIndex?.highWaterFor?.(subreddit, search) ?? null;
+  const highWater = incremental ? storedMark : null;
+  let newestSeen = null;
+  let reachedMark = false;
+  let searchComplete = false;
 
-  // Dedupe if index provided
-  if (dedupeIndex) {
-    const beforeCount = posts.length;
-    posts = posts.filter((p) => !dedupeIndex.has(p.id));
-    const skipped = beforeCount - posts.length;
-    if (skipped > 0) {
-      onProgress?.({ type: "dedupe_skipped", subreddit, skipped });
+  // Posts shaped before an interruption are kept and not fetched again; they
+  // are replayed from the checkpoint's log a line at a time
+  const harvestedIds = new Set();
+  const cursor = checkpoint?.cursorFor(subreddit) ?? { after: null, fetched: 0 };
+  let total = 0;
+  if (checkpoint) {
+    for await (const p of checkpoint.replayPosts(subreddit)) {
+      harvestedIds.add(p.id);
+      dedupeIndex?.add(p.id, { subreddit: p.subreddit });
+      total += 1;
+      yield p;
     }
   }
 
-  onProgress?.({ type: "posts_filtered", subreddit, totalPosts: posts.length });
+  if (total > 0 || cursor.after) {
+    onProgress?.({ type: "checkpoint_resumed", subreddit, posts: total, after: cursor.after, fetched: cursor.fetched });
+  }
 
-  const results = [];
+  let fetched = cursor.fetched;
 
-  for (let i = 0; i < posts.length; i += 1) {
-    const p = posts[i];
-    const createdIso = p?.created_utc ? new Date(p.created_utc * 1000).toISOString() : "";
+  const src = toSource(source ?? reddit);
 
-    onProgress?.({
-      type: "post_progress",
-      subreddit,
-      index: i + 1,
-      total: posts.length,
-      postId: p?.id,
-      title: p?.title
-    });
-
-    const postData = {
-      id: safeText(p.id),
-      subreddit,
-      title: safeText(p.title),
-      author: safeText(p.author?.name ?? p.author),
-      created: createdIso,
-      score: p.score ?? 0,
-      numComments: p.num_comments ?? 0,
-      url: safeText(p.url),
-      permalink: safeText(p.permalink),
-      selftext: safeText(p.selftext),
-      comments: []
-    };
-
-    if (includeComments) {
-      try {
-        onProgress?.({
-          type: "comments_expand_start",
-          subreddit,
-          index: i + 1,
-          total: posts.length,
-          postId: p?.id
-        });
-        postData.comments = await expandPostComments(p, { commentLimit, commentDepth });
-        onProgress?.({
-          type: "comments_expand_done",
+  // A windowed search has no resumable cursor; on resume it searches again
+  // and skips posts already harvested.
+  const pages =
+    search && searchWindow
+      ? fetchSearchWindow({
+          source: src,
           subreddit,
-          index: i + 1,
-          total: posts.length,
-          postId: p?.id,
-          comments: postData.comments.length
+          search,
+          after: highWater != null ? String(Math.max(parseDateToUnix(after) ?? 0, highWater + 1)) : after,
+          before,
+          limit,
+          onProgress
+        })
+      : fetchPages({
+          fetchPage: (page) => fetchPage(src, { subreddit, listing, time, search, ...page }),
+          limit,
+          after: cursor.after,
+          fetched: cursor.fetched,
+          context: { subreddit },
+          onProgress
         });
-      } catch (err) {
-        postData.commentsError = safeText(err?.message ?? err);
-        onProgress?.({
-          type: "comments_expand_error",
-          subreddit,
-          index: i + 1,
-          total: posts.length,
-          postId: p?.id,
-          error: postData.commentsError
-        });
-      }
+
+  for await (const page of pages) {
+    fetched = page.fetched;
+    if (page.complete) searchComplete = true;
+
+    for (const p of page.items) {
+      newestSeen = Math.max(newestSeen ?? 0, p.created_utc ?? 0);
+      if (storedMark != null && (p.created_utc ?? 0) <= storedMark) reachedMark = true;
     }
 
-    results.push(postData);
+    let items = page.items;
+    let reachedSeen = false;
+    if (highWater != null) {
+      items = items.filter((p) => (p.created_utc ?? 0) > highWater);
+      reachedSeen = items.length < page.items.length;
+    }
 
-    // Record in dedupe index
+    // Apply filters
+    let posts = applyFilters(items, filterSteps.pre, onDrop);
+    posts = posts.filter((p) => !harvestedIds.has(safeText(p.id)));
+
+    // Dedupe if index provided
     if (dedupeIndex) {
-      dedupeIndex.add(p.id);
+      const beforeCount = posts.length;
+      posts = posts.filter((p) => !dedupeIndex.has(p.id));
+      const skipped = beforeCount - posts.length;
+      if (skipped > 0) {
+        onProgress?.({ type: "dedupe_skipped", subreddit, skipped });
+      }
     }
+
+    const pageStart = total;
+    total += posts.length;
+    onProgress?.({ type: "posts_filtered", subreddit, totalPosts: total });
+
+    // Comments of several posts may load at once; results still arrive in order
+    const harvested = mapConcurrent(posts, concurrency, (p, i) =>
+      harvestPost(p, {
+        source: src,
+        subreddit,
+        index: pageStart + i + 1,
+        total,
+        includeComments,
+        commentLimit,
+        commentDepth,
+        isDeniedAuthor: filterSteps.isDeniedAuthor,
+        onProgress
+      })
+    );
+
+    for await (const shaped of harvested) {
+      // Filters that need the shaped post or its comment text
+      if (applyFilters([shaped], filterSteps.post, onDrop).length === 0) continue;
+      const postData = finishPost(shaped, { normalizer, redactor });
+
+      harvestedIds.add(postData.id);
+      await checkpoint?.addPost(subreddit, postData);
+
+      // Record in dedupe index
+      if (dedupeIndex) {
+        dedupeIndex.add(postData.id, { subreddit: postData.subreddit });
+      }
+
+      yield postData;
+    }
+
+    await checkpoint?.saveCursor(subreddit, { after: page.after, fetched });
+
+    // A newest-first listing has nothing new past the previous high-water mark
+    if (reachedSeen && listing === "new" && !searchWindow) {
+      onProgress?.({ type: "incremental_stop", subreddit, highWater, totalPosts: fetched });
+      break;
+    }
+  }
+
+  // Moving the mark claims every post newer than it was seen. That only holds
+  // when a newest-first listing paged back to the previous mark (or there was
+  // none yet), or a windowed search saw its whole window; other listings are
+  // not ordered by time.
+  const covered = searchWindow ? searchComplete : listing === "new" && (storedMark == null || reachedMark);
+  if (newestSeen && covered) {
+    dedupeIndex?.updateHighWater?.(subreddit, search, newestSeen);
   }
 
+  onProgress?.({ type: "posts_fetched", subreddit, totalPosts: fetched });
   onProgress?.({ type: "subreddit_done", subreddit });
+}
+
+/**
+ * Harvest posts from a subreddit and return them all at once. Takes the same
+ * options as `harvestSubredditStream`.
+ */
+export async function harvestSubreddit(opts) {
+  const results = [];
+  for await (const post of harvestSubredditStream(opts)) results.push(post);
   return results;
 }
 
 /**
- * Format posts array to plain text corpus.
+ * Format a comment tree as indented text blocks, numbering replies by their
+ * position in the thread (comment 2.1 is the first reply to comment 2).
  */
-export function formatPostsToText(posts, { subreddit, listing, time, limit, includeComments, commentLimit, search }) {
-  const header = [
-    `# Reddit corpus export`,
+function formatCommentTree(comments, prefix = "", indent = "") {
+  return comments.flatMap((c, idx) => {
+    const label = `${prefix}${idx + 1}`;
+    const body = c.body.replaceAll("\r\n", "\n").trim();
+    return [
+      [
+        `${indent}- comment ${label}:`,
+        `${indent}  author: ${c.author}`,
+        `${indent}  score: ${c.score}`,
+        `${indent}  body: ${escapePlaceholder(body, "(empty)")}`.replaceAll("\n", `\n${indent}  `)
+      ].join("\n"),
+      ...formatCommentTree(c.replies ?? [], `${label}.`, `${indent}  `)
+    ];
+  });
+}
+
+/**
+ * `text`, or `placeholder` when it is empty. Text that reads like the
+ * placeholder gets one more leading backslash, so the two stay apart when the
+ * corpus is parsed again (see unescapePlaceholder).
+ */
+function escapePlaceholder(text, placeholder) {
+  if (!text) return placeholder;
+  return text.replace(/^\\*/, "") === placeholder ? `\\${text}` : text;
+}
+
+/**
+ * Header lines describing where a corpus came from.
+ */
+function describeCorpusSource({ subreddit, listing, time, limit, search, postIds, user, imported, combined }) {
+  if (combined) return [`combined: ${combined.join(", ")}`, `limit: ${limit}`];
+  if (postIds) return [`posts: ${postIds.join(", ")}`];
+  if (imported) return [`subreddit: r/${subreddit}`, `imported: ${imported.join(", ")}`];
+  if (user) return [`user: u/${user}`, `limit: ${limit}`];
+  return [
     `subreddit: r/${subreddit}`,
     search ? `search: "${search}"` : `listing: ${listing}${listing === "top" ? ` (${time})` : ""}`,
-    `limit: ${limit}`,
+    `limit: ${limit}`
+  ];
+}
+
+/**
+ * Header lines for the metadata fields of a post. Records without them
+ * (user comments, older corpora) get none.
+ */
+function formatPostMetadata(p) {
+  if (p.isSelf === undefined) return [];
+  return [
+    fieldLine("flair", p.flair ?? ""),
+    `upvote_ratio: ${p.upvoteRatio ?? ""}`,
+    `is_self: ${p.isSelf}`,
+    `domain: ${p.domain}`,
+    `over_18: ${p.over18}`,
+    `crosspost_parent: ${p.crosspostParent ?? ""}`,
+    `edited: ${p.edited ?? ""}`,
+    `locked: ${p.locked}`,
+    `removed: ${p.removed}`,
+    `total_awards: ${p.totalAwards}`
+  ];
+}
+
+/**
+ * A `label: value` line of a text corpus post. Further lines of a multi-line
+ * value (a title can have them) are indented, as comment bodies are.
+ */
+function fieldLine(label, value) {
+  return `${label}: ${value}`.replaceAll("\n", "\n  ");
+}
+
+/**
+ * Header block of a text corpus holding `postCount` posts.
+ */
+function formatTextHeader(
+  postCount,
+  { subreddit, listing, time, limit, includeComments, commentLimit, search, postIds, user, imported, combined, exportedAt }
+) {
+  return [
+    `# Reddit corpus export`,
+    ...describeCorpusSource({ subreddit, listing, time, limit, search, postIds, user, imported, combined }),
     `includeComments: ${includeComments}`,
     `commentLimit: ${includeComments ? commentLimit : 0}`,
-    `postsHarvested: ${posts.length}`,
-    `exportedAt: ${new Date().toISOString()}`,
+    `postsHarvested: ${postCount}`,
+    `exportedAt: ${exportedAt ?? new Date().toISOString()}`,
     ``
   ].join("\n");
+}
 
-  const sections = [header];
+/**
+ * Text sections for the post at `index` (0-based) of `total`: the post block,
+ * then its comments when they were harvested. Posts of user histories and
+ * combined corpora name their subreddit.
+ */
+function formatTextPost(p, index, total, { includeComments, combined }) {
+  const sections = [
+    [
+      `---`,
+      `POST ${index + 1}/${total}`,
+      ...(p.kind ? [`kind: ${p.kind}`] : []),
+      ...(p.kind || combined ? [`subreddit: r/${p.subreddit}`] : []),
+      `id: ${p.id}`,
+      fieldLine("title", p.title),
+      `author: ${p.author}`,
+      `created: ${p.created}`,
+      `score: ${p.score}`,
+      `num_comments: ${p.numComments}`,
+      ...formatPostMetadata(p),
+      ...(p.duplicateOf ? [`duplicate_of: ${p.duplicateOf}`] : []),
+      `url: ${p.url}`,
+      `permalink: ${p.permalink}`,
+      ``,
+      `selftext:`,
+      escapePlaceholder(p.selftext.trim(), "(no selftext)"),
+      ``
+    ].join("\n")
+  ];
 
-  for (let i = 0; i < posts.length; i += 1) {
-    const p = posts[i];
+  if (!includeComments) return sections;
 
-    sections.push(
-      [
-        `---`,
-        `POST ${i + 1}/${posts.length}`,
-        `id: ${p.id}`,
-        `title: ${p.title}`,
-        `author: ${p.author}`,
-        `created: ${p.created}`,
-        `score: ${p.score}`,
-        `num_comments: ${p.numComments}`,
-        `url: ${p.url}`,
-        `permalink: ${p.permalink}`,
-        ``,
-        `selftext:`,
-        p.selftext.trim() || "(no selftext)",
-        ``
-      ].join("\n")
-    );
+  if (p.commentsError) {
+    sections.push(`comments:\n(error: ${p.commentsError})\n`);
+  } else if (p.comments.length === 0) {
+    sections.push(`comments:\n(none)\n`);
+  } else {
+    sections.push(["comments:", ...formatCommentTree(p.comments), ""].join("\n"));
+  }
+  return sections;
+}
 
-    if (!includeComments) continue;
+/**
+ * Format posts array to plain text corpus.
+ */
+export function formatPostsToText(posts, opts) {
+  const sections = [formatTextHeader(posts.length, opts)];
+  posts.forEach((p, i) => sections.push(...formatTextPost(p, i, posts.length, opts)));
+  return sections.join("\n");
+}
+
+const TEXT_CORPUS_TITLE = "# Reddit corpus export";
+
+/**
+ * Whether `content` is a text corpus written by `formatPostsToText`.
+ */
+export function isTextCorpus(content) {
+  return content.startsWith(`${TEXT_CORPUS_TITLE}\n`);
+}
+
+// Header values as formatTextHeader printed them: booleans, numbers, and
+// options that were never set
+function parseHeaderValue(v) {
+  if (v === "true" || v === "false") return v === "true";
+  if (v === "undefined") return undefined;
+  if (v === "null") return null;
+  return v !== "" && Number.isFinite(Number(v)) ? Number(v) : v;
+}
+
+/**
+ * Corpus options from the header lines of a text corpus, undoing
+ * describeCorpusSource.
+ */
+function parseTextHeader(lines) {
+  const meta = {};
+  const list = (v) => (v ? v.split(", ") : []);
+  for (const line of lines.slice(1)) {
+    const sep = line.indexOf(": ");
+    if (sep === -1) throw new Error(`Unexpected corpus header line: ${line}`);
+    const [key, value] = [line.slice(0, sep), line.slice(sep + 2)];
+    if (key === "combined") meta.combined = list(value);
+    else if (key === "posts") meta.postIds = list(value);
+    else if (key === "imported") meta.imported = list(value);
+    else if (key === "subreddit") meta.subreddit = value.replace(/^r\//, "");
+    else if (key === "user") meta.user = value.replace(/^u\//, "");
+    else if (key === "search") meta.search = value.slice(1, -1);
+    else if (key === "listing") {
+      const [, listing, time] = /^(\S+)(?: \((.+)\))?$/.exec(value);
+      meta.listing = listing;
+      if (time !== undefined) meta.time = time;
+    } else if (key === "exportedAt") meta.exportedAt = value;
+    else meta[key] = parseHeaderValue(value);
+  }
+  return meta;
+}
+
+const orNull = (v) => (v === "" ? null : v);
+
+// Undo escapePlaceholder
+function unescapePlaceholder(text, placeholder) {
+  if (text === placeholder) return "";
+  return text.startsWith("\\") && text.replace(/^\\*/, "") === placeholder ? text.slice(1) : text;
+}
+
+// Post header lines of a text corpus: label → [field, parse]
+const TEXT_POST_FIELDS = {
+  kind: ["kind", String],
+  subreddit: ["subreddit", (v) => v.replace(/^r\//, "")],
+  id: ["id", String],
+  title: ["title", String],
+  author: ["author", String],
+  created: ["created", String],
+  score: ["score", Number],
+  num_comments: ["numComments", Number],
+  flair: ["flair", orNull],
+  upvote_ratio: ["upvoteRatio", (v) => (v === "" ? null : Number(v))],
+  is_self: ["isSelf", (v) => v === "true"],
+  domain: ["domain", String],
+  over_18: ["over18", (v) => v === "true"],
+  crosspost_parent: ["crosspostParent", orNull],
+  edited: ["edited", orNull],
+  locked: ["locked", (v) => v === "true"],
+  removed: ["removed", (v) => v === "true"],
+  total_awards: ["totalAwards", Number],
+  duplicate_of: ["duplicateOf", String],
+  url: ["url", String],
+  permalink: ["permalink", String]
+};
+
+/**
+ * Comment tree from the lines of a text corpus comments block, undoing
+ * formatCommentTree. The text has no comment IDs or times, so those come back
+ * empty, as does the parent of each reply.
+ */
+function parseTextComments(lines, postId) {
+  let pos = 0;
+  const isCommentStart = (at, label, indent) =>
+    lines[at] === `${indent}- comment ${label}:` &&
+    Boolean(lines[at + 1]?.startsWith(`${indent}  author: `)) &&
+    Boolean(lines[at + 2]?.startsWith(`${indent}  score: `)) &&
+    Boolean(lines[at + 3]?.startsWith(`${indent}  body: `));
 
-    if (p.commentsError) {
-      sections.push(`comments:\n(error: ${p.commentsError})\n`);
-      continue;
+  const readLevel = (prefix, indent, depth, parentId) => {
+    const comments = [];
+    const inner = `${indent}  `;
+    for (let n = 1; isCommentStart(pos, `${prefix}${n}`, indent); n++) {
+      const label = `${prefix}${n}`;
+      const value = (offset, key) => lines[pos + offset].slice(`${inner}${key}: `.length);
+      const comment = { id: "", parentId, depth, author: value(1, "author"), score: Number(value(2, "score")) };
+      const bodyLines = [value(3, "body")];
+      pos += 4;
+      // Body lines continue at the inner indent until the first reply
+      while (pos < lines.length && lines[pos].startsWith(inner) && !isCommentStart(pos, `${label}.1`, inner)) {
+        bodyLines.push(lines[pos].slice(inner.length));
+        pos += 1;
+      }
+      const body = bodyLines.join("\n");
+      comment.body = unescapePlaceholder(body, "(empty)");
+      comment.created = "";
+      comment.replies = readLevel(`${label}.`, inner, depth + 1, "");
+      comments.push(comment);
     }
+    return comments;
+  };
+
+  const comments = readLevel("", "", 0, postId);
+  if (pos < lines.length) throw new Error(`Unexpected line in comments of post ${postId}: ${lines[pos]}`);
+  return comments;
+}
+
+/**
+ * One post of a text corpus, from the text after its `POST i/n` line.
+ */
+function parseTextPost(chunk, { includeComments, subreddit }) {
+  let body = chunk;
+  let commentsText = null;
+  if (includeComments) {
+    // Comment lines are indented, so only the real comments block starts a line
+    const at = chunk.lastIndexOf("\n\ncomments:\n");
+    if (at === -1) throw new Error(`Missing comments block in post: ${chunk.slice(0, 80)}`);
+    [body, commentsText] = [chunk.slice(0, at), chunk.slice(at + "\n\ncomments:\n".length)];
+  }
+
+  const at = body.indexOf("\n\nselftext:\n");
+  if (at === -1) throw new Error(`Missing selftext in post: ${chunk.slice(0, 80)}`);
+  // Indented lines continue the value of the field above (see fieldLine)
+  const lines = [];
+  for (const line of body.slice(0, at).split("\n")) {
+    if (line.startsWith("  ") && lines.length > 0) lines[lines.length - 1] += `\n${line.slice(2)}`;
+    else lines.push(line);
+  }
+  const post = {};
+  for (const line of lines) {
+    const sep = line.indexOf(": ");
+    const field = TEXT_POST_FIELDS[sep === -1 ? line.replace(/:$/, "") : line.slice(0, sep)];
+    if (!field) throw new Error(`Unexpected post line: ${line}`);
+    post[field[0]] = field[1](sep === -1 ? "" : line.slice(sep + 2));
+  }
+
+  // Thread lists don't name subreddits; their permalinks do
+  post.subreddit ??= subreddit ?? /^\/r\/([^/]+)\//.exec(post.permalink ?? "")?.[1] ?? "";
+  const selftext = body.slice(at + "\n\nselftext:\n".length);
+  post.selftext = unescapePlaceholder(selftext, "(no selftext)");
+  post.comments = [];
 
-    if (p.comments.length === 0) {
-      sections.push(`comments:\n(none)\n`);
-      continue;
+  if (commentsText?.startsWith("(error: ") && commentsText.endsWith(")")) {
+    post.commentsError = commentsText.slice("(error: ".length, -1);
+  } else if (commentsText && commentsText !== "(none)") {
+    post.comments = parseTextComments(commentsText.split("\n"), post.id);
+  }
+  return post;
+}
+
+/**
+ * Parse a text corpus written by `formatPostsToText` back into its options
+ * (`meta`, which formats the same header again) and post records.
+ *
+ * Formatting the result again reproduces the text exactly. The text does not
+ * carry comment IDs, parents and times, user comments' thread links, or the
+ * whitespace around bodies, so those come back empty or trimmed.
+ */
+export function parseTextCorpus(content) {
+  if (!isTextCorpus(content)) throw new Error(`Not a reddit-harvest text corpus (expected "${TEXT_CORPUS_TITLE}")`);
+
+  const first = /\n\n---\nPOST 1\/(\d+)\n/.exec(content);
+  const headerEnd = first ? first.index : content.replace(/\n$/, "").length;
+  const meta = parseTextHeader(content.slice(0, headerEnd).split("\n"));
+  if (!first) return { meta, posts: [] };
+
+  const total = Number(first[1]);
+  const posts = [];
+  let start = first.index + first[0].length;
+  for (let i = 1; i <= total; i++) {
+    const marker = `\n\n---\nPOST ${i + 1}/${total}\n`;
+    const next = i < total ? findPostMarker(content, marker, start) : -1;
+    if (i < total && next === -1) throw new Error(`Text corpus is missing POST ${i + 1}/${total}`);
+    const chunk = next === -1 ? content.slice(start).replace(/\n$/, "") : content.slice(start, next);
+    posts.push(parseTextPost(chunk, meta));
+    if (next !== -1) start = next + marker.length;
+  }
+  return { meta, posts };
+}
+
+/**
+ * Where `marker` (a `POST i/n` separator) starts in `content` from `start`,
+ * or -1. A selftext or comment can contain the separator too, so only one
+ * followed by a post header line counts.
+ */
+function findPostMarker(content, marker, start) {
+  for (let at = content.indexOf(marker, start); at !== -1; at = content.indexOf(marker, at + 1)) {
+    const line = content.slice(at + marker.length, content.indexOf("\n", at + marker.length));
+    if (/^(kind|subreddit|id): /.test(line)) return at;
+  }
+  return -1;
+}
+
+/**
+ * Format posts as corpus file content in the requested output format.
+ */
+export async function formatCorpus(posts, format, textOpts = {}) {
+  if (format === "jsonl") return formatPostsToJSONL(posts);
+  if (format === "csv") return formatPostsToCSV(posts, { comments: textOpts.csvComments });
+  if (format === "md") return formatPostsToMarkdown(posts, textOpts);
+  return formatPostsToText(posts, textOpts);
+}
+
+// Formats whose header states the post count, rendered from a spool on close
+const RENDERED_FORMATS = {
+  txt: { header: formatTextHeader, post: formatTextPost },
+  md: { header: formatMarkdownHeader, post: (p, index, total, opts) => [formatPostMarkdown(p, index, opts)] }
+};
+
+/**
+ * Render a txt or md corpus from spooled JSONL posts, a line at a time.
+ * Returns the length of the text written.
+ */
+async function renderCorpus(spoolPath, filePath, format, postCount, textOpts) {
+  const { header: formatHeader, post: formatPost } = RENDERED_FORMATS[format];
+  const out = await fs.open(filePath, "w");
+  try {
+    const header = formatHeader(postCount, textOpts);
+    await out.write(header);
+    let textLength = header.length;
+
+    const lines = readline.createInterface({ input: createReadStream(spoolPath), crlfDelay: Infinity });
+    let index = 0;
+    for await (const line of lines) {
+      if (!line) continue;
+      for (const section of formatPost(JSON.parse(line), index, postCount, textOpts)) {
+        await out.write("\n" + section);
+        textLength += section.length + 1;
+      }
+      index += 1;
     }
+    return textLength;
+  } finally {
+    await out.close();
+  }
+}
 
-    const commentLines = p.comments.map((c, idx) => {
-      const body = c.body.replaceAll("\r\n", "\n").trim();
-      return [
-        `- comment ${idx + 1}:`,
-        `  author: ${c.author}`,
-        `  score: ${c.score}`,
-        `  body: ${body || "(empty)"}`.replaceAll("\n", "\n  ")
-      ].join("\n");
-    });
+/**
+ * Open a corpus file that posts are written to one at a time, as they are
+ * harvested, so memory stays flat and a crash leaves the posts so far on disk.
+ *
+ * JSONL lines and CSV rows (one per post, or per comment with
+ * `textOpts.csvComments`) are appended to the file itself. txt and md corpora
+ * state their post count up front, so their posts are spooled as JSONL to
+ * `<file>.partial` and rendered into the file by `close()`. `abort()` stops
+ * writing and leaves whatever was written in place.
+ */
+export async function createCorpusWriter(filePath, format = "txt", textOpts = {}) {
+  await ensureDir(path.dirname(filePath));
+  const direct = format === "jsonl" || format === "csv";
+  const spoolPath = direct ? filePath : `${filePath}.partial`;
+  const spool = await fs.open(spoolPath, "w");
+  const csvOpts = { comments: Boolean(textOpts.csvComments) };
+  let postCount = 0;
+  let textLength = 0;
 
-    sections.push(["comments:", ...commentLines, ""].join("\n"));
+  if (format === "csv") {
+    const header = formatCSVHeader(csvOpts);
+    await spool.write(header);
+    textLength = header.length;
   }
 
-  return sections.join("\n");
+  return {
+    filePath,
+    get postCount() {
+      return postCount;
+    },
+    async write(post) {
+      const line = format === "csv" ? formatPostCSVRows(post, csvOpts) : JSON.stringify(post) + "\n";
+      await spool.write(line);
+      postCount += 1;
+      textLength += line.length;
+    },
+    async close() {
+      if (direct) {
+        // Same content as formatPostsToJSONL, which writes a bare newline for no posts
+        if (format === "jsonl" && postCount === 0) {
+          await spool.write("\n");
+          textLength = 1;
+        }
+        await spool.close();
+        return { filePath, textLength, postCount };
+      }
+
+      await spool.close();
+      textLength = await renderCorpus(spoolPath, filePath, corpusExtension(format), postCount, textOpts);
+      await fs.rm(spoolPath);
+      return { filePath, textLength, postCount };
+    },
+    async abort() {
+      await spool.close();
+    }
+  };
+}
+
+/**
+ * Stands in for a corpus writer when posts go only to a store.
+ */
+function createCountingWriter() {
+  let postCount = 0;
+  return {
+    filePath: null,
+    get postCount() {
+      return postCount;
+    },
+    async write() {
+      postCount += 1;
+    },
+    async close() {
+      return { filePath: null, textLength: 0, postCount };
+    },
+    async abort() {}
+  };
+}
+
+async function* readJSONLFiles(inputs) {
+  for (const input of inputs) {
+    const lines = readline.createInterface({ input: createReadStream(input), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
+  }
+}
+
+/**
+ * Merge JSONL corpus files, in order, into a single corpus file in `format`.
+ * Posts are copied one at a time. `textOpts.combined` lists what was merged
+ * (e.g. `["r/startups", "posts"]`) for the txt and md headers.
+ *
+ * With `nearDuplicates` (true, or options for `findDuplicateClusters`), a
+ * first pass fingerprints every post and the merged posts are marked with
+ * `duplicateOf` / `duplicates` (see `markDuplicates`); the result then counts
+ * the clusters found.
+ */
+export async function combineCorpusFiles({ inputs, filePath, format = "txt", textOpts = {}, nearDuplicates = false }) {
+  let marks = null;
+  let summary = null;
+  if (nearDuplicates) {
+    const described = [];
+    for await (const post of readJSONLFiles(inputs)) described.push(describePost(post));
+    const clusters = findDuplicateClusters(described, nearDuplicates === true ? {} : nearDuplicates);
+    marks = duplicateMarks(clusters, described);
+    summary = summarizeClusters(clusters);
+  }
+
+  const writer = await createCorpusWriter(filePath, format, textOpts);
+  try {
+    for await (const post of readJSONLFiles(inputs)) {
+      await writer.write(marks?.has(String(post.id)) ? { ...post, ...marks.get(String(post.id)) } : post);
+    }
+  } catch (err) {
+    await writer.abort();
+    throw err;
+  }
+  const output = await writer.close();
+  return summary ? { ...output, nearDuplicates: summary } : output;
 }
 
 /**
@@ -277,8 +998,25 @@ export async function harvestSubredditToText(opts) {
 
 /**
  * Harvest multiple subreddits and write to files.
+ *
+ * With `concurrency` above 1, that many subreddits are harvested at once and
+ * each one expands that many posts' comments at once, all sharing the source's
+ * request budget. Files, `outputs` and `allPosts` come out in the order the
+ * subreddits were given regardless.
+ *
+ * Each post is written to its subreddit's file as soon as it is harvested
+ * (see `createCorpusWriter`). Pass `keepPosts: false` to leave `allPosts`
+ * empty rather than holding every post of the run in memory.
+ *
+ * A `store` (see `openStore`) receives each post too, linked to the run. With
+ * `writeFiles: false` posts go only to the store and outputs have no filePath.
+ *
+ * A `normalizer` (see `normalize.js`) cleans each post's text; with a
+ * `redactor` (see `redact.js`), files, store and `allPosts` only ever hold
+ * redacted posts.
  */
 export async function harvestSubredditsToFiles({
+  source,
   reddit,
   subreddits,
   outDir,
@@ -286,67 +1024,412 @@ export async function harvestSubredditsToFiles({
   time,
   limit,
   search,
+  searchWindow,
   minScore,
   minComments,
   after,
   before,
+  filters,
   includeComments,
   commentLimit,
   commentDepth,
   dedupeIndex,
+  incremental = false,
+  checkpoint = null,
   format = "txt",
+  csvComments = false,
+  concurrency = 1,
+  keepPosts = true,
+  store = null,
+  writeFiles = true,
+  normalizer = null,
+  redactor = null,
   onProgress
 }) {
-  const ts = nowTimestampForFiles();
+  const ts = checkpoint?.runId ?? nowTimestampForFiles();
+  const src = toSource(source ?? reddit);
   const outputs = [];
   const allPosts = [];
 
-  for (const sr of subreddits) {
-    const posts = await harvestSubreddit({
-      reddit,
+  const harvestOne = async (sr) => {
+    // Subreddits finished before an interruption keep their existing file
+    const completed = checkpoint?.completedOutput(sr);
+    if (completed) {
+      const posts = [];
+      for await (const p of checkpoint.replayPosts(sr)) {
+        dedupeIndex?.add(p.id, { subreddit: p.subreddit });
+        if (keepPosts) posts.push(p);
+      }
+      onProgress?.({ type: "checkpoint_skipped", ...completed });
+      return { posts, output: completed };
+    }
+
+    const fileName = `${ts}-r_${sanitizeForFilename(sr)}.${corpusExtension(format)}`;
+    const writer = writeFiles
+      ? await createCorpusWriter(path.join(outDir, fileName), format, {
+          subreddit: sr,
+          listing,
+          time,
+          limit,
+          includeComments,
+          commentLimit,
+          search,
+          csvComments
+        })
+      : createCountingWriter();
+
+    const stream = harvestSubredditStream({
+      source: src,
       subreddit: sr,
       listing,
       time,
       limit,
       search,
+      searchWindow,
       minScore,
       minComments,
       after,
       before,
+      filters,
       includeComments,
       commentLimit,
       commentDepth,
       dedupeIndex,
+      incremental,
+      checkpoint,
+      concurrency,
+      normalizer,
+      redactor,
       onProgress
     });
 
+    const posts = [];
+    try {
+      for await (const post of stream) {
+        await writer.write(post);
+        store?.addPosts([post], { runId: ts });
+        if (keepPosts) posts.push(post);
+      }
+    } catch (err) {
+      await writer.abort();
+      throw err;
+    }
+
+    const { filePath, textLength, postCount } = await writer.close();
+    const output = { subreddit: sr, filePath, textLength, postCount };
+    await checkpoint?.completeSubreddit(sr, output);
+
+    onProgress?.({ type: "file_written", ...output });
+    return { posts, output };
+  };
+
+  for await (const { posts, output } of mapConcurrent(subreddits, concurrency, harvestOne)) {
     allPosts.push(...posts);
+    outputs.push(output);
+  }
 
-    const ext = format === "jsonl" ? "jsonl" : "txt";
-    const fileName = `${ts}-r_${sanitizeForFilename(sr)}.${ext}`;
-    const filePath = path.join(outDir, fileName);
-
-    let content;
-    if (format === "jsonl") {
-      // Import formatter dynamically to avoid circular deps
-      const { formatPostsToJSONL } = await import("./formatters.js");
-      content = formatPostsToJSONL(posts);
-    } else {
-      content = formatPostsToText(posts, {
-        subreddit: sr,
-        listing,
-        time,
-        limit,
-        includeComments,
-        commentLimit,
-        search
-      });
+  return { timestamp: ts, outputs, allPosts };
+}
+
+/**
+ * Harvest specific submissions by ID, shaping them exactly like listing posts.
+ * Posts that fail to load are reported and skipped. The threads are explicitly
+ * chosen, so `filters` only prune comments by excluded authors and bots.
+ * Up to `concurrency` threads load at once; results keep the order of `postIds`.
+ */
+export async function harvestPosts({
+  source,
+  reddit,
+  postIds,
+  filters = {},
+  includeComments = false,
+  commentLimit = 50,
+  commentDepth = 1,
+  dedupeIndex = null,
+  concurrency = 1,
+  onProgress
+}) {
+  const src = toSource(source ?? reddit);
+  const { isDeniedAuthor } = createFilters(filters);
+  let ids = postIds;
+
+  // Dedupe if index provided
+  if (dedupeIndex) {
+    ids = postIds.filter((id) => !dedupeIndex.has(id));
+    const skipped = postIds.length - ids.length;
+    if (skipped > 0) {
+      onProgress?.({ type: "dedupe_skipped", skipped });
     }
+  }
+
+  const results = [];
+
+  const harvestOne = async (id, i) => {
+    let p;
+    try {
+      p = await src.submission(id);
+    } catch (err) {
+      onProgress?.({ type: "post_fetch_error", index: i + 1, total: ids.length, postId: id, error: safeText(err?.message ?? err) });
+      return null;
+    }
+
+    return harvestPost(p, {
+      source: src,
+      subreddit: safeText(p.subreddit?.display_name ?? p.subreddit),
+      index: i + 1,
+      total: ids.length,
+      includeComments,
+      commentLimit,
+      commentDepth,
+      isDeniedAuthor,
+      onProgress
+    });
+  };
+
+  for await (const postData of mapConcurrent(ids, concurrency, harvestOne)) {
+    if (!postData) continue;
+    results.push(postData);
+
+    // Record in dedupe index
+    if (dedupeIndex) {
+      dedupeIndex.add(postData.id, { subreddit: postData.subreddit });
+    }
+  }
+
+  return results;
+}
 
+/**
+ * Harvest specific submissions by ID and write them as a single corpus file,
+ * and/or to a `store` (see `harvestSubredditsToFiles`).
+ */
+export async function harvestPostsToFile({
+  source,
+  reddit,
+  postIds,
+  outDir,
+  filters,
+  includeComments,
+  commentLimit,
+  commentDepth,
+  dedupeIndex,
+  format = "txt",
+  csvComments = false,
+  timestamp = null,
+  concurrency = 1,
+  store = null,
+  writeFiles = true,
+  normalizer = null,
+  redactor = null,
+  onProgress
+}) {
+  const ts = timestamp ?? nowTimestampForFiles();
+  const harvested = await harvestPosts({
+    source,
+    reddit,
+    postIds,
+    filters,
+    includeComments,
+    commentLimit,
+    commentDepth,
+    dedupeIndex,
+    concurrency,
+    onProgress
+  });
+  const posts = harvested.map((p) => finishPost(p, { normalizer, redactor }));
+
+  store?.addPosts(posts, { runId: ts });
+
+  let output = { subreddit: null, filePath: null, textLength: 0, postCount: posts.length };
+  if (writeFiles) {
+    const filePath = path.join(outDir, `${ts}-posts.${corpusExtension(format)}`);
+    const content = await formatCorpus(posts, format, { includeComments, commentLimit, postIds, csvComments });
     await writeTextFile(filePath, content);
-    outputs.push({ subreddit: sr, filePath, textLength: content.length, postCount: posts.length });
+    output = { ...output, filePath, textLength: content.length };
+  }
+  onProgress?.({ type: "file_written", ...output });
+
+  return { timestamp: ts, output, posts };
+}
+
+/**
+ * Shape a user's comment into a post-like record. The comment body becomes
+ * `selftext` and the title is that of the thread it was posted in.
+ */
+function shapeUserComment(c) {
+  return {
+    kind: "comment",
+    id: safeText(c.id),
+    subreddit: safeText(c.subreddit?.display_name ?? c.subreddit),
+    title: safeText(c.link_title),
+    author: safeText(c.author?.name ?? c.author),
+    created: c.created_utc ? new Date(c.created_utc * 1000).toISOString() : "",
+    score: c.score ?? 0,
+    numComments: 0,
+    url: safeText(c.link_url),
+    permalink: safeText(c.permalink),
+    selftext: safeText(c.body),
+    linkId: fullnameToId(c.link_id),
+    parentId: fullnameToId(c.parent_id),
+    comments: []
+  };
+}
+
+/**
+ * Harvest a user's submission and comment history, newest first.
+ * Returns post records with `kind: "submission"` or `kind: "comment"`.
+ */
+export async function harvestUser({
+  source,
+  reddit,
+  username,
+  limit = 25,
+  minScore = null,
+  minComments = null,
+  after = null,
+  before = null,
+  filters = {},
+  includeComments = false,
+  commentLimit = 50,
+  commentDepth = 1,
+  dedupeIndex = null,
+  onProgress
+}) {
+  onProgress?.({ type: "user_start", user: username, limit });
+
+  const src = toSource(source ?? reddit);
+  const histories = [
+    { kind: "submission", fetchPage: (page) => src.userSubmissions(username, page) },
+    { kind: "comment", fetchPage: (page) => src.userComments(username, page) }
+  ];
+
+  const results = [];
+
+  for (const { kind, fetchPage } of histories) {
+    // Comments have no comment count of their own
+    const filterSteps = createFilters(
+      { minScore, minComments: kind === "submission" ? minComments : null, after, before, ...filters },
+      { includeComments: includeComments && kind === "submission" }
+    );
+    const onDrop = (filter, dropped) => onProgress?.({ type: "filter_dropped", user: username, kind, filter, dropped });
+
+    for await (const page of fetchPages({ fetchPage, limit, context: { user: username, kind }, onProgress })) {
+      let items = applyFilters(page.items, filterSteps.pre, onDrop);
+
+      // Dedupe if index provided
+      if (dedupeIndex) {
+        const beforeCount = items.length;
+        items = items.filter((p) => !dedupeIndex.has(p.id));
+        const skipped = beforeCount - items.length;
+        if (skipped > 0) {
+          onProgress?.({ type: "dedupe_skipped", user: username, kind, skipped });
+        }
+      }
+
+      for (const item of items) {
+        const record =
+          kind === "comment"
+            ? shapeUserComment(item)
+            : {
+                kind,
+                ...(await harvestPost(item, {
+                  source: src,
+                  subreddit: safeText(item.subreddit?.display_name ?? item.subreddit),
+                  index: results.length + 1,
+                  total: results.length + items.length,
+                  includeComments,
+                  commentLimit,
+                  commentDepth,
+                  isDeniedAuthor: filterSteps.isDeniedAuthor,
+                  onProgress
+                }))
+              };
+
+        // Filters that need the shaped post or its comment text
+        if (applyFilters([record], filterSteps.post, onDrop).length === 0) continue;
+
+        results.push(record);
+
+        // Record in dedupe index
+        if (dedupeIndex) {
+          dedupeIndex.add(record.id, { subreddit: record.subreddit, kind: record.kind === "comment" ? "comment" : "post" });
+        }
+      }
+    }
+  }
+
+  results.sort((a, b) => b.created.localeCompare(a.created));
+
+  onProgress?.({ type: "user_done", user: username, totalPosts: results.length });
+  return results;
+}
+
+/**
+ * Harvest several users' histories and write one corpus file per user,
+ * and/or to a `store` (see `harvestSubredditsToFiles`). With a `redactor`,
+ * file names and headers carry each user's pseudonym rather than their name.
+ */
+export async function harvestUsersToFiles({
+  source,
+  reddit,
+  users,
+  outDir,
+  limit,
+  minScore,
+  minComments,
+  after,
+  before,
+  filters,
+  includeComments,
+  commentLimit,
+  commentDepth,
+  dedupeIndex,
+  format = "txt",
+  csvComments = false,
+  timestamp = null,
+  store = null,
+  writeFiles = true,
+  normalizer = null,
+  redactor = null,
+  onProgress
+}) {
+  const ts = timestamp ?? nowTimestampForFiles();
+  const src = toSource(source ?? reddit);
+  const outputs = [];
+  const allPosts = [];
+
+  for (const username of users) {
+    const harvested = await harvestUser({
+      source: src,
+      username,
+      limit,
+      minScore,
+      minComments,
+      after,
+      before,
+      filters,
+      includeComments,
+      commentLimit,
+      commentDepth,
+      dedupeIndex,
+      onProgress
+    });
+    const posts = harvested.map((p) => finishPost(p, { normalizer, redactor }));
+    const user = redactor ? redactor.pseudonym(username) : username;
+
+    allPosts.push(...posts);
+    store?.addPosts(posts, { runId: ts });
+
+    let output = { subreddit: null, user, filePath: null, textLength: 0, postCount: posts.length };
+    if (writeFiles) {
+      const filePath = path.join(outDir, `${ts}-u_${sanitizeForFilename(user)}.${corpusExtension(format)}`);
+      const content = await formatCorpus(posts, format, { limit, includeComments, commentLimit, user, csvComments });
+      await writeTextFile(filePath, content);
+      output = { ...output, filePath, textLength: content.length };
+    }
+    outputs.push(output);
 
-    onProgress?.({ type: "file_written", subreddit: sr, filePath, textLength: content.length, postCount: posts.length });
+    onProgress?.({ type: "file_written", ...output });
   }
 
   return { timestamp: ts, outputs, allPosts };
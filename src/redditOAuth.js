@@ -0,0 +1,148 @@
+import { parseRateLimitHeaders, retryAfterMs } from "./scheduler.js";
+
+const TOKEN_URL = "https://www.reddit.com/api/v1/access_token";
+const API_BASE = "https://oauth.reddit.com";
+
+// Refresh the access token this long before Reddit says it expires.
+const TOKEN_EXPIRY_MARGIN_MS = 60_000;
+
+/**
+ * Build an error carrying the HTTP status (and response headers), like
+ * snoowrap's request errors, so the scheduler can tell rate limits and server
+ * errors apart and honour `Retry-After`.
+ */
+function httpError(statusCode, message, headers = null) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (headers) {
+    err.headers = Object.fromEntries(headers.entries?.() ?? Object.entries(headers));
+    err.retryAfterMs = retryAfterMs(err);
+  }
+  return err;
+}
+
+/**
+ * Unwrap a Reddit Listing into its items' data, dropping "more" stubs.
+ */
+function listingItems(listing) {
+  return (listing?.data?.children ?? []).filter((c) => c.kind !== "more").map((c) => c.data);
+}
+
+/**
+ * Unwrap a comment Listing into comments with `replies` as nested arrays.
+ */
+function commentTree(listing) {
+  return listingItems(listing).map((c) => ({ ...c, replies: c.replies ? commentTree(c.replies) : [] }));
+}
+
+/**
+ * Create a data source backed by Reddit's OAuth JSON API, called with `fetch`.
+ *
+ * With a `refreshToken` requests are made on behalf of that user; without one
+ * the app authenticates on its own (client-credentials grant), which is enough
+ * to read public subreddits, threads and user histories. An expired or
+ * rejected token is renewed once.
+ *
+ * The source makes requests as soon as it is called; wrap it with
+ * `createScheduledSource` for spacing, retries and rate-limit budgeting.
+ * `rateLimit()` returns the budget reported by the latest response.
+ */
+export function createOAuthSource({
+  clientId,
+  clientSecret,
+  userAgent,
+  refreshToken = null,
+  fetch: fetchImpl = globalThis.fetch,
+  tokenUrl = TOKEN_URL,
+  apiBase = API_BASE
+}) {
+  if (!clientId || !clientSecret) throw new Error("Reddit OAuth needs a client ID and client secret");
+  if (!userAgent) throw new Error("Reddit OAuth needs a user agent");
+
+  let token = null;
+  let rateLimit = null;
+
+  async function authenticate() {
+    const grant = refreshToken
+      ? { grant_type: "refresh_token", refresh_token: refreshToken }
+      : { grant_type: "client_credentials" };
+
+    const res = await fetchImpl(tokenUrl, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+        "User-Agent": userAgent
+      },
+      body: new URLSearchParams(grant).toString()
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.access_token) {
+      throw httpError(res.status, `Reddit OAuth token request failed (${res.status}): ${json.error ?? res.statusText}`);
+    }
+
+    token = {
+      accessToken: json.access_token,
+      expiresAt: Date.now() + (json.expires_in ?? 3600) * 1000 - TOKEN_EXPIRY_MARGIN_MS
+    };
+  }
+
+  async function request(pathname, params = {}, { renewed = false } = {}) {
+    if (!token || Date.now() >= token.expiresAt) await authenticate();
+
+    const url = new URL(pathname, apiBase);
+    for (const [key, value] of Object.entries({ ...params, raw_json: 1 })) {
+      if (value !== null && value !== undefined) url.searchParams.set(key, String(value));
+    }
+
+    const res = await fetchImpl(url.toString(), {
+      headers: { Authorization: `Bearer ${token.accessToken}`, "User-Agent": userAgent }
+    });
+    rateLimit = parseRateLimitHeaders(res.headers) ?? rateLimit;
+
+    if (res.status === 401 && !renewed) {
+      token = null;
+      return request(pathname, params, { renewed: true });
+    }
+    if (!res.ok) {
+      throw httpError(res.status, `Reddit API ${res.status} ${res.statusText} for ${url.pathname}`, res.headers);
+    }
+    return res.json();
+  }
+
+  return {
+    name: "oauth",
+    rateLimit() {
+      return rateLimit;
+    },
+    async listing({ subreddit, listing, time, limit, after }) {
+      if (!["hot", "new", "top"].includes(listing)) {
+        throw new Error(`Unknown listing: ${listing} (expected hot|new|top)`);
+      }
+      const params = { limit, after, ...(listing === "top" ? { t: time } : {}) };
+      return listingItems(await request(`/r/${encodeURIComponent(subreddit)}/${listing}`, params));
+    },
+    async search({ subreddit, query, sort, time, limit, after }) {
+      const params = { q: query, restrict_sr: 1, type: "link", sort, t: time, limit, after };
+      return listingItems(await request(`/r/${encodeURIComponent(subreddit)}/search`, params));
+    },
+    async submission(id) {
+      const [post] = listingItems(await request("/api/info", { id: `t3_${id}` }));
+      if (!post) throw httpError(404, `Reddit API 404 Not Found for submission ${id}`);
+      return post;
+    },
+    async comments(post, { limit, depth }) {
+      const [, comments] = await request(`/comments/${encodeURIComponent(post.id)}`, { limit, depth });
+      return commentTree(comments);
+    },
+    async userSubmissions(username, { limit, after }) {
+      return listingItems(await request(`/user/${encodeURIComponent(username)}/submitted`, { sort: "new", limit, after }));
+    },
+    async userComments(username, { limit, after }) {
+      return listingItems(await request(`/user/${encodeURIComponent(username)}/comments`, { sort: "new", limit, after }));
+    },
+    async info(fullnames) {
+      return listingItems(await request("/api/info", { id: fullnames.join(",") }));
+    }
+  };
+}
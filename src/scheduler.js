@@ -0,0 +1,161 @@
+import { SOURCE_METHODS } from "./sources.js";
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === "function") return headers.get(name);
+  return headers[name] ?? null;
+}
+
+/**
+ * Read Reddit's rate-limit headers into `{ remaining, resetAt }` (resetAt in
+ * epoch ms). Returns null when the response carries none.
+ */
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+  const remaining = headerValue(headers, "x-ratelimit-remaining");
+  const reset = headerValue(headers, "x-ratelimit-reset");
+  if (remaining == null && reset == null) return null;
+  return {
+    remaining: remaining == null ? null : Number(remaining),
+    resetAt: reset == null ? null : now + Number(reset) * 1000
+  };
+}
+
+/**
+ * How long a failed request asks us to wait (ms), from `Retry-After` (seconds
+ * or an HTTP date) on the error or its response. Null if it doesn't say.
+ */
+export function retryAfterMs(err, now = Date.now()) {
+  if (err?.retryAfterMs != null) return err.retryAfterMs;
+  const header = headerValue(err?.headers ?? err?.response?.headers, "retry-after");
+  if (header == null) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function isRateLimitError(err) {
+  return err?.statusCode === 429 || /rate.?limit/i.test(err?.message);
+}
+
+export function isRetryableError(err) {
+  return isRateLimitError(err) || err?.statusCode >= 500;
+}
+
+/**
+ * Create a request scheduler shared by every Reddit call.
+ *
+ * Requests start at least `minIntervalMs` apart. The scheduler tracks the
+ * remaining request budget reported by Reddit and, once it is spent, sleeps
+ * exactly until the window resets. Rate-limited and 5xx responses are retried
+ * up to `maxRetries` times, after `Retry-After` when given, otherwise with
+ * exponential backoff. Every wait longer than the normal spacing is reported
+ * as a `ratelimit_wait` event.
+ */
+export function createScheduler({
+  minIntervalMs = 0,
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  onProgress,
+  now = Date.now,
+  sleep = defaultSleep
+} = {}) {
+  let remaining = null;
+  let resetAt = null;
+  let lastStart = 0;
+  let gate = Promise.resolve();
+
+  async function waitTurn(label) {
+    if (remaining != null && remaining < 1 && resetAt != null) {
+      const waitMs = resetAt - now();
+      if (waitMs > 0) {
+        onProgress?.({ type: "ratelimit_wait", reason: "budget", waitMs, label });
+        await sleep(waitMs);
+      }
+      remaining = null;
+      resetAt = null;
+    }
+
+    const spacing = lastStart + minIntervalMs - now();
+    if (spacing > 0) await sleep(spacing);
+    lastStart = now();
+    if (remaining != null) remaining -= 1;
+  }
+
+  // Turns are taken one at a time, in call order
+  function acquire(label) {
+    const turn = gate.then(() => waitTurn(label));
+    gate = turn.catch(() => {});
+    return turn;
+  }
+
+  function observe(limit) {
+    if (!limit) return;
+    if (limit.remaining != null) remaining = limit.remaining;
+    if (limit.resetAt != null) resetAt = limit.resetAt;
+  }
+
+  /**
+   * Run `fn` when the budget allows, retrying rate-limit and server errors.
+   * `readLimit` returns the latest `{ remaining, resetAt }` after each attempt.
+   */
+  async function schedule(fn, { label = null, readLimit } = {}) {
+    for (let attempt = 0; ; attempt += 1) {
+      await acquire(label);
+      try {
+        const result = await fn();
+        observe(readLimit?.());
+        return result;
+      } catch (err) {
+        observe(readLimit?.());
+        if (!isRetryableError(err) || attempt >= maxRetries) throw err;
+
+        const untilReset = isRateLimitError(err) && resetAt != null ? resetAt - now() : null;
+        const hinted = retryAfterMs(err, now()) ?? untilReset;
+        const waitMs = Math.max(0, hinted ?? baseDelayMs * 2 ** attempt);
+        onProgress?.({
+          type: "ratelimit_wait",
+          reason: hinted != null ? "retry-after" : "backoff",
+          waitMs,
+          attempt: attempt + 1,
+          maxRetries,
+          statusCode: err?.statusCode ?? null,
+          label
+        });
+        await sleep(waitMs);
+      }
+    }
+  }
+
+  return {
+    schedule,
+    observe,
+    get state() {
+      return { remaining, resetAt };
+    }
+  };
+}
+
+/**
+ * Route every call of a data source through a scheduler. Sources that know
+ * their rate-limit state expose it as `rateLimit()`. A source whose calls can
+ * make several requests (see `scheduleRequests` in `sources.js`) has each
+ * request scheduled instead, so the budget counts what they really cost.
+ */
+export function createScheduledSource(source, scheduler) {
+  if (typeof source.scheduleRequests === "function") {
+    source.scheduleRequests(scheduler);
+    return source;
+  }
+
+  const scheduled = { name: source.name };
+  for (const method of SOURCE_METHODS) {
+    scheduled[method] = (...args) =>
+      scheduler.schedule(() => source[method](...args), { label: method, readLimit: () => source.rateLimit?.() });
+  }
+  return scheduled;
+}
@@ -0,0 +1,103 @@
+/**
+ * A data source is the harvester's only way to reach Reddit. Items are raw
+ * Reddit records (`created_utc`, `num_comments`, `name`, ...), either plain
+ * JSON objects or snoowrap objects exposing the same fields.
+ *
+ * @typedef {object} RedditSource
+ * @property {string} name
+ * @property {() => ({ remaining: number|null, resetAt: number|null }|null)} [rateLimit]
+ *   Latest request budget reported by Reddit (resetAt in epoch ms), if known.
+ * @property {(opts: { subreddit: string, listing: "hot"|"new"|"top", time?: string, limit: number, after?: string|null }) => Promise<object[]>} listing
+ *   One page of a subreddit listing.
+ * @property {(opts: { subreddit: string, query: string, sort?: string, time?: string, limit: number, after?: string|null }) => Promise<object[]>} search
+ *   One page of a subreddit search.
+ * @property {(id: string) => Promise<object>} submission
+ *   A single submission by ID.
+ * @property {(post: object, opts: { limit: number, depth: number }) => Promise<object[]>} comments
+ *   Top-level comments of a submission, replies nested under `replies`.
+ * @property {(username: string, opts: { limit: number, after?: string|null }) => Promise<object[]>} userSubmissions
+ *   One page of a user's submissions, newest first.
+ * @property {(username: string, opts: { limit: number, after?: string|null }) => Promise<object[]>} userComments
+ *   One page of a user's comments, newest first.
+ * @property {(fullnames: string[]) => Promise<object[]>} info
+ *   Submissions by fullname (`t3_…`), at most 100 per call.
+ * @property {(scheduler: object) => void} [scheduleRequests]
+ *   Route each HTTP request through `scheduler` (see `createScheduledSource`),
+ *   for sources whose calls can make more than one.
+ */
+
+/**
+ * Operations every data source implements.
+ */
+export const SOURCE_METHODS = ["listing", "search", "submission", "comments", "userSubmissions", "userComments", "info"];
+
+const cursorOf = (after) => (after ? { after } : {});
+
+/**
+ * Wrap a snoowrap client as a data source.
+ */
+export function createSnoowrapSource(reddit) {
+  const source = {
+    name: "snoowrap",
+    rateLimit() {
+      // snoowrap keeps the budget from Reddit's headers on the client
+      if (reddit.ratelimitRemaining == null) return null;
+      return { remaining: reddit.ratelimitRemaining, resetAt: reddit.ratelimitExpiration ?? null };
+    },
+    listing({ subreddit, listing, time, limit, after }) {
+      const sub = reddit.getSubreddit(subreddit);
+      if (listing === "hot") return sub.getHot({ limit, ...cursorOf(after) });
+      if (listing === "new") return sub.getNew({ limit, ...cursorOf(after) });
+      if (listing === "top") return sub.getTop({ time, limit, ...cursorOf(after) });
+      throw new Error(`Unknown listing: ${listing} (expected hot|new|top)`);
+    },
+    search({ subreddit, query, sort, time, limit, after }) {
+      return reddit
+        .getSubreddit(subreddit)
+        .search({ query, sort, time, limit, ...cursorOf(after) });
+    },
+    submission(id) {
+      return reddit.getSubmission(id).fetch();
+    },
+    async comments(post, { limit, depth }) {
+      const expanded = await post.expandReplies({ limit, depth });
+      return expanded?.comments ?? post?.comments ?? [];
+    },
+    userSubmissions(username, { limit, after }) {
+      return reddit.getUser(username).getSubmissions({ sort: "new", limit, ...cursorOf(after) });
+    },
+    userComments(username, { limit, after }) {
+      return reddit.getUser(username).getComments({ sort: "new", limit, ...cursorOf(after) });
+    },
+    info(fullnames) {
+      return reddit.getContentByIds(fullnames);
+    },
+    // Expanding a thread's replies makes a request per batch of "more"
+    // comments, so each request takes its own turn. The scheduler spaces and
+    // retries them, so snoowrap's own delay and retries are turned off.
+    scheduleRequests(scheduler) {
+      const send = reddit.oauthRequest;
+      Object.defineProperty(reddit, "oauthRequest", {
+        configurable: true,
+        writable: true,
+        value: (options, attempts) =>
+          scheduler.schedule(() => send.call(reddit, options, attempts), {
+            label: options?.uri ?? null,
+            readLimit: () => source.rateLimit()
+          })
+      });
+      reddit.config({ requestDelay: 0, maxRetryAttempts: 1 });
+    }
+  };
+  return source;
+}
+
+/**
+ * Accept either a data source or a snoowrap client (wrapped on the fly), so
+ * callers that still pass `reddit` keep working.
+ */
+export function toSource(sourceOrClient) {
+  if (!sourceOrClient) throw new Error("A Reddit data source (or snoowrap client) is required");
+  if (typeof sourceOrClient.listing === "function") return sourceOrClient;
+  return createSnoowrapSource(sourceOrClient);
+}
@@ -0,0 +1,303 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Stored as the database's user_version, for migrations when the schema changes
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS runs (
+  run_id TEXT PRIMARY KEY,
+  command TEXT NOT NULL,
+  started_at TEXT NOT NULL,
+  finished_at TEXT,
+  args TEXT NOT NULL DEFAULT '{}',
+  manifest_path TEXT,
+  post_count INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS posts (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  subreddit TEXT,
+  title TEXT,
+  author TEXT,
+  created TEXT,
+  score INTEGER,
+  num_comments INTEGER,
+  flair TEXT,
+  upvote_ratio REAL,
+  is_self INTEGER,
+  domain TEXT,
+  over_18 INTEGER,
+  crosspost_parent TEXT,
+  edited TEXT,
+  locked INTEGER,
+  removed INTEGER,
+  total_awards INTEGER,
+  url TEXT,
+  permalink TEXT,
+  selftext TEXT,
+  link_id TEXT,
+  parent_id TEXT,
+  comments_error TEXT,
+  first_run_id TEXT,
+  last_run_id TEXT,
+  first_seen_at TEXT NOT NULL,
+  last_seen_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS posts_subreddit ON posts (subreddit, created);
+CREATE INDEX IF NOT EXISTS posts_last_seen ON posts (last_seen_at);
+
+CREATE TABLE IF NOT EXISTS comments (
+  id TEXT PRIMARY KEY,
+  post_id TEXT NOT NULL,
+  parent_id TEXT,
+  depth INTEGER,
+  author TEXT,
+  score INTEGER,
+  body TEXT,
+  created TEXT,
+  first_run_id TEXT,
+  last_run_id TEXT,
+  first_seen_at TEXT NOT NULL,
+  last_seen_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS comments_post ON comments (post_id);
+
+CREATE TABLE IF NOT EXISTS run_posts (
+  run_id TEXT NOT NULL,
+  post_id TEXT NOT NULL,
+  PRIMARY KEY (run_id, post_id)
+);
+CREATE INDEX IF NOT EXISTS run_posts_post ON run_posts (post_id);
+
+CREATE TABLE IF NOT EXISTS saved_queries (
+  name TEXT PRIMARY KEY,
+  sql TEXT NOT NULL,
+  saved_at TEXT NOT NULL
+);
+`;
+
+const POST_COLUMNS = [
+  "id",
+  "kind",
+  "subreddit",
+  "title",
+  "author",
+  "created",
+  "score",
+  "num_comments",
+  "flair",
+  "upvote_ratio",
+  "is_self",
+  "domain",
+  "over_18",
+  "crosspost_parent",
+  "edited",
+  "locked",
+  "removed",
+  "total_awards",
+  "url",
+  "permalink",
+  "selftext",
+  "link_id",
+  "parent_id",
+  "comments_error"
+];
+
+const COMMENT_COLUMNS = ["id", "post_id", "parent_id", "depth", "author", "score", "body", "created"];
+
+// SQLite has no booleans, and the driver binds neither booleans nor undefined
+function sqlValue(v) {
+  if (v === undefined) return null;
+  if (typeof v === "boolean") return v ? 1 : 0;
+  return v;
+}
+
+function postRow(p) {
+  return {
+    id: p.id,
+    kind: p.kind ?? "post",
+    subreddit: p.subreddit,
+    title: p.title,
+    author: p.author,
+    created: p.created,
+    score: p.score,
+    num_comments: p.numComments,
+    flair: p.flair,
+    upvote_ratio: p.upvoteRatio,
+    is_self: p.isSelf,
+    domain: p.domain,
+    over_18: p.over18,
+    crosspost_parent: p.crosspostParent,
+    edited: p.edited,
+    locked: p.locked,
+    removed: p.removed,
+    total_awards: p.totalAwards,
+    url: p.url,
+    permalink: p.permalink,
+    selftext: p.selftext,
+    link_id: p.linkId,
+    parent_id: p.parentId,
+    comments_error: p.commentsError
+  };
+}
+
+/**
+ * Flatten a comment tree into rows, parents before their replies.
+ */
+function commentRows(postId, comments) {
+  return (comments ?? []).flatMap((c) => [
+    { id: c.id, post_id: postId, parent_id: c.parentId, depth: c.depth, author: c.author, score: c.score, body: c.body, created: c.created },
+    ...commentRows(postId, c.replies)
+  ]);
+}
+
+/**
+ * Upsert statement for `table`: a new row records the run and time it was
+ * first seen; an existing one has its content and last-seen fields replaced.
+ */
+function upsertSql(table, columns) {
+  const all = [...columns, "first_run_id", "last_run_id", "first_seen_at", "last_seen_at"];
+  const updates = [...columns.filter((c) => c !== "id"), "last_run_id", "last_seen_at"].map((c) => `${c} = excluded.${c}`);
+  return `INSERT INTO ${table} (${all.join(", ")}) VALUES (${all.map((c) => `@${c}`).join(", ")})
+    ON CONFLICT (id) DO UPDATE SET ${updates.join(", ")}`;
+}
+
+/**
+ * Parse a `--store` value such as `sqlite:research.db`.
+ */
+export function parseStoreSpec(spec) {
+  const match = /^(\w+):(.+)$/.exec(String(spec ?? "").trim());
+  if (!match) throw new Error(`Invalid --store "${spec}" (expected sqlite:<file>)`);
+  const [, kind, location] = match;
+  if (kind !== "sqlite") throw new Error(`Unsupported store "${kind}" (only sqlite:<file> is supported)`);
+  return { kind, path: path.resolve(location) };
+}
+
+/**
+ * Load the SQLite driver, an optional dependency.
+ */
+async function loadSqlite() {
+  try {
+    return (await import("better-sqlite3")).default;
+  } catch (err) {
+    if (err?.code === "ERR_MODULE_NOT_FOUND") {
+      throw new Error(`The SQLite store needs the better-sqlite3 package (pnpm add better-sqlite3)`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Open (creating if needed) a SQLite corpus store.
+ *
+ * Posts and comments are upserted by Reddit ID, so the database accumulates
+ * every run: a record keeps the run it was first seen in and is updated with
+ * its latest score, comment count and the run it was last seen in. `run_posts`
+ * links each run to the posts it harvested, and `saved_queries` holds named
+ * SQL for the `query` command.
+ */
+export async function openSqliteStore(filePath, { now = () => new Date().toISOString() } = {}) {
+  const Database = await loadSqlite();
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+  const statements = {
+    startRun: db.prepare(`INSERT INTO runs (run_id, command, started_at, args) VALUES (@run_id, @command, @started_at, @args)
+      ON CONFLICT (run_id) DO NOTHING`),
+    finishRun: db.prepare(`UPDATE runs SET finished_at = @finished_at, manifest_path = @manifest_path,
+      post_count = (SELECT COUNT(*) FROM run_posts WHERE run_id = @run_id) WHERE run_id = @run_id`),
+    upsertPost: db.prepare(upsertSql("posts", POST_COLUMNS)),
+    upsertComment: db.prepare(upsertSql("comments", COMMENT_COLUMNS)),
+    linkPost: db.prepare(`INSERT OR IGNORE INTO run_posts (run_id, post_id) VALUES (?, ?)`),
+    saveQuery: db.prepare(`INSERT INTO saved_queries (name, sql, saved_at) VALUES (?, ?, ?)
+      ON CONFLICT (name) DO UPDATE SET sql = excluded.sql, saved_at = excluded.saved_at`),
+    savedQuery: db.prepare(`SELECT sql FROM saved_queries WHERE name = ?`),
+    savedQueries: db.prepare(`SELECT name, sql, saved_at FROM saved_queries ORDER BY name`)
+  };
+
+  const bind = (row, runId, seenAt) => {
+    const values = { ...row, first_run_id: runId, last_run_id: runId, first_seen_at: seenAt, last_seen_at: seenAt };
+    return Object.fromEntries(Object.entries(values).map(([k, v]) => [k, sqlValue(v)]));
+  };
+
+  const addPosts = db.transaction((posts, runId) => {
+    const seenAt = now();
+    for (const p of posts) {
+      statements.upsertPost.run(bind(postRow(p), runId, seenAt));
+      for (const c of commentRows(p.id, p.comments)) statements.upsertComment.run(bind(c, runId, seenAt));
+      if (runId) statements.linkPost.run(runId, p.id);
+    }
+  });
+
+  return {
+    path: path.resolve(filePath),
+
+    /**
+     * Record the start of a run. Resuming a run keeps its original entry.
+     */
+    startRun({ runId, command, args = {} }) {
+      statements.startRun.run({ run_id: runId, command, started_at: now(), args: JSON.stringify(args) });
+    },
+
+    finishRun(runId, { manifestPath = null } = {}) {
+      statements.finishRun.run({ run_id: runId, finished_at: now(), manifest_path: manifestPath });
+    },
+
+    /**
+     * Upsert posts with their comment trees, linking them to `runId`.
+     */
+    addPosts(posts, { runId = null } = {}) {
+      addPosts(posts, runId);
+    },
+
+    /**
+     * Run a read-only SQL statement with named parameters (`@name`, `:name`
+     * or `$name`). Returns the column names and rows as arrays.
+     */
+    query(sql, params = {}) {
+      let stmt;
+      try {
+        stmt = db.prepare(sql);
+      } catch (err) {
+        throw new Error(`Invalid SQL: ${err.message}`);
+      }
+      if (!stmt.readonly || !stmt.reader) {
+        throw new Error(`Only read-only queries that return rows can be run (got: ${sql.trim().split(/\s+/)[0]})`);
+      }
+      const columns = stmt.columns().map((c) => c.name);
+      const rows = Object.keys(params).length > 0 ? stmt.raw(true).all(params) : stmt.raw(true).all();
+      return { columns, rows };
+    },
+
+    saveQuery(name, sql) {
+      statements.saveQuery.run(name, sql, now());
+    },
+
+    savedQuery(name) {
+      const row = statements.savedQuery.get(name);
+      if (!row) throw new Error(`No saved query named "${name}" in ${filePath}`);
+      return row.sql;
+    },
+
+    savedQueries() {
+      return statements.savedQueries.all();
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Open the store named by a `--store` value.
+ */
+export async function openStore(spec, opts) {
+  const { path: filePath } = parseStoreSpec(spec);
+  return openSqliteStore(filePath, opts);
+}
@@ -41,9 +41,73 @@ export function normalizeSubredditsArg(subreddits) {
     .filter(Boolean);
 }
 
+/**
+ * Extract a submission ID from a Reddit URL, short link, fullname or bare ID.
+ * Returns null if the reference is not recognised.
+ */
+export function parsePostId(ref) {
+  const s = String(ref ?? "").trim();
+  if (!s) return null;
+
+  const commentsMatch = s.match(/\/comments\/([a-z0-9]+)/i);
+  if (commentsMatch) return commentsMatch[1].toLowerCase();
+
+  const shortMatch = s.match(/^(?:https?:\/\/)?redd\.it\/([a-z0-9]+)/i);
+  if (shortMatch) return shortMatch[1].toLowerCase();
+
+  const idMatch = s.match(/^(?:t3_)?([a-z0-9]+)$/i);
+  if (idMatch) return idMatch[1].toLowerCase();
+
+  return null;
+}
+
+export function normalizePostsArg(posts) {
+  if (!posts) return [];
+  const refs = (Array.isArray(posts) ? posts : [posts])
+    .flatMap((s) => String(s).split(/[,\s]+/))
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const ids = [];
+  for (const ref of refs) {
+    const id = parsePostId(ref);
+    if (!id) throw new Error(`Not a Reddit post URL or ID: ${ref}`);
+    if (!ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
 export async function writeTextFile(filePath, contents) {
   await ensureDir(path.dirname(filePath));
   await fs.writeFile(filePath, contents, "utf8");
 }
 
 
+
+/**
+ * Run `fn(item, index)` over `items` with at most `concurrency` calls in
+ * flight, yielding the results in input order. With a concurrency of 1 each
+ * call starts only after the previous result has been consumed.
+ */
+export async function* mapConcurrent(items, concurrency, fn) {
+  const limit = Math.max(1, Math.floor(Number(concurrency)) || 1);
+  const pending = [];
+  let next = 0;
+
+  const fill = () => {
+    while (next < items.length && pending.length < limit) {
+      const index = next++;
+      const task = Promise.resolve().then(() => fn(items[index], index));
+      // Failures surface when the task is awaited; don't report them early
+      task.catch(() => {});
+      pending.push(task);
+    }
+  };
+
+  fill();
+  while (pending.length > 0) {
+    const result = await pending.shift();
+    yield result;
+    fill();
+  }
+}
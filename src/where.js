@@ -0,0 +1,299 @@
+import { parseDateToUnix } from "./filters.js";
+
+/**
+ * Fields a `--where` expression can reference, read from a shaped post.
+ */
+const FIELDS = {
+  id: (p) => p.id,
+  subreddit: (p) => p.subreddit,
+  title: (p) => p.title ?? "",
+  author: (p) => p.author,
+  url: (p) => p.url,
+  permalink: (p) => p.permalink,
+  selftext: (p) => p.selftext ?? p.body ?? "",
+  text: (p) => [p.title, p.selftext ?? p.body].filter(Boolean).join("\n"),
+  score: (p) => p.score ?? 0,
+  comments: (p) => p.numComments ?? 0,
+  flair: (p) => p.flair ?? null,
+  nsfw: (p) => Boolean(p.over18),
+  upvoteRatio: (p) => p.upvoteRatio ?? null,
+  isSelf: (p) => p.isSelf ?? null,
+  domain: (p) => p.domain ?? null,
+  crosspostParent: (p) => p.crosspostParent ?? null,
+  edited: (p) => Boolean(p.edited),
+  locked: (p) => Boolean(p.locked),
+  removed: (p) => Boolean(p.removed),
+  awards: (p) => p.totalAwards ?? 0,
+  created: (p) => createdOf(p),
+  age: (p, now) => {
+    const created = createdOf(p);
+    return created == null ? null : now - created;
+  }
+};
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+function createdOf(p) {
+  if (typeof p.created === "number") return p.created;
+  return parseDateToUnix(p.created) ?? p.created_utc ?? null;
+}
+
+function syntaxError(message, source, column) {
+  const err = new Error(`${message} at column ${column}\n  ${source}\n  ${" ".repeat(column - 1)}^`);
+  err.column = column;
+  return err;
+}
+
+/**
+ * Split an expression into tokens, each `{ type, value, column }` with a
+ * 1-based column.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    const column = i + 1;
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (ch === "/") {
+      let j = i + 1;
+      let pattern = "";
+      while (j < source.length && source[j] !== "/") {
+        if (source[j] === "\\" && j + 1 < source.length) {
+          pattern += source[j] + source[j + 1];
+          j += 2;
+        } else {
+          pattern += source[j];
+          j += 1;
+        }
+      }
+      if (j >= source.length) throw syntaxError("Unterminated regex", source, column);
+      j += 1;
+      const flags = source.slice(j).match(/^[a-z]*/)[0];
+      let value;
+      try {
+        value = new RegExp(pattern, flags);
+      } catch (err) {
+        throw syntaxError(`Invalid regex /${pattern}/${flags}: ${err.message}`, source, column);
+      }
+      tokens.push({ type: "regex", value, column });
+      i = j + flags.length;
+      continue;
+    }
+
+    const op = ["&&", "||", "==", "!=", ">=", "<=", "!~", ">", "<", "~", "!", "(", ")"].find((o) =>
+      source.startsWith(o, i)
+    );
+    if (op) {
+      tokens.push({ type: op === "(" || op === ")" ? op : "op", value: op, column });
+      i += op.length;
+      continue;
+    }
+
+    if (ch === "'" || ch === '"') {
+      let j = i + 1;
+      let value = "";
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === "\\" && j + 1 < source.length) j += 1;
+        value += source[j];
+        j += 1;
+      }
+      if (j >= source.length) throw syntaxError("Unterminated string", source, column);
+      tokens.push({ type: "string", value, column });
+      i = j + 1;
+      continue;
+    }
+
+    const number = source.slice(i).match(/^\d+(\.\d+)?([smhdw](?![A-Za-z0-9_]))?/);
+    if (number) {
+      const unit = number[2];
+      const n = Number(unit ? number[0].slice(0, -1) : number[0]);
+      tokens.push({ type: "number", value: unit ? n * DURATION_UNITS[unit] : n, column });
+      i += number[0].length;
+      continue;
+    }
+
+    const ident = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (ident) {
+      const word = ident[0];
+      if (word === "true" || word === "false") {
+        tokens.push({ type: "boolean", value: word === "true", column });
+      } else if (word === "null") {
+        tokens.push({ type: "null", value: null, column });
+      } else {
+        tokens.push({ type: "ident", value: word, column });
+      }
+      i += word.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character '${ch}'`, source, column);
+  }
+
+  tokens.push({ type: "end", value: null, column: source.length + 1 });
+  return tokens;
+}
+
+const COMPARISONS = ["==", "!=", ">=", "<=", ">", "<", "~", "!~"];
+
+function toComparable(a, b) {
+  // Date strings compare against timestamps: `created >= '2024-01-01'`
+  if (typeof a === "number" && typeof b === "string") return [a, parseDateToUnix(b)];
+  if (typeof a === "string" && typeof b === "number") return [parseDateToUnix(a), b];
+  if (typeof a === "string" && typeof b === "string") return [a.toLowerCase(), b.toLowerCase()];
+  return [a, b];
+}
+
+function compare(op, left, right) {
+  if (op === "~" || op === "!~") {
+    const text = String(left ?? "");
+    let matched;
+    if (right instanceof RegExp) {
+      right.lastIndex = 0;
+      matched = right.test(text);
+    } else {
+      matched = text.toLowerCase().includes(String(right ?? "").toLowerCase());
+    }
+    return op === "~" ? matched : !matched;
+  }
+
+  const [a, b] = toComparable(left, right);
+  if (op === "==") return a === b;
+  if (op === "!=") return a !== b;
+  if (a == null || b == null) return false;
+  if (op === ">") return a > b;
+  if (op === ">=") return a >= b;
+  if (op === "<") return a < b;
+  return a <= b;
+}
+
+/**
+ * Parse tokens into an evaluator `(post, now) => value`.
+ *
+ *   or         := and ("||" and)*
+ *   and        := unary ("&&" unary)*
+ *   unary      := "!" unary | comparison
+ *   comparison := operand (("==" | "!=" | ">=" | "<=" | ">" | "<" | "~" | "!~") operand)?
+ *   operand    := field | number | duration | string | regex | boolean | null | "(" or ")"
+ */
+function parse(source, tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = (value) => peek().type === "op" && peek().value === value;
+
+  const unexpected = (token) =>
+    syntaxError(
+      token.type === "end" ? "Unexpected end of expression" : `Unexpected '${source.slice(token.column - 1).split(/\s/)[0]}'`,
+      source,
+      token.column
+    );
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp("||")) {
+      next();
+      const l = left;
+      const r = parseAnd();
+      left = (p, now) => Boolean(l(p, now)) || Boolean(r(p, now));
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    while (isOp("&&")) {
+      next();
+      const l = left;
+      const r = parseUnary();
+      left = (p, now) => Boolean(l(p, now)) && Boolean(r(p, now));
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp("!")) {
+      next();
+      const operand = parseUnary();
+      return (p, now) => !operand(p, now);
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    if (peek().type === "op" && COMPARISONS.includes(peek().value)) {
+      const op = next().value;
+      const right = parseOperand();
+      return (p, now) => compare(op, left(p, now), right(p, now));
+    }
+    return left;
+  }
+
+  function parseOperand() {
+    const token = next();
+    if (token.type === "(") {
+      const inner = parseOr();
+      if (peek().type !== ")") {
+        throw syntaxError(`Expected ')' to close '(' from column ${token.column}`, source, peek().column);
+      }
+      next();
+      return inner;
+    }
+    if (token.type === "ident") {
+      const field = FIELDS[token.value];
+      if (!field) {
+        throw syntaxError(
+          `Unknown field '${token.value}' (expected one of: ${Object.keys(FIELDS).join(", ")})`,
+          source,
+          token.column
+        );
+      }
+      return (p, now) => field(p, now);
+    }
+    if (["number", "string", "regex", "boolean", "null"].includes(token.type)) {
+      const { value } = token;
+      return () => value;
+    }
+    throw unexpected(token);
+  }
+
+  const evaluate = parseOr();
+  if (peek().type !== "end") throw unexpected(peek());
+  return evaluate;
+}
+
+/**
+ * Compile a `--where` expression into a predicate over shaped posts.
+ *
+ * Expressions combine field comparisons with `&&`, `||`, `!` and parentheses,
+ * e.g. `score >= 20 && (flair == 'Question' || title ~ /pricing/i) && age < 30d`.
+ * `~` matches a regex, or a case-insensitive substring for plain strings.
+ * Durations (`30d`, `12h`, `2w`) are seconds, so they compare against `age`.
+ * Throws an error whose message and `column` point at the offending token.
+ */
+export function compileWhere(expression, { now = () => Math.floor(Date.now() / 1000) } = {}) {
+  const source = String(expression);
+  const evaluate = parse(source, tokenize(source));
+  return (post) => Boolean(evaluate(post, now()));
+}
+
+/**
+ * Parse a duration such as `90d`, `12h` or `2w` into seconds.
+ */
+export function parseDuration(text) {
+  const m = String(text ?? "").trim().match(/^(\d+(?:\.\d+)?)([smhdw])$/);
+  if (!m || !(Number(m[1]) > 0)) throw new Error(`Invalid duration "${text}" (e.g. 90d, 12h, 2w)`);
+  return Number(m[1]) * DURATION_UNITS[m[2]];
+}
+
+/**
+ * Names of the fields available to `--where` expressions.
+ */
+export const WHERE_FIELDS = Object.keys(FIELDS);
@@ -141,3 +141,184 @@ describe("quote fidelity mode", () => {
   });
 });
 
+
+describe("postsToText", () => {
+  it("should indent replies under their parent comment", async () => {
+    const { postsToText } = await import("../src/openaiAnalyze.js");
+    const text = postsToText([
+      {
+        id: "abc123",
+        subreddit: "startups",
+        title: "Test post",
+        author: "op",
+        score: 3,
+        permalink: "/r/startups/comments/abc123/",
+        selftext: "Body",
+        comments: [
+          {
+            id: "c1",
+            author: "a",
+            score: 5,
+            body: "Top level",
+            replies: [{ id: "c2", author: "b", score: 2, body: "A reply", replies: [] }]
+          },
+          { id: "c3", author: "c", score: 1, body: "Another", replies: [] }
+        ]
+      }
+    ]);
+
+    expect(text).toContain("COMMENTS:\n  - [a, score: 5]: Top level\n    - [b, score: 2]: A reply\n  - [c, score: 1]: Another");
+  });
+
+  it("should include post metadata that carries signal", async () => {
+    const { postsToText } = await import("../src/openaiAnalyze.js");
+    const base = { id: "abc123", subreddit: "startups", title: "T", author: "op", score: 3, permalink: "/r/x/", selftext: "" };
+    const text = postsToText([
+      {
+        ...base,
+        flair: "Question",
+        upvoteRatio: 0.6,
+        isSelf: false,
+        domain: "example.com",
+        crosspostParent: null,
+        totalAwards: 0,
+        over18: false,
+        edited: "2024-01-01T00:00:00.000Z",
+        locked: true,
+        removed: false
+      }
+    ]);
+
+    expect(text).toContain("score: 3\nflair: Question\nupvote_ratio: 0.6\nlink: example.com\nstate: edited, locked\npermalink:");
+    expect(postsToText([base])).toContain("score: 3\npermalink:");
+  });
+
+  it("should only show normalised text with a normalizer", async () => {
+    const { postsToText } = await import("../src/openaiAnalyze.js");
+    const { createNormalizer } = await import("../src/normalize.js");
+    const post = {
+      id: "abc123",
+      subreddit: "startups",
+      title: "Pricing &amp; packaging",
+      author: "op",
+      score: 3,
+      permalink: "/r/x/",
+      selftext: "**Help** &gt; please\n\n&amp;#x200B;",
+      comments: [
+        { id: "c1", author: "a", score: 1, body: "[removed]", replies: [] },
+        { id: "c2", author: "b", score: 2, body: "> Help please\n\nSure", replies: [] }
+      ]
+    };
+
+    const text = postsToText([post], { normalizer: createNormalizer({ stripMarkdown: true }) });
+    expect(text).toContain("title: Pricing & packaging\n");
+    expect(text).toContain("\nHelp > please\n\nCOMMENTS:\n  - [b, score: 2]: > Help please\n\nSure");
+    expect(text).not.toContain("[removed]");
+    expect(postsToText([post])).toContain("title: Pricing &amp; packaging\n");
+  });
+});
+
+describe("preparePosts", () => {
+  it("should redact PII that normalising decodes from entities and zero-width characters", async () => {
+    const { preparePosts, postsToText } = await import("../src/openaiAnalyze.js");
+    const { createNormalizer } = await import("../src/normalize.js");
+    const { createRedactor } = await import("../src/redact.js");
+    const post = {
+      id: "abc123",
+      subreddit: "startups",
+      title: "Mail jane&#64;example.com",
+      author: "op",
+      score: 3,
+      permalink: "/r/x/",
+      selftext: "Or jane\u200B@example.com, or call 555&#45;123&#45;4567",
+      comments: [{ id: "c1", author: "a", score: 1, body: "me: bob&#x40;example.org", replies: [] }]
+    };
+
+    const [prepared] = preparePosts([post], { normalizer: createNormalizer(), redactor: createRedactor({ salt: "salt" }) });
+    const text = postsToText([prepared]);
+    expect(text).toContain("title: Mail [email]\n");
+    expect(text).toContain("\nOr [email], or call [phone]\n");
+    expect(text).toContain("]: me: [email]");
+    expect(JSON.stringify(prepared)).not.toMatch(/jane|bob|555/);
+  });
+});
+
+describe("analyzeFileToMarkdown --where", () => {
+  it("should reject --where on a .txt corpus before calling OpenAI", async () => {
+    const { analyzeFileToMarkdown } = await import("../src/openaiAnalyze.js");
+    const fs = await import("node:fs/promises");
+    const os = await import("node:os");
+    const path = await import("node:path");
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-where-"));
+    const inputPath = path.join(dir, "corpus.txt");
+    await fs.writeFile(inputPath, "=== r/startups ===\n", "utf8");
+
+    await expect(analyzeFileToMarkdown({ inputPath, outDir: dir, where: "score > 1" })).rejects.toThrow(
+      "--where needs a .jsonl corpus"
+    );
+  });
+
+  it("should analyze a .txt corpus that no longer parses as plain text", async () => {
+    const { analyzeFileToMarkdown } = await import("../src/openaiAnalyze.js");
+    const fs = await import("node:fs/promises");
+    const os = await import("node:os");
+    const path = await import("node:path");
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-where-"));
+    const inputPath = path.join(dir, "corpus.txt");
+    await fs.writeFile(inputPath, "# Reddit corpus export\nsubreddit: r/startups\nmy notes on this run\n", "utf8");
+    const events = [];
+
+    await expect(
+      analyzeFileToMarkdown({ inputPath, outDir: dir, where: "score > 1", onProgress: (e) => events.push(e) })
+    ).rejects.toThrow("--where needs a .jsonl corpus");
+    expect(events).toEqual([
+      { type: "corpus_unparsed", file: inputPath, error: "Unexpected corpus header line: my notes on this run" }
+    ]);
+  });
+
+  it("should filter the posts of a reddit-harvest .txt corpus", async () => {
+    const { analyzeFileToMarkdown } = await import("../src/openaiAnalyze.js");
+    const { formatPostsToText } = await import("../src/redditHarvest.js");
+    const fs = await import("node:fs/promises");
+    const os = await import("node:os");
+    const path = await import("node:path");
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-where-"));
+    const inputPath = path.join(dir, "corpus.txt");
+    const post = {
+      id: "abc123",
+      subreddit: "startups",
+      title: "T",
+      author: "op",
+      created: "",
+      score: 3,
+      numComments: 0,
+      url: "",
+      permalink: "/r/startups/comments/abc123/",
+      selftext: "",
+      comments: []
+    };
+    await fs.writeFile(inputPath, formatPostsToText([post], { subreddit: "startups", listing: "new", limit: 1 }), "utf8");
+
+    // Nothing matches, so this fails on the parsed posts before calling OpenAI
+    await expect(analyzeFileToMarkdown({ inputPath, outDir: dir, where: "score > 10" })).rejects.toThrow(
+      `No posts in ${inputPath} match --where score > 10`
+    );
+  });
+});
+
+describe("analyzeFileToMarkdown --redact", () => {
+  it("should reject --redact on free text before calling OpenAI", async () => {
+    const { analyzeFileToMarkdown } = await import("../src/openaiAnalyze.js");
+    const { createRedactor } = await import("../src/redact.js");
+    const fs = await import("node:fs/promises");
+    const os = await import("node:os");
+    const path = await import("node:path");
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-redact-"));
+    const inputPath = path.join(dir, "notes.txt");
+    await fs.writeFile(inputPath, "mail founder@example.com\n", "utf8");
+
+    await expect(
+      analyzeFileToMarkdown({ inputPath, outDir: dir, redactor: createRedactor({ salt: "salt" }) })
+    ).rejects.toThrow("--redact needs a .jsonl corpus");
+  });
+});
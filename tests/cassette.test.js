@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { createRecordingSource, createReplaySource } from "../src/cassette.js";
+
+function stubSource() {
+  let hot = 0;
+  return {
+    name: "stub",
+    listing: async ({ after }) => [{ id: `p${++hot}`, after: after ?? null }],
+    search: async () => [],
+    submission: async (id) => {
+      const err = new Error(`Reddit API 404 Not Found for submission ${id}`);
+      err.statusCode = 404;
+      throw err;
+    },
+    comments: async (post) => [{ id: "c1", body: `on ${post.id}`, replies: [] }],
+    userSubmissions: async () => [],
+    userComments: async () => [],
+    info: async () => []
+  };
+}
+
+describe("cassettes", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-cassette-"));
+  });
+
+  it("should replay recorded responses and errors", async () => {
+    const recording = await createRecordingSource(stubSource(), dir);
+    await recording.listing({ subreddit: "a", listing: "hot", limit: 1, after: null });
+    await recording.comments({ id: "p1", expandReplies: () => {} }, { limit: 5, depth: 1 });
+    await expect(recording.submission("gone")).rejects.toThrow("404");
+
+    const replay = await createReplaySource(dir);
+
+    expect(await replay.listing({ subreddit: "a", listing: "hot", limit: 1, after: null })).toEqual([{ id: "p1", after: null }]);
+    expect(await replay.comments({ id: "p1" }, { limit: 5, depth: 1 })).toEqual([{ id: "c1", body: "on p1", replies: [] }]);
+    await expect(replay.submission("gone")).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("should answer repeated calls in recorded order", async () => {
+    const recording = await createRecordingSource(stubSource(), dir);
+    const args = { subreddit: "a", listing: "hot", limit: 1 };
+    await recording.listing(args);
+    await recording.listing(args);
+
+    const replay = await createReplaySource(dir);
+
+    expect((await replay.listing(args))[0].id).toBe("p1");
+    expect((await replay.listing(args))[0].id).toBe("p2");
+    expect((await replay.listing(args))[0].id).toBe("p2");
+  });
+
+  it("should reject calls that were never recorded", async () => {
+    await createRecordingSource(stubSource(), dir);
+    const replay = await createReplaySource(dir);
+
+    await expect(replay.listing({ subreddit: "other", listing: "new", limit: 1 })).rejects.toThrow("No recorded response");
+  });
+
+  it("should report a missing cassette", async () => {
+    await expect(createReplaySource(path.join(dir, "missing"))).rejects.toThrow("No cassette found");
+  });
+});
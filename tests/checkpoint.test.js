@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { loadCheckpoint, readCheckpointPosts, removeCheckpoint, createCheckpoint } from "../src/checkpoint.js";
+
+describe("checkpoint module", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "reddit-harvest-test-"));
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe("loadCheckpoint", () => {
+    it("should return null when no checkpoint exists", async () => {
+      expect(await loadCheckpoint(tempDir, "run1")).toBeNull();
+    });
+
+  });
+
+  describe("readCheckpointPosts", () => {
+    const read = async (...args) => {
+      const posts = [];
+      for await (const post of readCheckpointPosts(...args)) posts.push(post);
+      return posts;
+    };
+
+    it("should stream recorded posts, ignoring a truncated trailing line", async () => {
+      const checkpoint = await createCheckpoint(tempDir, { runId: "run1" });
+      await checkpoint.addPost("startups", { id: "a", subreddit: "startups" });
+      await checkpoint.addPost("SaaS", { id: "s", subreddit: "SaaS" });
+      await fs.appendFile(path.join(tempDir, ".harvest-checkpoint-run1.jsonl"), '{"id":"b","subr');
+
+      expect(await read(tempDir, "run1")).toEqual([
+        { id: "a", subreddit: "startups" },
+        { id: "s", subreddit: "SaaS" }
+      ]);
+      expect(await read(tempDir, "run1", { subreddit: "SaaS" })).toEqual([{ id: "s", subreddit: "SaaS" }]);
+    });
+
+    it("should yield nothing before any post is recorded", async () => {
+      await createCheckpoint(tempDir, { runId: "run1" });
+      expect(await read(tempDir, "run1")).toEqual([]);
+    });
+  });
+
+  describe("createCheckpoint", () => {
+    it("should write a state file with the run options", async () => {
+      await createCheckpoint(tempDir, { runId: "run1", options: { subreddits: "startups", limit: 500 } });
+
+      const { state } = await loadCheckpoint(tempDir, "run1");
+      expect(state.runId).toBe("run1");
+      expect(state.options).toEqual({ subreddits: "startups", limit: 500 });
+    });
+
+    it("should restore cursor, posts and completed subreddits on resume", async () => {
+      const first = await createCheckpoint(tempDir, { runId: "run1", options: { limit: 500 } });
+      const output = { subreddit: "SaaS", filePath: "/tmp/x.txt", textLength: 10, postCount: 1 };
+      await first.addPost("SaaS", { id: "s1", subreddit: "SaaS" });
+      await first.completeSubreddit("SaaS", output);
+      await first.addPost("startups", { id: "p1", subreddit: "startups" });
+      await first.saveCursor("startups", { after: "t3_p1", fetched: 100 });
+
+      const resumed = await createCheckpoint(tempDir, { runId: "run1", resume: true });
+
+      expect(resumed.options).toEqual({ limit: 500 });
+      expect(resumed.completedOutput("SaaS")).toEqual(output);
+      expect(resumed.completedOutput("startups")).toBeNull();
+      expect(resumed.cursorFor("startups")).toEqual({ after: "t3_p1", fetched: 100 });
+      expect(resumed.cursorFor("other")).toEqual({ after: null, fetched: 0 });
+      const replayed = async (subreddit) => {
+        const ids = [];
+        for await (const p of resumed.replayPosts(subreddit)) ids.push(p.id);
+        return ids;
+      };
+      expect(await replayed("startups")).toEqual(["p1"]);
+      expect(await replayed("SaaS")).toEqual(["s1"]);
+    });
+
+    it("should throw when resuming an unknown run", async () => {
+      await expect(createCheckpoint(tempDir, { runId: "missing", resume: true })).rejects.toThrow(
+        "No checkpoint found for run missing"
+      );
+    });
+  });
+
+  describe("removeCheckpoint", () => {
+    it("should delete the checkpoint files", async () => {
+      const checkpoint = await createCheckpoint(tempDir, { runId: "run1" });
+      await checkpoint.addPost("startups", { id: "a" });
+
+      await removeCheckpoint(tempDir, "run1");
+
+      expect(await fs.readdir(tempDir)).toEqual([]);
+    });
+
+    it("should not throw if the checkpoint doesn't exist", async () => {
+      await expect(removeCheckpoint(tempDir, "run1")).resolves.not.toThrow();
+    });
+  });
+});
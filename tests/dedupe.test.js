@@ -4,9 +4,17 @@ import path from "node:path";
 import os from "node:os";
 import {
   loadDedupeIndex,
+  loadIndexedPostIds,
   saveDedupeIndex,
   resetDedupeIndex,
-  createDedupeTracker
+  createDedupeTracker,
+  loadHighWaterMarks,
+  highWaterKey,
+  dedupeIndexStats,
+  pruneDedupeIndex,
+  forgetDedupeEntries,
+  exportDedupeIndex,
+  importDedupeIndex
 } from "../src/dedupe.js";
 
 describe("dedupe module", () => {
@@ -88,6 +96,37 @@ describe("dedupe module", () => {
     });
   });
 
+  describe("high-water marks", () => {
+    it("should key marks by subreddit and search query", () => {
+      expect(highWaterKey("Startups")).toBe("startups");
+      expect(highWaterKey("startups", "pricing")).toBe("startups?search=pricing");
+    });
+
+    it("should keep the newest mark when saving", async () => {
+      await saveDedupeIndex(tempDir, new Set(), {}, { startups: 200 });
+      await saveDedupeIndex(tempDir, new Set(["p1"]), {}, { startups: 100, saas: 50 });
+
+      const marks = await loadHighWaterMarks(tempDir);
+      expect(marks.get("startups")).toBe(200);
+      expect(marks.get("saas")).toBe(50);
+      expect(await loadDedupeIndex(tempDir)).toEqual(new Set(["p1"]));
+    });
+
+    it("should track and persist marks through the tracker", async () => {
+      const tracker = await createDedupeTracker(tempDir);
+      expect(tracker.highWaterFor("startups")).toBeNull();
+
+      tracker.updateHighWater("startups", null, 300);
+      tracker.updateHighWater("startups", null, 100);
+      tracker.updateHighWater("startups", "pricing", 250);
+      await tracker.save();
+
+      const reloaded = await createDedupeTracker(tempDir);
+      expect(reloaded.highWaterFor("startups")).toBe(300);
+      expect(reloaded.highWaterFor("startups", "pricing")).toBe(250);
+    });
+  });
+
   describe("resetDedupeIndex", () => {
     it("should delete the index file", async () => {
       const indexPath = path.join(tempDir, ".harvest-index.json");
@@ -157,6 +196,28 @@ describe("dedupe module", () => {
       expect(Object.keys(data.posts)).toHaveLength(2);
     });
 
+    it("should save each post's subreddit and the run ID", async () => {
+      const tracker = await createDedupeTracker(tempDir, { runId: "run1" });
+      tracker.add("post1", { subreddit: "startups" });
+      tracker.add("post2");
+      await tracker.save();
+
+      const data = JSON.parse(await fs.readFile(path.join(tempDir, ".harvest-index.json"), "utf8"));
+      expect(data.posts.post1).toEqual({ harvestedAt: expect.any(String), runId: "run1", kind: "post", subreddit: "startups" });
+      expect(data.posts.post2).toEqual({ harvestedAt: expect.any(String), runId: "run1", kind: "post" });
+    });
+
+    it("should leave indexed comments out of the submission IDs", async () => {
+      await fs.writeFile(path.join(tempDir, ".harvest-index.json"), JSON.stringify({ posts: { legacy: { harvestedAt: "2024-01-01" } } }));
+      const tracker = await createDedupeTracker(tempDir);
+      tracker.add("s1", { subreddit: "SaaS" });
+      tracker.add("c1", { subreddit: "SaaS", kind: "comment" });
+      await tracker.save();
+
+      expect(await loadDedupeIndex(tempDir)).toEqual(new Set(["legacy", "s1", "c1"]));
+      expect(await loadIndexedPostIds(tempDir)).toEqual(["legacy", "s1"]);
+    });
+
     it("should not save if no new posts", async () => {
       const tracker = await createDedupeTracker(tempDir);
       await tracker.save();
@@ -169,5 +230,88 @@ describe("dedupe module", () => {
       expect(exists).toBe(false);
     });
   });
-});
 
+  describe("index management", () => {
+    const now = Date.parse("2024-06-01T00:00:00.000Z");
+
+    beforeEach(async () => {
+      await fs.writeFile(
+        path.join(tempDir, ".harvest-index.json"),
+        JSON.stringify({
+          posts: {
+            old1: { harvestedAt: "2024-01-01T00:00:00.000Z", subreddit: "startups", runId: "r1" },
+            old2: { harvestedAt: "2024-01-02T00:00:00.000Z", subreddit: "SaaS", runId: "r1" },
+            new1: { harvestedAt: "2024-05-30T00:00:00.000Z", subreddit: "startups", runId: "r2" },
+            legacy: { harvestedAt: "2024-05-20T00:00:00.000Z" }
+          },
+          highWater: { startups: 100, "startups?search=pricing": 90, saas: 80 }
+        })
+      );
+    });
+
+    it("should count posts by subreddit and age", async () => {
+      const stats = await dedupeIndexStats(tempDir, { now });
+
+      expect(stats.total).toBe(4);
+      expect(stats.runs).toBe(2);
+      expect(stats.highWaterMarks).toBe(3);
+      expect(stats.subreddits).toEqual([
+        { subreddit: "startups", count: 2, oldest: "2024-01-01T00:00:00.000Z", newest: "2024-05-30T00:00:00.000Z" },
+        { subreddit: "SaaS", count: 1, oldest: "2024-01-02T00:00:00.000Z", newest: "2024-01-02T00:00:00.000Z" },
+        { subreddit: null, count: 1, oldest: "2024-05-20T00:00:00.000Z", newest: "2024-05-20T00:00:00.000Z" }
+      ]);
+      expect(stats.ages).toMatchObject({ "1-7d": 1, "7-30d": 1, "90-365d": 2, unknown: 0 });
+    });
+
+    it("should prune posts harvested before the cutoff, with their subreddits' high-water marks", async () => {
+      expect(await pruneDedupeIndex(tempDir, { olderThan: 151.5 * 86400, now })).toEqual({
+        removed: 1,
+        remaining: 3,
+        highWaterMarks: 2
+      });
+      expect([...(await loadHighWaterMarks(tempDir)).keys()]).toEqual(["saas"]);
+
+      expect(await pruneDedupeIndex(tempDir, { olderThan: 90 * 86400, now })).toEqual({ removed: 1, remaining: 2, highWaterMarks: 1 });
+      expect(await loadDedupeIndex(tempDir)).toEqual(new Set(["new1", "legacy"]));
+      expect((await loadHighWaterMarks(tempDir)).size).toBe(0);
+    });
+
+    it("should clear every high-water mark when a pruned post has no subreddit recorded", async () => {
+      expect(await pruneDedupeIndex(tempDir, { olderThan: 10 * 86400, now })).toMatchObject({ removed: 3, highWaterMarks: 3 });
+      expect((await loadHighWaterMarks(tempDir)).size).toBe(0);
+    });
+
+    it("should forget a post by ID or URL", async () => {
+      expect(await forgetDedupeEntries(tempDir, "https://www.reddit.com/r/startups/comments/old1/title/")).toEqual({
+        kind: "post",
+        removed: 1,
+        highWaterMarks: 0
+      });
+      expect(await loadDedupeIndex(tempDir)).toEqual(new Set(["old2", "new1", "legacy"]));
+    });
+
+    it("should forget a subreddit and its high-water marks, ignoring case", async () => {
+      expect(await forgetDedupeEntries(tempDir, "r/Startups")).toEqual({ kind: "subreddit", removed: 2, highWaterMarks: 2 });
+      expect(await loadDedupeIndex(tempDir)).toEqual(new Set(["old2", "legacy"]));
+      expect([...(await loadHighWaterMarks(tempDir)).keys()]).toEqual(["saas"]);
+
+      expect(await forgetDedupeEntries(tempDir, "saas")).toEqual({ kind: "subreddit", removed: 1, highWaterMarks: 1 });
+      await expect(forgetDedupeEntries(tempDir, "not a thing")).rejects.toThrow("Not a post ID");
+    });
+
+    it("should merge an exported index, keeping existing entries and the newest marks", async () => {
+      const exported = await exportDedupeIndex(tempDir);
+      const otherDir = await fs.mkdtemp(path.join(os.tmpdir(), "reddit-harvest-test-"));
+      await saveDedupeIndex(otherDir, new Map([["new1", { subreddit: "startups" }], ["mine", {}]]), { runId: "local" }, { startups: 150 });
+
+      expect(await importDedupeIndex(otherDir, exported)).toEqual({ added: 3, total: 5 });
+      const data = JSON.parse(await fs.readFile(path.join(otherDir, ".harvest-index.json"), "utf8"));
+      expect(data.posts.new1.runId).toBe("local");
+      expect(data.posts.old1).toEqual(exported.posts.old1);
+      expect(data.highWater).toEqual({ startups: 150, "startups?search=pricing": 90, saas: 80 });
+
+      await expect(importDedupeIndex(otherDir, { ids: [] })).rejects.toThrow("Not a reddit-harvest dedupe index");
+      await fs.rm(otherDir, { recursive: true, force: true });
+    });
+  });
+});
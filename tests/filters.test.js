@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import { createFilters, applyFilters, parseDateToUnix, toRegExp } from "../src/filters.js";
+
+const raw = (overrides) => ({
+  id: "p",
+  title: "How do you handle pricing?",
+  selftext: "We charge per seat",
+  author: { name: "founder" },
+  score: 10,
+  num_comments: 5,
+  created_utc: 1704067200,
+  link_flair_text: "Question",
+  over_18: false,
+  spoiler: false,
+  ...overrides
+});
+
+function run(posts, options, context) {
+  const drops = {};
+  const { pre } = createFilters(options, context);
+  const kept = applyFilters(posts, pre, (name, n) => {
+    drops[name] = n;
+  });
+  return { ids: kept.map((p) => p.id), drops };
+}
+
+describe("parseDateToUnix", () => {
+  it("should accept ISO dates and unix timestamps", () => {
+    expect(parseDateToUnix("2024-01-01T00:00:00Z")).toBe(1704067200);
+    expect(parseDateToUnix("1704067200")).toBe(1704067200);
+    expect(parseDateToUnix("1704067200000")).toBe(1704067200);
+    expect(parseDateToUnix("not a date")).toBeNull();
+    expect(parseDateToUnix(null)).toBeNull();
+  });
+});
+
+describe("toRegExp", () => {
+  it("should parse /pattern/flags literals", () => {
+    const re = toRegExp("/pric(e|ing)/");
+    expect(re.test("pricing")).toBe(true);
+    expect(re.test("PRICING")).toBe(false);
+  });
+
+  it("should match bare patterns case-insensitively", () => {
+    expect(toRegExp("stripe").test("Stripe fees")).toBe(true);
+  });
+
+  it("should report invalid patterns", () => {
+    expect(() => toRegExp("(unclosed")).toThrow("Invalid regex (unclosed");
+  });
+});
+
+describe("createFilters / applyFilters", () => {
+  it("should keep the original score, comment and date filters", () => {
+    const posts = [
+      raw({ id: "low", score: 1 }),
+      raw({ id: "quiet", num_comments: 0 }),
+      raw({ id: "old", created_utc: 1600000000 }),
+      raw({ id: "ok" })
+    ];
+    const { ids, drops } = run(posts, { minScore: 5, minComments: 1, after: "2023-01-01" });
+
+    expect(ids).toEqual(["ok"]);
+    expect(drops).toEqual({ minScore: 1, minComments: 1, after: 1 });
+  });
+
+  it("should filter by keywords in title and body", () => {
+    const posts = [raw({ id: "a" }), raw({ id: "b", title: "Hiring", selftext: "Looking for a cofounder" })];
+
+    expect(run(posts, { includeKeywords: "PRICING,billing" }).ids).toEqual(["a"]);
+    expect(run(posts, { excludeKeywords: ["cofounder"] }).ids).toEqual(["a"]);
+  });
+
+  it("should filter by regex", () => {
+    const posts = [raw({ id: "a" }), raw({ id: "b", title: "Launch day", selftext: "" })];
+
+    expect(run(posts, { includeRegex: "/per (seat|user)/" }).ids).toEqual(["a"]);
+    expect(run(posts, { excludeRegex: "launch" }).ids).toEqual(["a"]);
+  });
+
+  it("should filter by flair, NSFW and spoilers", () => {
+    const posts = [
+      raw({ id: "q" }),
+      raw({ id: "meme", link_flair_text: "Meme" }),
+      raw({ id: "nsfw", over_18: true }),
+      raw({ id: "spoiler", spoiler: true })
+    ];
+
+    expect(run(posts, { includeFlair: "question" }).ids).toEqual(["q", "nsfw", "spoiler"]);
+    expect(run(posts, { excludeFlair: "Meme", excludeNsfw: true, excludeSpoilers: true }).drops).toEqual({
+      excludeFlair: 1,
+      excludeNsfw: 1,
+      excludeSpoilers: 1
+    });
+  });
+
+  it("should skip known bots by default and honour the author deny-list", () => {
+    const posts = [raw({ id: "human" }), raw({ id: "mod", author: "AutoModerator" }), raw({ id: "spam", author: { name: "Spammer" } })];
+
+    expect(run(posts, { excludeAuthors: "spammer" }).drops).toEqual({ excludeAuthors: 1, skipBots: 1 });
+    expect(run(posts, { skipBots: false }).ids).toEqual(["human", "mod", "spam"]);
+  });
+
+  it("should match comments after expansion when comments are harvested", () => {
+    const harvested = raw({
+      id: "a",
+      title: "Tools",
+      selftext: "",
+      comments: [{ body: "We moved off Stripe", replies: [{ body: "Paddle here", replies: [] }] }]
+    });
+    const { pre, post } = createFilters({ includeKeywords: "paddle", excludeKeywords: "spam" }, { includeComments: true });
+
+    expect(pre.map((s) => s.name)).toEqual(["skipBots", "excludeKeywords"]);
+    expect(post.map((s) => s.name)).toEqual(["includeKeywords", "excludeKeywords"]);
+    expect(applyFilters([harvested], post)).toHaveLength(1);
+  });
+
+  it("should report which authors are denied", () => {
+    const { isDeniedAuthor } = createFilters({ excludeAuthors: "troll" });
+
+    expect(isDeniedAuthor("automoderator")).toBe(true);
+    expect(isDeniedAuthor("Troll")).toBe(true);
+    expect(isDeniedAuthor("founder")).toBe(false);
+  });
+});
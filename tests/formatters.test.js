@@ -1,5 +1,12 @@
 import { describe, it, expect } from "vitest";
-import { formatPostsToJSONL, parseJSONL } from "../src/formatters.js";
+import {
+  formatPostsToJSONL,
+  parseJSONL,
+  formatPostsToCSV,
+  formatPostsToMarkdown,
+  corpusExtension,
+  formatRows
+} from "../src/formatters.js";
 
 describe("formatPostsToJSONL", () => {
   it("should format posts array to JSONL", () => {
@@ -89,3 +96,203 @@ describe("parseJSONL", () => {
   });
 });
 
+
+const thread = {
+  id: "abc123",
+  subreddit: "startups",
+  title: "Pricing, [again]",
+  author: "founder",
+  created: "2024-01-15T12:00:00.000Z",
+  score: 42,
+  numComments: 2,
+  url: "https://example.com/pricing",
+  permalink: "/r/startups/comments/abc123/pricing/",
+  selftext: "First line\nSecond \"quoted\" line",
+  flair: "Question",
+  isSelf: false,
+  comments: [
+    {
+      id: "c1",
+      parentId: "abc123",
+      depth: 0,
+      author: "alice",
+      score: 5,
+      body: "Charge more.\nSeriously.",
+      created: "2024-01-15T13:00:00.000Z",
+      replies: [{ id: "c2", parentId: "c1", depth: 1, author: "bob", score: 2, body: "Agreed", created: "", replies: [] }]
+    }
+  ]
+};
+
+/**
+ * Minimal RFC 4180 reader, enough to check that cells survive a round trip.
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\r" && text[i + 1] === "\n") {
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+      i++;
+    } else {
+      cell += ch;
+    }
+  }
+  return rows;
+}
+
+describe("formatPostsToCSV", () => {
+  it("should write a header and one row per post", () => {
+    const [header, row, ...rest] = parseCSV(formatPostsToCSV([thread]));
+
+    expect(rest).toEqual([]);
+    expect(header.slice(0, 4)).toEqual(["id", "kind", "subreddit", "title"]);
+    const record = Object.fromEntries(header.map((name, i) => [name, row[i]]));
+    expect(record).toMatchObject({ id: "abc123", kind: "post", num_comments: "2", flair: "Question", is_self: "false" });
+    expect(record.upvote_ratio).toBe("");
+  });
+
+  it("should quote commas, quotes and line breaks so multiline bodies stay in one cell", () => {
+    const csv = formatPostsToCSV([thread]);
+    const [header, row] = parseCSV(csv);
+
+    expect(csv).toContain('"First line\nSecond ""quoted"" line"');
+    expect(row[header.indexOf("title")]).toBe("Pricing, [again]");
+    expect(row[header.indexOf("selftext")]).toBe(thread.selftext);
+    expect(csv.endsWith("\r\n")).toBe(true);
+  });
+
+  it("should quote cells with leading or trailing spaces", () => {
+    const csv = formatPostsToCSV([{ ...thread, selftext: "  indented" }]);
+    expect(csv).toContain('"  indented"');
+  });
+
+  it("should keep cells that look like formulas as text, leaving numbers alone", () => {
+    const post = { ...thread, title: '=HYPERLINK("https://evil.example","click")', author: "@admin", flair: "+1", score: -3, selftext: "\tcmd" };
+    const [header, row] = parseCSV(formatPostsToCSV([post]));
+    const record = Object.fromEntries(header.map((name, i) => [name, row[i]]));
+
+    expect(record).toMatchObject({
+      title: `'${post.title}`,
+      author: "'@admin",
+      flair: "'+1",
+      score: "-3",
+      selftext: "'\tcmd"
+    });
+    expect(formatRows(["title"], [["-1 for this"]], "csv")).toBe("title\r\n'-1 for this\r\n");
+  });
+
+  it("should write one row per comment, depth-first, with comments: true", () => {
+    const [header, ...rows] = parseCSV(formatPostsToCSV([thread, { ...thread, id: "none", comments: [] }], { comments: true }));
+    const records = rows.map((row) => Object.fromEntries(header.map((name, i) => [name, row[i]])));
+
+    expect(records.map((r) => [r.post_id, r.comment_id, r.comment_path, r.depth])).toEqual([
+      ["abc123", "c1", "1", "0"],
+      ["abc123", "c2", "1.1", "1"],
+      ["none", "", "", ""]
+    ]);
+    expect(records[0]).toMatchObject({ parent_id: "abc123", author: "alice", body: "Charge more.\nSeriously." });
+  });
+
+  it("should write only the header for no posts", () => {
+    expect(formatPostsToCSV([])).toBe(
+      "id,kind,subreddit,title,author,created,score,num_comments,flair,upvote_ratio,is_self,domain,over_18,crosspost_parent,edited,locked,removed,total_awards,url,permalink,selftext,comments_error,duplicate_of\r\n"
+    );
+  });
+});
+
+describe("formatPostsToMarkdown", () => {
+  const meta = { subreddit: "startups", listing: "new", includeComments: true };
+
+  it("should write a linked card per post", () => {
+    const md = formatPostsToMarkdown([thread], meta);
+
+    expect(md).toContain("# Reddit corpus: r/startups");
+    expect(md).toContain("_1 post(s) · listing: new · exported ");
+    expect(md).toContain("## 1. [Pricing, \\[again\\]](https://www.reddit.com/r/startups/comments/abc123/pricing/)");
+    expect(md).toContain("r/startups · u/founder · 42 points · 2 comments · 2024-01-15T12:00:00.000Z · flair: Question");
+    expect(md).toContain("Link: <https://example.com/pricing>");
+    expect(md).toContain("First line\nSecond \"quoted\" line");
+  });
+
+  it("should quote comments, nesting replies one level deeper", () => {
+    const md = formatPostsToMarkdown([thread], meta);
+
+    expect(md).toContain("### Comments\n\n> **u/alice** · 5 points\n>\n> Charge more.\n> Seriously.\n\n> > **u/bob** · 2 points\n> >\n> > Agreed");
+  });
+
+  it("should leave comments out unless they were harvested, and note errors", () => {
+    expect(formatPostsToMarkdown([thread], { ...meta, includeComments: false })).not.toContain("Comments");
+    expect(formatPostsToMarkdown([{ ...thread, comments: [], commentsError: "timeout" }], meta)).toContain(
+      "_Comments could not be loaded: timeout_"
+    );
+  });
+
+  it("should escape Markdown in author names", () => {
+    const md = formatPostsToMarkdown([{ ...thread, author: "snake_case_user" }], meta);
+    expect(md).toContain("u/snake\\_case\\_user");
+  });
+});
+
+describe("corpusExtension", () => {
+  it("should map formats to file extensions, defaulting to txt", () => {
+    expect(["txt", "jsonl", "csv", "md", "text"].map(corpusExtension)).toEqual(["txt", "jsonl", "csv", "md", "txt"]);
+  });
+});
+
+describe("formatRows", () => {
+  const columns = ["subreddit", "posts", "top_title"];
+  const rows = [
+    ["startups", 12, "How did you find your first 10 customers?"],
+    ["SaaS", 3, null]
+  ];
+
+  it("should align a table under a header rule", () => {
+    expect(formatRows(columns, rows, "table")).toBe(
+      [
+        "subreddit  posts  top_title",
+        "---------  -----  -----------------------------------------",
+        "startups   12     How did you find your first 10 customers?",
+        "SaaS       3",
+        ""
+      ].join("\n")
+    );
+  });
+
+  it("should flatten whitespace and cut long cells in tables", () => {
+    const table = formatRows(["body"], [["line one\nline two " + "x".repeat(80)]], "table");
+    const cell = table.split("\n")[2];
+    expect(cell).toHaveLength(60);
+    expect(cell.startsWith("line one line two x")).toBe(true);
+    expect(cell.endsWith("…")).toBe(true);
+  });
+
+  it("should write CSV with a header row and JSONL keyed by column", () => {
+    expect(formatRows(columns, rows, "csv")).toBe(
+      "subreddit,posts,top_title\r\nstartups,12,How did you find your first 10 customers?\r\nSaaS,3,\r\n"
+    );
+    expect(formatRows(columns, rows, "jsonl").trim().split("\n").map((line) => JSON.parse(line))).toEqual([
+      { subreddit: "startups", posts: 12, top_title: "How did you find your first 10 customers?" },
+      { subreddit: "SaaS", posts: 3, top_title: null }
+    ]);
+  });
+});
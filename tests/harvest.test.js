@@ -1,5 +1,82 @@
 import { describe, it, expect } from "vitest";
-import { formatPostsToText } from "../src/redditHarvest.js";
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import {
+  formatPostsToText,
+  parseTextCorpus,
+  formatCorpus,
+  createCorpusWriter,
+  combineCorpusFiles,
+  harvestSubreddit,
+  harvestSubredditStream,
+  harvestSubredditsToFiles,
+  harvestPosts,
+  harvestUser
+} from "../src/redditHarvest.js";
+import { createCheckpoint } from "../src/checkpoint.js";
+import { createDedupeTracker, saveDedupeIndex, loadIndexedPostIds } from "../src/dedupe.js";
+import { formatPostsToJSONL } from "../src/formatters.js";
+import { createReplaySource } from "../src/cassette.js";
+import { createScheduler, createScheduledSource } from "../src/scheduler.js";
+
+// A submission as Reddit returns it; each test overrides what it checks
+function redditPost(id, overrides = {}) {
+  return {
+    id,
+    name: `t3_${id}`,
+    title: `Post ${id}`,
+    author: { name: "someone" },
+    subreddit: { display_name: "test" },
+    created_utc: 1700000000,
+    score: 1,
+    num_comments: 0,
+    url: "",
+    permalink: `/r/test/comments/${id}/`,
+    selftext: "",
+    ...overrides
+  };
+}
+
+// Posts p0, p1, … with `overrides(i)` applied to each
+function redditPosts(count, overrides = () => ({})) {
+  return Array.from({ length: count }, (_, i) => redditPost(`p${i}`, overrides(i)));
+}
+
+// One page of `items` from the `after` cursor, as a listing serves it
+function pageOf(items, { limit, after }) {
+  const start = after ? items.findIndex((item) => item.name === after) + 1 : 0;
+  return items.slice(start, start + limit);
+}
+
+/**
+ * A fake snoowrap client. Every subreddit listing serves `posts` and search
+ * serves `search`, both recorded in `calls`; a request for the `failAfter`
+ * cursor fails. `getSubmission` serves `submissions` by ID and `getUser` the
+ * `user.submissions` and `user.comments` histories.
+ */
+function fakeReddit({ posts = [], search = posts, submissions = {}, user = {}, failAfter = null } = {}) {
+  const calls = [];
+  const listing = (items) => async (opts) => {
+    if (failAfter && opts.after === failAfter) throw new Error("socket hang up");
+    calls.push(opts);
+    return pageOf(items, opts);
+  };
+  return {
+    calls,
+    getSubreddit: () => ({ getHot: listing(posts), getNew: listing(posts), getTop: listing(posts), search: listing(search) }),
+    getSubmission: (id) => ({
+      fetch: async () => {
+        if (!submissions[id]) throw new Error("404 Not Found");
+        return submissions[id];
+      }
+    }),
+    getUser: () => ({
+      getSubmissions: async (opts) => pageOf(user.submissions ?? [], opts),
+      getComments: async (opts) => pageOf(user.comments ?? [], opts)
+    })
+  };
+}
 
 describe("formatPostsToText", () => {
   const basePosts = [
@@ -111,6 +188,44 @@ describe("formatPostsToText", () => {
     expect(result).toContain("Thanks for sharing");
   });
 
+  it("should indent nested replies", () => {
+    const posts = [
+      {
+        ...basePosts[0],
+        comments: [
+          {
+            id: "c1",
+            author: "user1",
+            score: 10,
+            body: "Great post!",
+            replies: [
+              {
+                id: "c2",
+                author: "user2",
+                score: 3,
+                body: "Agreed\non both points",
+                replies: [{ id: "c3", author: "user1", score: 1, body: "Thanks", replies: [] }]
+              }
+            ]
+          }
+        ]
+      }
+    ];
+
+    const result = formatPostsToText(posts, {
+      subreddit: "startups",
+      listing: "hot",
+      time: "week",
+      limit: 25,
+      includeComments: true,
+      commentLimit: 50
+    });
+
+    expect(result).toContain("- comment 1:\n  author: user1");
+    expect(result).toContain("  - comment 1.1:\n    author: user2\n    score: 3\n    body: Agreed\n    on both points");
+    expect(result).toContain("    - comment 1.1.1:\n      author: user1");
+  });
+
   it("should handle empty comments array", () => {
     const posts = [{ ...basePosts[0], comments: [] }];
 
@@ -166,6 +281,18 @@ describe("formatPostsToText", () => {
     expect(result).toContain("Third post");
   });
 
+  it("should list requested post IDs instead of a listing for thread corpora", () => {
+    const result = formatPostsToText(basePosts, {
+      includeComments: false,
+      commentLimit: 0,
+      postIds: ["abc123", "def456"]
+    });
+
+    expect(result).toContain("posts: abc123, def456");
+    expect(result).not.toContain("subreddit:");
+    expect(result).not.toContain("listing:");
+  });
+
   it("should show top listing time range", () => {
     const result = formatPostsToText(basePosts, {
       subreddit: "startups",
@@ -178,5 +305,974 @@ describe("formatPostsToText", () => {
 
     expect(result).toContain("listing: top (month)");
   });
+
+  it("should list post metadata in the header block", () => {
+    const posts = [
+      {
+        ...basePosts[0],
+        flair: "Question",
+        upvoteRatio: 0.93,
+        isSelf: false,
+        domain: "example.com",
+        over18: false,
+        crosspostParent: "t3_xyz",
+        edited: null,
+        locked: true,
+        removed: false,
+        totalAwards: 2
+      }
+    ];
+    const result = formatPostsToText(posts, {
+      subreddit: "startups",
+      listing: "hot",
+      time: "week",
+      limit: 25,
+      includeComments: false,
+      commentLimit: 0
+    });
+
+    expect(result).toContain(
+      [
+        "num_comments: 15",
+        "flair: Question",
+        "upvote_ratio: 0.93",
+        "is_self: false",
+        "domain: example.com",
+        "over_18: false",
+        "crosspost_parent: t3_xyz",
+        "edited: ",
+        "locked: true",
+        "removed: false",
+        "total_awards: 2",
+        "url: "
+      ].join("\n")
+    );
+  });
+});
+
+
+describe("parseTextCorpus", () => {
+  const cassetteDir = path.join(import.meta.dirname, "fixtures", "cassettes", "startups");
+  const harvested = async () =>
+    harvestSubreddit({
+      source: await createReplaySource(cassetteDir),
+      subreddit: "startups",
+      listing: "new",
+      limit: 10,
+      includeComments: true,
+      commentLimit: 10,
+      commentDepth: 3
+    });
+  // Fields the text layout does not carry
+  const withoutCommentIds = (comments) =>
+    comments.map(({ id: _id, parentId: _parent, created: _created, replies, ...c }) => ({ ...c, replies: withoutCommentIds(replies) }));
+  const textFields = ({ comments, ...post }) => ({ ...post, comments: withoutCommentIds(comments) });
+
+  const tricky = {
+    id: "t1",
+    subreddit: "startups",
+    title: "Title: with a colon",
+    author: "op",
+    created: "2024-01-15T10:30:00.000Z",
+    score: -3,
+    numComments: 2,
+    url: "",
+    permalink: "/r/startups/comments/t1/tricky/",
+    selftext: "Looks like structure:\n\ncomments:\n(none)\n\n---\nPOST 9/9\nid: fake",
+    comments: [
+      {
+        id: "c1",
+        parentId: "t1",
+        depth: 0,
+        author: "a",
+        score: 1,
+        body: "First line\n\n- comment 2:\n  author: nobody",
+        created: "",
+        replies: [{ id: "c2", parentId: "c1", depth: 1, author: "b", score: 0, body: "", created: "", replies: [] }]
+      },
+      { id: "c3", parentId: "t1", depth: 0, author: "c", score: 2, body: "Second", created: "", replies: [] }
+    ]
+  };
+
+  it("should round-trip harvested posts losslessly: format, parse, format", async () => {
+    const posts = await harvested();
+    const opts = { subreddit: "startups", listing: "top", time: "week", limit: 10, includeComments: true, commentLimit: 10 };
+    const text = formatPostsToText(posts, opts);
+
+    const parsed = parseTextCorpus(text);
+
+    expect(formatPostsToText(parsed.posts, parsed.meta)).toBe(text);
+    expect(parsed.meta).toMatchObject(opts);
+    expect(parsed.posts.map(textFields)).toEqual(posts.map(textFields));
+  });
+
+  it("should round-trip every header layout", async () => {
+    const posts = await harvested();
+    for (const opts of [
+      { subreddit: "startups", listing: "new", limit: 25, includeComments: false, commentLimit: 0, search: "pricing" },
+      { postIds: ["18x0ab", "18x1ab"], includeComments: true, commentLimit: 5 },
+      { user: "founder_jane", limit: 50, includeComments: false, commentLimit: 50 },
+      { combined: ["r/startups", "threads"], limit: 10, includeComments: true, commentLimit: 10 },
+      { subreddit: "startups", imported: ["RS_2023-01.ndjson"], includeComments: false, commentLimit: 0 }
+    ]) {
+      const records = opts.user ? posts.map((p, i) => ({ ...p, kind: i % 2 ? "comment" : "submission" })) : posts;
+      const text = formatPostsToText(records, opts);
+      const parsed = parseTextCorpus(text);
+      expect(formatPostsToText(parsed.posts, parsed.meta)).toBe(text);
+    }
+  });
+
+  it("should keep selftext and comment bodies that look like corpus structure", () => {
+    const opts = { subreddit: "startups", listing: "new", limit: 1, includeComments: true, commentLimit: 10 };
+    const text = formatPostsToText([tricky], opts);
+
+    const { posts } = parseTextCorpus(text);
+
+    expect(posts.map(textFields)).toEqual([textFields(tricky)]);
+    expect(formatPostsToText(posts, parseTextCorpus(text).meta)).toBe(text);
+  });
+
+  it("should not split a post at a POST separator inside its selftext", () => {
+    const opts = { subreddit: "startups", listing: "new", limit: 2, includeComments: false };
+    const posts = [
+      { ...tricky, id: "d1", selftext: "Quoting an old export:\n\n---\nPOST 2/2\n\nand more", comments: [] },
+      { ...tricky, id: "d2", selftext: "Second", comments: [] }
+    ];
+    const text = formatPostsToText(posts, opts);
+
+    const parsed = parseTextCorpus(text);
+
+    expect(parsed.posts.map((p) => [p.id, p.selftext])).toEqual(posts.map((p) => [p.id, p.selftext]));
+    expect(formatPostsToText(parsed.posts, parsed.meta)).toBe(text);
+  });
+
+  it("should round-trip titles and flair that span several lines", () => {
+    const opts = { subreddit: "startups", listing: "new", limit: 2, includeComments: false };
+    const posts = [
+      { ...tricky, id: "m1", title: "First line\nauthor: not the author\n\n  indented", comments: [] },
+      {
+        ...tricky,
+        id: "m2",
+        flair: "Two\nlines",
+        upvoteRatio: null,
+        isSelf: true,
+        domain: "self.startups",
+        over18: false,
+        crosspostParent: null,
+        edited: null,
+        locked: false,
+        removed: false,
+        totalAwards: 0,
+        comments: []
+      }
+    ];
+    const text = formatPostsToText(posts, opts);
+
+    const parsed = parseTextCorpus(text);
+
+    expect(parsed.posts.map((p) => [p.title, p.author])).toEqual(posts.map((p) => [p.title, p.author]));
+    expect(parsed.posts[1].flair).toBe("Two\nlines");
+    expect(formatPostsToText(parsed.posts, parsed.meta)).toBe(text);
+  });
+
+  it("should keep bodies that are literally the empty placeholders", () => {
+    const opts = { subreddit: "startups", listing: "new", limit: 3, includeComments: true, commentLimit: 10 };
+    const comment = (body) => ({ id: "", parentId: "", depth: 0, author: "a", score: 1, body, created: "", replies: [] });
+    const posts = [
+      { ...tricky, id: "p1", selftext: "(no selftext)", comments: [comment("(empty)"), comment("")] },
+      { ...tricky, id: "p2", selftext: "\\(no selftext)", comments: [comment("\\(empty)")] },
+      { ...tricky, id: "p3", selftext: "", comments: [] }
+    ];
+    const text = formatPostsToText(posts, opts);
+
+    const parsed = parseTextCorpus(text);
+
+    expect(parsed.posts.map((p) => p.selftext)).toEqual(["(no selftext)", "\\(no selftext)", ""]);
+    expect(parsed.posts.map((p) => p.comments.map((c) => c.body))).toEqual([["(empty)", ""], ["\\(empty)"], []]);
+    expect(formatPostsToText(parsed.posts, parsed.meta)).toBe(text);
+  });
+
+  it("should read comment errors, empty threads and posts without metadata", () => {
+    const opts = { postIds: ["e1", "n1"], includeComments: true, commentLimit: 10 };
+    const posts = [
+      { ...tricky, id: "e1", selftext: "", comments: [], commentsError: "timeout: (503)" },
+      { ...tricky, id: "n1", permalink: "/r/SaaS/comments/n1/", comments: [] }
+    ];
+
+    const parsed = parseTextCorpus(formatPostsToText(posts, opts)).posts;
+
+    expect(parsed[0]).toMatchObject({ selftext: "", comments: [], commentsError: "timeout: (503)" });
+    // Thread lists name no subreddit, so it comes from the permalink
+    expect(parsed.map((p) => p.subreddit)).toEqual(["startups", "SaaS"]);
+    expect(parsed[1]).not.toHaveProperty("isSelf");
+  });
+
+  it("should parse an empty corpus and reject other text", () => {
+    const text = formatPostsToText([], { subreddit: "startups", listing: "hot", limit: 5, includeComments: false });
+    expect(parseTextCorpus(text).posts).toEqual([]);
+    expect(() => parseTextCorpus("=== r/startups ===\n")).toThrow("Not a reddit-harvest text corpus");
+  });
+});
+
+describe("harvestSubreddit pagination", () => {
+  const makePosts = (count) => redditPosts(count, (i) => ({ created_utc: 1700000000 + i }));
+  const cursors = (reddit) => reddit.calls.map(({ limit, after }) => ({ limit, after }));
+
+  it("should follow the after cursor until limit is met", async () => {
+    const reddit = fakeReddit({ posts: makePosts(350) });
+    const events = [];
+
+    const posts = await harvestSubreddit({
+      reddit,
+      subreddit: "test",
+      listing: "new",
+      limit: 250,
+      onProgress: (e) => events.push(e)
+    });
+
+    expect(posts).toHaveLength(250);
+    expect(posts[249].id).toBe("p249");
+    expect(cursors(reddit)).toEqual([
+      { limit: 100, after: undefined },
+      { limit: 100, after: "t3_p99" },
+      { limit: 50, after: "t3_p199" }
+    ]);
+
+    const pages = events.filter((e) => e.type === "page_fetched");
+    expect(pages.map((e) => e.totalPosts)).toEqual([100, 200, 250]);
+  });
+
+  it("should stop when the listing runs out", async () => {
+    const reddit = fakeReddit({ posts: makePosts(120) });
+
+    const posts = await harvestSubreddit({ reddit, subreddit: "test", listing: "hot", limit: 500 });
+
+    expect(posts).toHaveLength(120);
+    expect(reddit.calls).toHaveLength(3);
+  });
+
+  it("should stop at Reddit's listing ceiling", async () => {
+    const reddit = fakeReddit({ posts: makePosts(1500) });
+    const events = [];
+
+    const posts = await harvestSubreddit({
+      reddit,
+      subreddit: "test",
+      listing: "top",
+      limit: 2000,
+      onProgress: (e) => events.push(e)
+    });
+
+    expect(posts).toHaveLength(1000);
+    expect(reddit.calls).toHaveLength(10);
+    expect(events.some((e) => e.type === "listing_ceiling")).toBe(true);
+  });
+
+  it("should resume from a checkpoint without refetching harvested pages", async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "reddit-harvest-test-"));
+    try {
+      const allPosts = makePosts(250);
+      const opts = { subreddit: "test", listing: "new", limit: 250 };
+
+      const checkpoint = await createCheckpoint(tempDir, { runId: "run1" });
+      await expect(
+        harvestSubreddit({ ...opts, reddit: fakeReddit({ posts: allPosts, failAfter: "t3_p199" }), checkpoint })
+      ).rejects.toThrow("socket hang up");
+
+      const resumed = await createCheckpoint(tempDir, { runId: "run1", resume: true });
+      const reddit = fakeReddit({ posts: allPosts });
+      const added = [];
+      const dedupeIndex = { has: () => false, add: (id) => added.push(id) };
+
+      const posts = await harvestSubreddit({ ...opts, reddit, checkpoint: resumed, dedupeIndex });
+
+      expect(cursors(reddit)).toEqual([{ limit: 50, after: "t3_p199" }]);
+      expect(posts).toHaveLength(250);
+      expect(new Set(posts.map((p) => p.id)).size).toBe(250);
+      expect(added).toHaveLength(250);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it("should keep the reply tree up to commentDepth", async () => {
+    const comment = (id, parent, replies = []) => ({
+      id,
+      parent_id: parent,
+      author: { name: `u_${id}` },
+      score: 1,
+      body: `body ${id}`,
+      created_utc: 1700000000,
+      replies
+    });
+    const tree = [
+      comment("c1", "t3_p0", [comment("c2", "t1_c1", [comment("c3", "t1_c2")])]),
+      comment("c4", "t3_p0")
+    ];
+    const [post] = makePosts(1);
+    post.expandReplies = async () => ({ comments: tree });
+    const reddit = fakeReddit({ posts: [post] });
+
+    const [shallow] = await harvestSubreddit({ reddit, subreddit: "test", limit: 1, includeComments: true, commentDepth: 1 });
+    expect(shallow.comments.map((c) => c.replies)).toEqual([[], []]);
+
+    const [deep] = await harvestSubreddit({ reddit, subreddit: "test", limit: 1, includeComments: true, commentDepth: 2 });
+    expect(deep.comments[0]).toMatchObject({ id: "c1", parentId: "p0", depth: 0, author: "u_c1", body: "body c1" });
+    expect(deep.comments[0].replies).toEqual([
+      expect.objectContaining({ id: "c2", parentId: "c1", depth: 1, replies: [] })
+    ]);
+  });
+});
+
+describe("harvestPosts", () => {
+  const submission = (id, subreddit) =>
+    redditPost(id, {
+      title: `Thread ${id}`,
+      author: { name: "op" },
+      subreddit: { display_name: subreddit },
+      score: 7,
+      num_comments: 1,
+      permalink: `/r/${subreddit}/comments/${id}/`,
+      selftext: "text",
+      expandReplies: async () => ({ comments: [{ id: "c1", parent_id: `t3_${id}`, author: "a", body: "hi" }] })
+    });
+
+  it("should shape each thread with its own subreddit and comments", async () => {
+    const reddit = fakeReddit({ submissions: { aaa: submission("aaa", "startups"), bbb: submission("bbb", "SaaS") } });
+
+    const posts = await harvestPosts({ reddit, postIds: ["aaa", "bbb"], includeComments: true });
+
+    expect(posts.map((p) => [p.id, p.subreddit])).toEqual([
+      ["aaa", "startups"],
+      ["bbb", "SaaS"]
+    ]);
+    expect(posts[0].comments[0]).toMatchObject({ id: "c1", parentId: "aaa", body: "hi" });
+  });
+
+  it("should capture typed submission metadata", async () => {
+    const reddit = fakeReddit({
+      submissions: {
+        aaa: {
+          ...submission("aaa", "startups"),
+          link_flair_text: "Question",
+          upvote_ratio: 0.87,
+          is_self: true,
+          domain: "self.startups",
+          over_18: false,
+          crosspost_parent: "t3_orig",
+          edited: 1700003600,
+          locked: false,
+          removed_by_category: "moderator",
+          total_awards_received: 3
+        },
+        bbb: submission("bbb", "SaaS")
+      }
+    });
+
+    const [full, bare] = await harvestPosts({ reddit, postIds: ["aaa", "bbb"] });
+
+    expect(full).toMatchObject({
+      flair: "Question",
+      upvoteRatio: 0.87,
+      isSelf: true,
+      domain: "self.startups",
+      over18: false,
+      crosspostParent: "t3_orig",
+      edited: "2023-11-14T23:13:20.000Z",
+      locked: false,
+      removed: true,
+      totalAwards: 3
+    });
+    expect(bare).toMatchObject({
+      flair: null,
+      upvoteRatio: null,
+      isSelf: false,
+      domain: "",
+      crosspostParent: null,
+      edited: null,
+      removed: false,
+      totalAwards: 0
+    });
+  });
+
+  it("should report and skip threads that fail to load", async () => {
+    const reddit = fakeReddit({ submissions: { aaa: submission("aaa", "startups") } });
+    const events = [];
+
+    const posts = await harvestPosts({ reddit, postIds: ["gone", "aaa"], onProgress: (e) => events.push(e) });
+
+    expect(posts.map((p) => p.id)).toEqual(["aaa"]);
+    expect(events).toContainEqual(expect.objectContaining({ type: "post_fetch_error", postId: "gone" }));
+  });
+
+  it("should skip and record threads through the dedupe index", async () => {
+    const reddit = fakeReddit({ submissions: { aaa: submission("aaa", "startups"), bbb: submission("bbb", "SaaS") } });
+    const added = [];
+    const dedupeIndex = { has: (id) => id === "aaa", add: (id) => added.push(id) };
+
+    const posts = await harvestPosts({ reddit, postIds: ["aaa", "bbb"], dedupeIndex });
+
+    expect(posts.map((p) => p.id)).toEqual(["bbb"]);
+    expect(added).toEqual(["bbb"]);
+  });
 });
 
+describe("harvestUser", () => {
+  const submission = (id, created, score) =>
+    redditPost(id, {
+      title: `Submission ${id}`,
+      author: { name: "founder" },
+      subreddit: { display_name: "startups" },
+      created_utc: created,
+      score,
+      num_comments: 4,
+      permalink: `/r/startups/comments/${id}/`,
+      selftext: "text"
+    });
+
+  const comment = (id, created, score) => ({
+    id,
+    name: `t1_${id}`,
+    link_id: "t3_zzz",
+    parent_id: "t3_zzz",
+    link_title: "Someone else's thread",
+    author: { name: "founder" },
+    subreddit: { display_name: "SaaS" },
+    created_utc: created,
+    score,
+    body: `comment ${id}`,
+    permalink: `/r/SaaS/comments/zzz/t/${id}/`
+  });
+
+  it("should return submissions and comments newest first, tagged by kind", async () => {
+    const reddit = fakeReddit({
+      user: {
+        submissions: [submission("s2", 1700000300, 10), submission("s1", 1700000100, 5)],
+        comments: [comment("c1", 1700000200, 3)]
+      }
+    });
+
+    const records = await harvestUser({ reddit, username: "founder" });
+
+    expect(records.map((r) => [r.kind, r.id])).toEqual([
+      ["submission", "s2"],
+      ["comment", "c1"],
+      ["submission", "s1"]
+    ]);
+    expect(records[1]).toMatchObject({
+      subreddit: "SaaS",
+      title: "Someone else's thread",
+      selftext: "comment c1",
+      linkId: "zzz",
+      comments: []
+    });
+  });
+
+  it("should apply score and date filters to both kinds", async () => {
+    const reddit = fakeReddit({
+      user: {
+        submissions: [submission("s2", 1700000300, 10), submission("s1", 1700000100, 50)],
+        comments: [comment("c2", 1700000400, 1), comment("c1", 1700000200, 30)]
+      }
+    });
+
+    const records = await harvestUser({ reddit, username: "founder", minScore: 5, after: "1700000150", minComments: 2 });
+
+    expect(records.map((r) => r.id)).toEqual(["s2", "c1"]);
+  });
+
+  it("should index comments by kind so snapshots skip them", async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "reddit-harvest-test-"));
+    const reddit = fakeReddit({
+      user: { submissions: [submission("s1", 1700000100, 5)], comments: [comment("c1", 1700000200, 3)] }
+    });
+    const dedupeIndex = await createDedupeTracker(tempDir);
+
+    await harvestUser({ reddit, username: "founder", dedupeIndex });
+    await dedupeIndex.save();
+
+    expect(await loadIndexedPostIds(tempDir)).toEqual(["s1"]);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+});
+
+describe("harvestSubreddit windowed search", () => {
+  const base = 1704067200; // 2024-01-01
+  const allPosts = redditPosts(600, (i) => ({ created_utc: base + i * 3600 * 6 }));
+
+  // Mimics Reddit search: no date range, newest first, and never more than
+  // 250 results for a query
+  const mockSearchReddit = (posts) =>
+    fakeReddit({ search: [...posts].sort((a, b) => b.created_utc - a.created_utc).slice(0, 250) });
+  const at = (i) => String(base + i * 3600 * 6);
+
+  it("should keep the posts inside the window and stop paging once past it", async () => {
+    const reddit = mockSearchReddit(allPosts);
+    const events = [];
+
+    const posts = await harvestSubreddit({
+      reddit,
+      subreddit: "test",
+      search: "pricing",
+      searchWindow: true,
+      after: at(450),
+      before: at(549),
+      limit: 5000,
+      onProgress: (e) => events.push(e)
+    });
+
+    expect(posts.map((p) => p.id)).toEqual(Array.from({ length: 100 }, (_, i) => `p${549 - i}`));
+    expect(reddit.calls).toHaveLength(2);
+    expect(reddit.calls[0]).toMatchObject({ query: "pricing", sort: "new" });
+    expect(events.some((e) => e.type === "search_truncated")).toBe(false);
+  });
+
+  it("should report a window reaching back past the search cap", async () => {
+    const reddit = mockSearchReddit(allPosts);
+    const events = [];
+
+    const posts = await harvestSubreddit({
+      reddit,
+      subreddit: "test",
+      search: "pricing",
+      searchWindow: true,
+      after: at(0),
+      limit: 5000,
+      onProgress: (e) => events.push(e)
+    });
+
+    expect(posts).toHaveLength(250);
+    expect(reddit.calls.length).toBeLessThanOrEqual(4);
+    expect(events.find((e) => e.type === "search_truncated")).toMatchObject({ oldest: Number(at(350)), totalPosts: 250, cap: 250 });
+  });
+
+  it("should stop once limit posts are kept", async () => {
+    const posts = await harvestSubreddit({
+      reddit: mockSearchReddit(allPosts),
+      subreddit: "test",
+      search: "pricing",
+      searchWindow: true,
+      after: at(400),
+      limit: 30
+    });
+
+    expect(posts).toHaveLength(30);
+    expect(posts[0].id).toBe("p599");
+  });
+});
+
+describe("harvestSubreddit incremental", () => {
+  // 300 posts, newest first, one minute apart
+  const allPosts = redditPosts(300, (i) => ({ created_utc: 1700000000 - i * 60 }));
+
+  it("should only collect newer posts and stop paging at the high-water mark", async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "reddit-harvest-test-"));
+    try {
+      const first = await createDedupeTracker(tempDir);
+      const earlier = fakeReddit({ posts: allPosts.slice(150) });
+      await harvestSubreddit({ reddit: earlier, subreddit: "test", listing: "new", limit: 1000, dedupeIndex: first });
+      await first.save();
+
+      const second = await createDedupeTracker(tempDir);
+      const reddit = fakeReddit({ posts: allPosts });
+      const events = [];
+
+      const posts = await harvestSubreddit({
+        reddit,
+        subreddit: "test",
+        listing: "new",
+        limit: 1000,
+        dedupeIndex: second,
+        incremental: true,
+        onProgress: (e) => events.push(e)
+      });
+
+      expect(posts).toHaveLength(150);
+      expect(posts[149].id).toBe("p149");
+      expect(reddit.calls).toHaveLength(2);
+      expect(events.some((e) => e.type === "incremental_stop")).toBe(true);
+      expect(second.highWaterFor("test")).toBe(1700000000);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it("should keep the mark when --limit stops paging before reaching it", async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "reddit-harvest-test-"));
+    try {
+      await saveDedupeIndex(tempDir, new Set(), {}, { test: allPosts[10].created_utc });
+      const opts = { subreddit: "test", listing: "new", incremental: true };
+
+      const first = await createDedupeTracker(tempDir);
+      const kept = await harvestSubreddit({ ...opts, reddit: fakeReddit({ posts: allPosts }), limit: 3, dedupeIndex: first });
+      await first.save();
+      expect(kept.map((p) => p.id)).toEqual(["p0", "p1", "p2"]);
+      expect(first.highWaterFor("test")).toBe(allPosts[10].created_utc);
+
+      const second = await createDedupeTracker(tempDir);
+      const rest = await harvestSubreddit({ ...opts, reddit: fakeReddit({ posts: allPosts }), limit: 100, dedupeIndex: second });
+      expect(rest.map((p) => p.id)).toEqual(["p3", "p4", "p5", "p6", "p7", "p8", "p9"]);
+      expect(second.highWaterFor("test")).toBe(allPosts[0].created_utc);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it("should not move the mark for listings that are not ordered by time", async () => {
+    const tracker = await createDedupeTracker(await fs.mkdtemp(path.join(os.tmpdir(), "reddit-harvest-test-")));
+    const reddit = fakeReddit({ posts: allPosts.slice(0, 5) });
+
+    await harvestSubreddit({ reddit, subreddit: "test", listing: "hot", limit: 5, dedupeIndex: tracker });
+    expect(tracker.highWaterFor("test")).toBeNull();
+  });
+});
+
+describe("harvestSubreddit filters", () => {
+  it("should report drops per filter and prune bot comments", async () => {
+    const posts = [
+      { id: "a", name: "t3_a", title: "Pricing help", author: "x", score: 10, num_comments: 2, created_utc: 1700000000 },
+      { id: "b", name: "t3_b", title: "Weekly thread", author: "AutoModerator", score: 10, num_comments: 2, created_utc: 1700000000 },
+      { id: "c", name: "t3_c", title: "Launch", author: "y", score: 1, num_comments: 2, created_utc: 1700000000 }
+    ];
+    posts[0].expandReplies = async () => ({
+      comments: [
+        { id: "c1", author: "AutoModerator", body: "Rules reminder" },
+        { id: "c2", author: "z", body: "Charge more" }
+      ]
+    });
+    const reddit = fakeReddit({ posts });
+    const events = [];
+
+    const result = await harvestSubreddit({
+      reddit,
+      subreddit: "test",
+      minScore: 5,
+      includeComments: true,
+      onProgress: (e) => events.push(e)
+    });
+
+    expect(result.map((p) => p.id)).toEqual(["a"]);
+    expect(result[0].comments.map((c) => c.id)).toEqual(["c2"]);
+    expect(events.filter((e) => e.type === "filter_dropped")).toEqual([
+      { type: "filter_dropped", subreddit: "test", filter: "minScore", dropped: 1 },
+      { type: "filter_dropped", subreddit: "test", filter: "skipBots", dropped: 1 }
+    ]);
+  });
+});
+
+describe("harvesting from a recorded cassette", () => {
+  const cassetteDir = path.join(import.meta.dirname, "fixtures", "cassettes", "startups");
+
+  it("should follow short pages, prune bots and shape comment trees", async () => {
+    const source = await createReplaySource(cassetteDir);
+    const events = [];
+
+    const posts = await harvestSubreddit({
+      source,
+      subreddit: "startups",
+      listing: "new",
+      limit: 10,
+      includeComments: true,
+      commentLimit: 10,
+      commentDepth: 3,
+      onProgress: (e) => events.push(e)
+    });
+
+    expect(events.filter((e) => e.type === "page_fetched").map((e) => e.pagePosts)).toEqual([4, 4, 2]);
+    expect(events.find((e) => e.type === "filter_dropped")).toMatchObject({ filter: "skipBots", dropped: 1 });
+    expect(posts).toHaveLength(9);
+    expect(posts[0].comments.map((c) => c.author)).toEqual(["growth_gal", "saas_sam"]);
+    expect(posts[0].comments[0].replies[0].replies[0]).toMatchObject({ id: "kc04", parentId: "kc03", depth: 2 });
+    expect(posts[1]).toMatchObject({ upvoteRatio: 0.91, edited: "2024-01-01T10:06:40.000Z" });
+  });
+
+  it("should record comment failures on the post and keep going", async () => {
+    const source = await createReplaySource(cassetteDir);
+    const events = [];
+
+    const posts = await harvestSubreddit({
+      source,
+      subreddit: "startups",
+      listing: "new",
+      limit: 10,
+      includeComments: true,
+      commentLimit: 10,
+      commentDepth: 3,
+      onProgress: (e) => events.push(e)
+    });
+
+    const failed = posts.find((p) => p.id === "18x6ab");
+    expect(failed.commentsError).toContain("500");
+    expect(events.filter((e) => e.type === "comments_expand_error").map((e) => e.postId)).toEqual(["18x6ab"]);
+  });
+
+  it("should skip threads that fail to load", async () => {
+    const source = await createReplaySource(cassetteDir);
+    const events = [];
+
+    const posts = await harvestPosts({
+      source,
+      postIds: ["18x3ab", "gone00"],
+      includeComments: true,
+      commentLimit: 10,
+      commentDepth: 3,
+      onProgress: (e) => events.push(e)
+    });
+
+    expect(posts.map((p) => [p.id, p.comments.length])).toEqual([["18x3ab", 1]]);
+    expect(events.find((e) => e.type === "post_fetch_error")).toMatchObject({ postId: "gone00" });
+  });
+
+  it("should surface API errors for a subreddit", async () => {
+    const source = await createReplaySource(cassetteDir);
+
+    await expect(harvestSubreddit({ source, subreddit: "privatesub", listing: "new", limit: 10 })).rejects.toMatchObject({
+      statusCode: 403
+    });
+  });
+});
+
+describe("concurrent harvesting", () => {
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Source whose comment requests finish in reverse order of starting, and
+  // which tracks how many requests are in flight at once.
+  function slowSource(subreddits) {
+    const stats = { inFlight: 0, maxInFlight: 0 };
+    const track = async (ms, value) => {
+      stats.inFlight += 1;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+      await delay(ms);
+      stats.inFlight -= 1;
+      return value;
+    };
+    const posts = (sr) =>
+      Array.from({ length: 6 }, (_, i) => ({
+        id: `${sr}${i}`,
+        name: `t3_${sr}${i}`,
+        title: `${sr} post ${i}`,
+        author: "someone",
+        subreddit: sr,
+        created_utc: 1700000000 - i,
+        score: 1,
+        num_comments: 1,
+        permalink: `/r/${sr}/comments/${sr}${i}/`,
+        selftext: ""
+      }));
+
+    const source = {
+      name: "slow",
+      listing: ({ subreddit, after }) => track(subreddits.indexOf(subreddit) === 0 ? 20 : 1, after ? [] : posts(subreddit)),
+      search: async () => [],
+      submission: async () => null,
+      comments: (post) => track(12 - Number(post.id.slice(-1)) * 2, [{ id: `c_${post.id}`, author: "x", body: post.id, replies: [] }]),
+      userSubmissions: async () => [],
+      userComments: async () => [],
+      info: async () => []
+    };
+    return { source, stats };
+  }
+
+  it("should expand comments in parallel and keep listing order", async () => {
+    const serial = slowSource(["test"]);
+    const parallel = slowSource(["test"]);
+    const opts = { subreddit: "test", listing: "new", limit: 6, includeComments: true };
+
+    const expected = await harvestSubreddit({ ...opts, source: serial.source });
+    const posts = await harvestSubreddit({ ...opts, source: parallel.source, concurrency: 3 });
+
+    expect(posts).toEqual(expected);
+    expect(posts.map((p) => p.comments[0].body)).toEqual(["test0", "test1", "test2", "test3", "test4", "test5"]);
+    expect(serial.stats.maxInFlight).toBe(1);
+    expect(parallel.stats.maxInFlight).toBe(3);
+  });
+
+  it("should write subreddits in the order given while harvesting them side by side", async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-concurrent-"));
+    const { source, stats } = slowSource(["slow", "fast"]);
+    const written = [];
+
+    const result = await harvestSubredditsToFiles({
+      source,
+      subreddits: ["slow", "fast"],
+      outDir,
+      listing: "new",
+      limit: 6,
+      includeComments: true,
+      format: "jsonl",
+      concurrency: 2,
+      onProgress: (e) => e.type === "file_written" && written.push(e.subreddit)
+    });
+
+    expect(written).toEqual(["fast", "slow"]);
+    expect(result.outputs.map((o) => o.subreddit)).toEqual(["slow", "fast"]);
+    expect(result.allPosts.map((p) => p.id)).toEqual([
+      ...["slow0", "slow1", "slow2", "slow3", "slow4", "slow5"],
+      ...["fast0", "fast1", "fast2", "fast3", "fast4", "fast5"]
+    ]);
+    expect(stats.maxInFlight).toBeGreaterThan(2);
+  });
+
+  it("should pace every subreddit's requests through one scheduler", async () => {
+    const { source } = slowSource(["a", "b", "c"]);
+    const starts = [];
+    const scheduler = createScheduler({ minIntervalMs: 5 });
+    const scheduled = createScheduledSource(
+      { ...source, comments: (post, opts) => (starts.push(Date.now()), source.comments(post, opts)) },
+      scheduler
+    );
+
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-concurrent-"));
+    await harvestSubredditsToFiles({
+      source: scheduled,
+      subreddits: ["a", "b", "c"],
+      outDir,
+      listing: "new",
+      limit: 6,
+      includeComments: true,
+      concurrency: 3
+    });
+
+    expect(starts).toHaveLength(18);
+    for (let i = 1; i < starts.length; i += 1) {
+      expect(starts[i] - starts[i - 1]).toBeGreaterThanOrEqual(4);
+    }
+  });
+});
+
+describe("streaming corpus files", () => {
+  const cassetteDir = path.join(import.meta.dirname, "fixtures", "cassettes", "startups");
+  const harvestOpts = { subreddit: "startups", listing: "new", limit: 10, includeComments: true, commentLimit: 10, commentDepth: 3 };
+  const textOpts = { subreddit: "startups", listing: "new", limit: 10, includeComments: true, commentLimit: 10 };
+  const withoutExportTime = (text) => text.replace(/^exportedAt: .*$/m, "exportedAt: -");
+
+  it("should yield posts one at a time, in the same order as harvestSubreddit", async () => {
+    const expected = await harvestSubreddit({ ...harvestOpts, source: await createReplaySource(cassetteDir) });
+
+    const events = [];
+    const seen = [];
+    const stream = harvestSubredditStream({
+      ...harvestOpts,
+      source: await createReplaySource(cassetteDir),
+      onProgress: (e) => events.push(e.type)
+    });
+    for await (const post of stream) {
+      seen.push(post);
+      // The first post arrives before later pages are fetched
+      if (seen.length === 1) expect(events.filter((t) => t === "page_fetched")).toHaveLength(1);
+    }
+
+    expect(seen).toEqual(expected);
+  });
+
+  it("should write the same txt and jsonl content as the in-memory formatters", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-stream-"));
+    const posts = await harvestSubreddit({ ...harvestOpts, source: await createReplaySource(cassetteDir) });
+
+    for (const format of ["txt", "jsonl"]) {
+      const filePath = path.join(dir, `corpus.${format}`);
+      const writer = await createCorpusWriter(filePath, format, textOpts);
+      for (const post of posts) await writer.write(post);
+      const output = await writer.close();
+
+      const written = await fs.readFile(filePath, "utf8");
+      const expected = format === "jsonl" ? formatPostsToJSONL(posts) : formatPostsToText(posts, textOpts);
+      expect(withoutExportTime(written)).toBe(withoutExportTime(expected));
+      expect(output).toEqual({ filePath, textLength: written.length, postCount: posts.length });
+    }
+    expect((await fs.readdir(dir)).sort()).toEqual(["corpus.jsonl", "corpus.txt"]);
+  });
+
+  it("should stream csv and md corpora with the same content as formatCorpus", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-stream-"));
+    const posts = await harvestSubreddit({ ...harvestOpts, source: await createReplaySource(cassetteDir) });
+    const withoutMarkdownTime = (text) => text.replace(/exported \S+_$/m, "exported -_");
+
+    for (const [name, format, opts] of [
+      ["posts.csv", "csv", textOpts],
+      ["comments.csv", "csv", { ...textOpts, csvComments: true }],
+      ["corpus.md", "md", textOpts]
+    ]) {
+      const filePath = path.join(dir, name);
+      const writer = await createCorpusWriter(filePath, format, opts);
+      for (const post of posts) await writer.write(post);
+      const output = await writer.close();
+
+      const written = await fs.readFile(filePath, "utf8");
+      expect(withoutMarkdownTime(written)).toBe(withoutMarkdownTime(await formatCorpus(posts, format, opts)));
+      expect(output).toEqual({ filePath, textLength: written.length, postCount: posts.length });
+    }
+    expect((await fs.readdir(dir)).sort()).toEqual(["comments.csv", "corpus.md", "posts.csv"]);
+  });
+
+  it("should finalise the txt header counts for an empty corpus", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-stream-"));
+    const writer = await createCorpusWriter(path.join(dir, "empty.txt"), "txt", textOpts);
+    await writer.close();
+
+    const written = await fs.readFile(path.join(dir, "empty.txt"), "utf8");
+    expect(withoutExportTime(written)).toBe(withoutExportTime(formatPostsToText([], textOpts)));
+  });
+
+  it("should leave the posts harvested so far on disk when a harvest fails", async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-stream-"));
+    const replay = await createReplaySource(cassetteDir);
+    let pages = 0;
+    const source = {
+      ...replay,
+      listing: async (opts) => {
+        pages += 1;
+        if (pages === 3) throw Object.assign(new Error("Reddit API 400 Bad Request"), { statusCode: 400 });
+        return replay.listing(opts);
+      }
+    };
+
+    await expect(
+      harvestSubredditsToFiles({ ...harvestOpts, source, subreddits: ["startups"], outDir, format: "txt" })
+    ).rejects.toThrow("400");
+
+    const [partial] = await fs.readdir(outDir);
+    expect(partial).toMatch(/-r_startups\.txt\.partial$/);
+    const spooled = (await fs.readFile(path.join(outDir, partial), "utf8")).trim().split("\n").map((l) => JSON.parse(l).id);
+    expect(spooled).toHaveLength(8);
+  });
+
+  it("should merge JSONL corpora in order into one txt corpus naming each post's subreddit", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-stream-"));
+    const posts = await harvestSubreddit({ ...harvestOpts, source: await createReplaySource(cassetteDir) });
+    const [first, second] = [path.join(dir, "a.jsonl"), path.join(dir, "b.jsonl")];
+    await fs.writeFile(first, formatPostsToJSONL(posts.slice(0, 4)), "utf8");
+    await fs.writeFile(second, formatPostsToJSONL([{ ...posts[4], subreddit: "SaaS" }]), "utf8");
+
+    const output = await combineCorpusFiles({
+      inputs: [first, second],
+      filePath: path.join(dir, "combined.txt"),
+      format: "txt",
+      textOpts: { combined: ["r/startups", "r/SaaS"], limit: 10, includeComments: false }
+    });
+
+    const text = await fs.readFile(output.filePath, "utf8");
+    expect(output.postCount).toBe(5);
+    expect(text).toContain("combined: r/startups, r/SaaS\n");
+    expect(text).toContain("postsHarvested: 5\n");
+    expect(text.match(/^subreddit: r\/\w+$/gm)).toEqual([...Array(4).fill("subreddit: r/startups"), "subreddit: r/SaaS"]);
+    expect(text.match(/^POST \d+\/5$/gm)).toHaveLength(5);
+  });
+
+  it("should leave allPosts empty with keepPosts: false", async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-stream-"));
+    const result = await harvestSubredditsToFiles({
+      ...harvestOpts,
+      source: await createReplaySource(cassetteDir),
+      subreddits: ["startups"],
+      outDir,
+      format: "jsonl",
+      keepPosts: false
+    });
+
+    expect(result.allPosts).toEqual([]);
+    expect(result.outputs[0].postCount).toBe(9);
+    const written = await fs.readFile(result.outputs[0].filePath, "utf8");
+    expect(written.trim().split("\n")).toHaveLength(9);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { loadHistory, appendObservations, snapshotPosts, rankTraction } from "../src/history.js";
+
+describe("history module", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "reddit-harvest-test-"));
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch {
+      // Ignore cleanup errors
+    }
+  });
+
+  const observation = (id, observedAt, score, numComments) => ({
+    id,
+    subreddit: "startups",
+    title: `Thread ${id}`,
+    observedAt,
+    score,
+    numComments,
+    upvoteRatio: 0.9
+  });
+
+  describe("loadHistory / appendObservations", () => {
+    it("should return empty Map when no history exists", async () => {
+      const result = await loadHistory(tempDir);
+      expect(result.size).toBe(0);
+    });
+
+    it("should group appended observations by post, oldest first", async () => {
+      await appendObservations(tempDir, [observation("a", "2024-01-02T00:00:00Z", 20, 2)]);
+      await appendObservations(tempDir, [
+        observation("a", "2024-01-01T00:00:00Z", 10, 1),
+        observation("b", "2024-01-01T00:00:00Z", 5, 0)
+      ]);
+
+      const history = await loadHistory(tempDir);
+      expect(history.size).toBe(2);
+      expect(history.get("a").map((o) => o.score)).toEqual([10, 20]);
+    });
+  });
+
+  describe("snapshotPosts", () => {
+    it("should look posts up in batches of 100 and record their counts", async () => {
+      const batches = [];
+      const reddit = {
+        getContentByIds: async (fullnames) => {
+          batches.push(fullnames.length);
+          return fullnames
+            .filter((f) => f !== "t3_p3")
+            .map((f) => ({
+              id: f.slice(3),
+              subreddit: { display_name: "startups" },
+              title: "t",
+              score: 7,
+              num_comments: 2,
+              upvote_ratio: 0.95
+            }));
+        }
+      };
+      const postIds = Array.from({ length: 150 }, (_, i) => `p${i}`);
+
+      const observations = await snapshotPosts({ reddit, postIds, observedAt: "2024-01-01T00:00:00Z" });
+
+      expect(batches).toEqual([100, 50]);
+      expect(observations).toHaveLength(149);
+      expect(observations[0]).toEqual({
+        id: "p0",
+        subreddit: "startups",
+        title: "t",
+        observedAt: "2024-01-01T00:00:00Z",
+        score: 7,
+        numComments: 2,
+        upvoteRatio: 0.95
+      });
+    });
+  });
+
+  describe("rankTraction", () => {
+    const history = new Map([
+      ["slow", [observation("slow", "2024-01-01T00:00:00Z", 10, 0), observation("slow", "2024-01-02T00:00:00Z", 34, 24)]],
+      ["fast", [observation("fast", "2024-01-01T00:00:00Z", 12, 1), observation("fast", "2024-01-01T10:00:00Z", 912, 21)]],
+      ["once", [observation("once", "2024-01-01T00:00:00Z", 5000, 0)]]
+    ]);
+
+    it("should rank by score gained per hour and skip single observations", () => {
+      const ranked = rankTraction(history);
+
+      expect(ranked.map((r) => r.id)).toEqual(["fast", "slow"]);
+      expect(ranked[0]).toMatchObject({ scoreDelta: 900, commentsDelta: 20, hours: 10, perHour: 90 });
+    });
+
+    it("should rank by comments when asked", () => {
+      const ranked = rankTraction(history, { metric: "comments" });
+      expect(ranked.map((r) => r.id)).toEqual(["fast", "slow"]);
+      expect(ranked[1].perHour).toBe(1);
+    });
+
+    it("should limit results to top", () => {
+      expect(rankTraction(history, { top: 1 })).toHaveLength(1);
+    });
+  });
+});
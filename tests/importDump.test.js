@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import zlib from "node:zlib";
+import { importDumps, readDumpRecords } from "../src/importDump.js";
+import { parseJSONL } from "../src/formatters.js";
+
+const submission = (id, subreddit, overrides = {}) => ({
+  id,
+  subreddit,
+  title: `Thread ${id}`,
+  author: "op",
+  created_utc: 1672531200 + Number(id.replace(/\D/g, "")) * 60,
+  score: 10,
+  num_comments: 3,
+  permalink: `/r/${subreddit}/comments/${id}/`,
+  url: `https://www.reddit.com/r/${subreddit}/comments/${id}/`,
+  selftext: "body",
+  link_flair_text: null,
+  is_self: true,
+  ...overrides
+});
+
+const comment = (id, linkId, parentId, overrides = {}) => ({
+  id,
+  link_id: `t3_${linkId}`,
+  parent_id: parentId,
+  author: "commenter",
+  body: `comment ${id}`,
+  score: 1,
+  created_utc: 1672540000,
+  ...overrides
+});
+
+const ndjson = (records) => records.map((r) => JSON.stringify(r)).join("\n") + "\n";
+
+describe("importDumps", () => {
+  let dir;
+  let submissionsPath;
+  let commentsPath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-import-"));
+    submissionsPath = path.join(dir, "RS_2023-01.ndjson");
+    commentsPath = path.join(dir, "RC_2023-01.ndjson.gz");
+
+    await fs.writeFile(
+      submissionsPath,
+      ndjson([
+        submission("a1", "startups"),
+        submission("a2", "startups", { score: 1 }),
+        submission("a3", "SaaS", { link_flair_text: "Question" }),
+        submission("a4", "cooking")
+      ]) + "{not json\n"
+    );
+    await fs.writeFile(
+      commentsPath,
+      zlib.gzipSync(
+        ndjson([
+          comment("c1", "a1", "t3_a1", { score: 2 }),
+          comment("c2", "a1", "t3_a1", { score: 9 }),
+          comment("c3", "a1", "t1_c2"),
+          comment("c4", "a1", "t3_a1", { author: "AutoModerator" }),
+          comment("c5", "a3", "t3_a3"),
+          comment("c6", "zz", "t3_zz")
+        ])
+      )
+    );
+  });
+
+  it("should stream records and report unparseable lines", async () => {
+    const events = [];
+    const records = [];
+    for await (const r of readDumpRecords(submissionsPath, { onProgress: (e) => events.push(e) })) records.push(r);
+
+    expect(records).toHaveLength(4);
+    expect(events).toEqual([expect.objectContaining({ type: "import_parse_error", line: 5 })]);
+  });
+
+  it("should refuse compressed formats it cannot stream", async () => {
+    const read = async () => {
+      for await (const r of readDumpRecords(path.join(dir, "RS_2023-01.zst"))) void r;
+    };
+    await expect(read()).rejects.toThrow("decompress it first");
+  });
+
+  it("should join comments by link_id into reply trees and write one corpus per subreddit", async () => {
+    const result = await importDumps({
+      inputs: [commentsPath, submissionsPath],
+      outDir: dir,
+      subreddits: ["startups", "saas"],
+      minScore: 5,
+      includeComments: true,
+      commentDepth: 2,
+      format: "jsonl",
+      timestamp: "ts"
+    });
+
+    expect(result.outputs.map((o) => [o.subreddit, path.basename(o.filePath), o.postCount])).toEqual([
+      ["SaaS", "ts-r_SaaS.jsonl", 1],
+      ["startups", "ts-r_startups.jsonl", 1]
+    ]);
+
+    const [post] = parseJSONL(await fs.readFile(path.join(dir, "ts-r_startups.jsonl"), "utf8"));
+    expect(post).toMatchObject({ id: "a1", subreddit: "startups", numComments: 3, isSelf: true });
+    expect(post.comments.map((c) => c.id)).toEqual(["c2", "c1"]);
+    expect(post.comments[0].replies).toEqual([expect.objectContaining({ id: "c3", parentId: "c2", depth: 1 })]);
+  });
+
+  it("should apply filters after comments are joined", async () => {
+    const drops = {};
+    const result = await importDumps({
+      inputs: [submissionsPath, commentsPath],
+      outDir: dir,
+      filters: { includeKeywords: "comment c5" },
+      includeComments: true,
+      onProgress: (e) => {
+        if (e.type === "filter_dropped") drops[e.filter] = (drops[e.filter] ?? 0) + e.dropped;
+      }
+    });
+
+    expect(result.allPosts.map((p) => p.id)).toEqual(["a3"]);
+    expect(drops).toEqual({ includeKeywords: 3 });
+  });
+
+  it("should write corpora from spooled posts and leave no spool files behind", async () => {
+    const result = await importDumps({
+      inputs: [submissionsPath, commentsPath],
+      outDir: dir,
+      includeComments: true,
+      format: "jsonl",
+      timestamp: "ts",
+      keepPosts: false
+    });
+
+    expect(result.allPosts).toEqual([]);
+    const startups = parseJSONL(await fs.readFile(path.join(dir, "ts-r_startups.jsonl"), "utf8"));
+    expect(startups.map((p) => [p.id, p.comments.length])).toEqual([["a2", 0], ["a1", 2]]);
+    expect((await fs.readdir(dir)).filter((f) => f.endsWith(".partial"))).toEqual([]);
+  });
+
+  it("should skip and record posts through the dedupe index", async () => {
+    const dedupeIndex = new Set(["a1"]);
+    const events = [];
+
+    const result = await importDumps({
+      inputs: [submissionsPath, submissionsPath],
+      outDir: dir,
+      dedupeIndex,
+      format: "txt",
+      onProgress: (e) => events.push(e)
+    });
+
+    expect(result.allPosts.map((p) => p.id).sort()).toEqual(["a2", "a3", "a4"]);
+    expect([...dedupeIndex].sort()).toEqual(["a1", "a2", "a3", "a4"]);
+    expect(events.find((e) => e.type === "dedupe_skipped")).toMatchObject({ skipped: 5 });
+
+    const txt = await fs.readFile(result.outputs.find((o) => o.subreddit === "startups").filePath, "utf8");
+    expect(txt).toContain("imported: RS_2023-01.ndjson, RS_2023-01.ndjson");
+  });
+});
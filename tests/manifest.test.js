@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { createRunManifest, loadManifest, addManifestAnalysis, manifestPath } from "../src/manifest.js";
+import { findAnalysisFiles, findManifestAnalyses } from "../src/explorer.js";
+import { analyzeFileToMarkdown } from "../src/openaiAnalyze.js";
+
+describe("run manifests", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-manifest-"));
+  });
+
+  function fakeClock() {
+    let t = Date.parse("2024-01-01T00:00:00Z");
+    return { now: () => t, advance: (ms) => (t += ms) };
+  }
+
+  it("should record per-source counts, errors and durations from progress events", async () => {
+    const clock = fakeClock();
+    const manifest = createRunManifest({
+      runId: "run1",
+      command: "harvest",
+      argv: { _: ["harvest"], $0: "cli.js", subreddits: "startups", "comment-limit": 5, commentLimit: 5 },
+      filters: { minScore: 3 },
+      now: clock.now
+    });
+
+    manifest.record("r/startups", { type: "subreddit_start", subreddit: "startups" });
+    manifest.record("r/startups", { type: "filter_dropped", subreddit: "startups", filter: "skipBots", dropped: 2 });
+    manifest.record("r/startups", { type: "filter_dropped", subreddit: "startups", filter: "skipBots", dropped: 1 });
+    manifest.record("r/startups", { type: "dedupe_skipped", subreddit: "startups", skipped: 4 });
+    manifest.record("r/startups", { type: "comments_expand_error", subreddit: "startups", postId: "p1", error: "500" });
+    manifest.record("r/startups", { type: "posts_fetched", subreddit: "startups", totalPosts: 30 });
+    clock.advance(1500);
+    const filePath = path.join(dir, "run1-r_startups.jsonl");
+    manifest.record("r/startups", { type: "file_written", subreddit: "startups", filePath, postCount: 23 });
+    manifest.record("threads", { type: "post_fetch_error", postId: "gone", error: "404" });
+
+    const written = await manifest.write(dir, { outputs: [{ subreddit: "startups", filePath, textLength: 10, postCount: 23 }] });
+    expect(written).toBe(manifestPath(dir, "run1"));
+
+    const raw = JSON.parse(await fs.readFile(written, "utf8"));
+    expect(raw.tool).toEqual({ name: "reddit-harvest", version: expect.any(String) });
+    expect(raw.args).toEqual({ subreddits: "startups", commentLimit: 5 });
+    expect(raw.filters).toEqual({ minScore: 3 });
+    expect(raw.outputs[0].filePath).toBe("run1-r_startups.jsonl");
+    expect(raw.sources["r/startups"]).toEqual({
+      durationMs: 1500,
+      filePath: "run1-r_startups.jsonl",
+      postCount: 23,
+      fetched: 30,
+      dedupeSkipped: 4,
+      filterDrops: { skipBots: 3 },
+      commentErrors: [{ postId: "p1", error: "500" }],
+      fetchErrors: [],
+      resumed: false
+    });
+    expect(raw.totals).toEqual({ posts: 23, dedupeSkipped: 4, commentErrors: 1, fetchErrors: 1 });
+    expect(raw.durationMs).toBe(1500);
+  });
+
+  it("should resolve corpus files and record analyses relative to the manifest", async () => {
+    const manifest = createRunManifest({ runId: "run2", command: "harvest" });
+    const combined = { filePath: path.join(dir, "run2-combined.jsonl"), textLength: 1, postCount: 0, parts: ["r/a", "r/b"] };
+    const redaction = { rules: ["author", "email"], fired: { author: 2 } };
+    const normalization = { steps: ["entities"], applied: { entities: 1 }, dropped: { deleted: 0, removed: 0 } };
+    const file = await manifest.write(dir, { combined, normalization, redaction });
+
+    const analysisPath = path.join(dir, "later-analysis.md");
+    const opportunitiesPath = path.join(dir, "later-opportunities.json");
+    const nearDuplicates = { clusters: 1, duplicates: 2 };
+    await addManifestAnalysis(file, { analysisPath, opportunitiesPath, where: "score > 1", normalization, redaction, nearDuplicates });
+
+    const loaded = await loadManifest(file);
+    expect(loaded.corpusFiles).toEqual([combined.filePath]);
+    expect(loaded.normalization).toEqual(normalization);
+    expect(loaded.redaction).toEqual(redaction);
+    expect(loaded.analyses).toEqual([
+      { createdAt: expect.any(String), analysisPath, opportunitiesPath, where: "score > 1", normalization, redaction, nearDuplicates }
+    ]);
+    expect(JSON.parse(await fs.readFile(file, "utf8")).analyses[0].analysisPath).toBe("later-analysis.md");
+  });
+
+  it("should reject files that are not manifests", async () => {
+    const file = path.join(dir, "other-manifest.json");
+    await fs.writeFile(file, JSON.stringify({ hello: "world" }), "utf8");
+    await expect(loadManifest(file)).rejects.toThrow("Not a reddit-harvest run manifest");
+  });
+
+  it("should let the explorer find analyses through their manifest", async () => {
+    const corpus = path.join(dir, "run3-r_startups.jsonl");
+    const file = await createRunManifest({ runId: "run3", command: "harvest" }).write(dir, {
+      outputs: [{ subreddit: "startups", filePath: corpus, textLength: 0, postCount: 0 }]
+    });
+    await fs.writeFile(path.join(dir, "run3-analysis.md"), "# analysis\n", "utf8");
+    await fs.writeFile(path.join(dir, "run3-opportunities.json"), "[]", "utf8");
+    await addManifestAnalysis(file, {
+      analysisPath: path.join(dir, "run3-analysis.md"),
+      opportunitiesPath: path.join(dir, "run3-opportunities.json")
+    });
+
+    const [fromDir] = await findAnalysisFiles(dir);
+    expect(fromDir).toMatchObject({ timestamp: "run3", manifestPath: file, corpusFiles: [corpus] });
+    expect(await findManifestAnalyses(file)).toEqual([fromDir]);
+  });
+
+  it("should check every corpus of a manifest before analyzing", async () => {
+    const txt = path.join(dir, "run4-r_a.txt");
+    await fs.writeFile(txt, "=== r/a ===\n", "utf8");
+    const file = await createRunManifest({ runId: "run4", command: "harvest" }).write(dir, {
+      outputs: [{ subreddit: "a", filePath: txt, textLength: 0, postCount: 0 }]
+    });
+
+    await expect(analyzeFileToMarkdown({ inputPath: file, outDir: dir, where: "score > 1" })).rejects.toThrow(
+      `--where needs a .jsonl corpus or a .txt corpus written by reddit-harvest (got ${txt})`
+    );
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { findDuplicateClusters, markDuplicates, describePost } from "../src/nearDuplicates.js";
+import { combineCorpusFiles, parseTextCorpus } from "../src/redditHarvest.js";
+import { formatPostsToJSONL } from "../src/formatters.js";
+import { postsToText } from "../src/openaiAnalyze.js";
+
+const body =
+  "We spent three months building an onboarding flow and churn barely moved. Customers sign up, poke around for a day and never come back. What actually worked for you?";
+
+function post(id, overrides = {}) {
+  return {
+    id,
+    subreddit: "startups",
+    title: "How do you reduce churn in the first week?",
+    author: "founder",
+    created: "2024-01-15T10:30:00.000Z",
+    score: 10,
+    numComments: 2,
+    permalink: `/r/startups/comments/${id}/`,
+    selftext: body,
+    ...overrides
+  };
+}
+
+describe("findDuplicateClusters", () => {
+  it("should cluster reposts with small edits, keeping the best-scoring post", () => {
+    const posts = [
+      post("a1", { score: 5 }),
+      post("b2", { subreddit: "SaaS", score: 40, selftext: body.replace("three months", "3 months").replace("What actually", "What") }),
+      post("c3", { subreddit: "Entrepreneur", score: 12, selftext: `${body}\n\nEdit: thanks everyone!` }),
+      post("d4", { title: "Best hosting for a side project?", selftext: "I need somewhere cheap to host a small Node app with a Postgres database for a few users." })
+    ];
+
+    expect(findDuplicateClusters(posts)).toEqual([
+      { representative: "b2", duplicates: ["c3", "a1"], subreddits: ["startups", "SaaS", "Entrepreneur"] }
+    ]);
+  });
+
+  it("should link crossposts to their original and to each other", () => {
+    const clusters = findDuplicateClusters([
+      post("x1", { title: "Look at this", selftext: "", crosspostParent: "t3_orig" }),
+      post("x2", { subreddit: "SaaS", title: "Interesting thread", selftext: "", author: "other", crosspostParent: "t3_orig" }),
+      post("orig", { subreddit: "SideProject", score: 3, title: "Anything", selftext: "" })
+    ]);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].representative).toBe("x1");
+    expect([...clusters[0].duplicates].sort()).toEqual(["orig", "x2"]);
+  });
+
+  it("should only match short texts posted by the same author", () => {
+    const short = { title: "Looking for a cofounder", selftext: "" };
+    const clusters = findDuplicateClusters([
+      post("s1", short),
+      post("s2", { ...short, subreddit: "cofounder", author: "FOUNDER" }),
+      post("s3", { ...short, author: "someone_else" })
+    ]);
+
+    expect(clusters).toEqual([{ representative: "s1", duplicates: ["s2"], subreddits: ["startups", "cofounder"] }]);
+  });
+
+  it("should break score ties by comments, then the earliest post", () => {
+    const clusters = findDuplicateClusters([
+      post("late", { created: "2024-02-01T00:00:00.000Z" }),
+      post("early", { created: "2024-01-01T00:00:00.000Z" }),
+      post("busy", { numComments: 9, created: "2024-03-01T00:00:00.000Z" })
+    ]);
+    expect(clusters[0]).toMatchObject({ representative: "busy", duplicates: ["early", "late"] });
+  });
+
+  it("should accept describePost results in place of posts", () => {
+    const posts = [post("a1"), post("b2", { score: 11 })];
+    expect(findDuplicateClusters(posts.map(describePost))).toEqual(findDuplicateClusters(posts));
+    expect(() => findDuplicateClusters(posts, { minSimilarity: 0 })).toThrow("minSimilarity");
+  });
+});
+
+describe("markDuplicates", () => {
+  it("should mark duplicates and list them on the representative", () => {
+    const { posts } = markDuplicates([post("a1"), post("b2", { subreddit: "SaaS", score: 11 }), post("c3", { title: "Other", selftext: "" })]);
+
+    expect(posts[0].duplicateOf).toBe("b2");
+    expect(posts[1].duplicates).toEqual([{ id: "a1", subreddit: "startups" }]);
+    expect(posts[2]).not.toHaveProperty("duplicateOf");
+    expect(postsToText([posts[1]])).toContain("also_posted: 1 near-duplicate(s) in r/startups\n");
+  });
+});
+
+describe("combineCorpusFiles with nearDuplicates", () => {
+  it("should mark duplicates across the merged files and keep duplicate_of in txt", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-neardup-"));
+    const [first, second] = [path.join(dir, "a.jsonl"), path.join(dir, "b.jsonl")];
+    await fs.writeFile(first, formatPostsToJSONL([post("a1"), post("d4", { title: "Other", selftext: "" })]), "utf8");
+    await fs.writeFile(second, formatPostsToJSONL([post("b2", { subreddit: "SaaS", score: 30 })]), "utf8");
+
+    const output = await combineCorpusFiles({
+      inputs: [first, second],
+      filePath: path.join(dir, "combined.txt"),
+      format: "txt",
+      textOpts: { combined: ["r/startups", "r/SaaS"], limit: 10, includeComments: false },
+      nearDuplicates: true
+    });
+
+    expect(output.nearDuplicates).toEqual({ clusters: 1, duplicates: 1 });
+    const { posts } = parseTextCorpus(await fs.readFile(output.filePath, "utf8"));
+    expect(posts.map((p) => [p.id, p.duplicateOf])).toEqual([["a1", "b2"], ["d4", undefined], ["b2", undefined]]);
+  });
+});
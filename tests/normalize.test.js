@@ -0,0 +1,141 @@
+import { describe, it, expect } from "vitest";
+import { createNormalizer } from "../src/normalize.js";
+import { harvestSubreddit } from "../src/redditHarvest.js";
+
+const body = [
+  "Hello &amp;amp; welcome&#x200B;",
+  "",
+  "&amp;#x200B;",
+  "",
+  "> You said this",
+  "> over two lines",
+  "",
+  "**Bold** point, see [the docs](https://example.com/docs) or https://example.com/faq",
+  "",
+  "* item with snake_case_name",
+  "",
+  "---",
+  "",
+  "^(I am a bot, and this action was performed automatically.) ^[info](https://example.com/bot)"
+].join("\n");
+
+describe("createNormalizer", () => {
+  it("should decode entities, drop zero-width characters and bot footers, and collapse quotes", () => {
+    const normalizer = createNormalizer();
+
+    expect(normalizer.normalizeText(body)).toBe(
+      [
+        "Hello & welcome",
+        "",
+        "> You said this over two lines",
+        "",
+        "**Bold** point, see [the docs](https://example.com/docs) or https://example.com/faq",
+        "",
+        "* item with snake_case_name"
+      ].join("\n")
+    );
+  });
+
+  it("should optionally strip markdown and links", () => {
+    const markdown = createNormalizer({ stripMarkdown: true }).normalizeText(body);
+    expect(markdown).toContain("Bold point, see the docs (https://example.com/docs) or https://example.com/faq");
+    expect(markdown).toContain("- item with snake_case_name");
+
+    const links = createNormalizer({ stripMarkdown: true, stripLinks: true }).normalizeText(body);
+    expect(links).toContain("Bold point, see the docs or [link]");
+  });
+
+  it("should keep quotes and footers when those steps are off", () => {
+    const text = createNormalizer({ collapseQuotes: false, stripBotFooters: false }).normalizeText(body);
+    expect(text).toContain("> You said this\n> over two lines");
+    expect(text).toMatch(/I am a bot/);
+  });
+
+  it("should shorten long quotes", () => {
+    const text = createNormalizer({ quoteChars: 10 }).normalizeText(`> ${"word ".repeat(10)}\n\nReply`);
+    expect(text).toBe("> word word…\n\nReply");
+  });
+
+  it("should drop deleted and removed comments, keep the raw text and count what changed", () => {
+    const normalizer = createNormalizer();
+    const post = {
+      id: "p1",
+      title: "Q &amp; A",
+      selftext: "[removed]",
+      comments: [
+        { id: "c1", body: "[deleted]", replies: [] },
+        { id: "c2", body: "[removed]", replies: [{ id: "c3", body: "still &gt; here", replies: [] }] },
+        { id: "c4", body: "plain", replies: [] }
+      ]
+    };
+
+    const normalized = normalizer.normalizePost(post);
+    expect(normalized).toEqual({
+      id: "p1",
+      title: "Q & A",
+      titleRaw: "Q &amp; A",
+      selftext: "",
+      selftextRaw: "[removed]",
+      comments: [
+        { id: "c2", body: "", bodyRaw: "[removed]", replies: [{ id: "c3", body: "still > here", bodyRaw: "still &gt; here", replies: [] }] },
+        { id: "c4", body: "plain", replies: [] }
+      ]
+    });
+    expect(normalizer.stats()).toEqual({
+      steps: ["entities", "zeroWidth", "whitespace", "botFooters", "quotes"],
+      applied: { entities: 2 },
+      dropped: { deleted: 1, removed: 0 }
+    });
+
+    // Normalising again keeps the original raw text
+    expect(normalizer.normalizePost(normalized)).toEqual(normalized);
+  });
+
+  it("should leave placeholders alone without dropDeleted", () => {
+    const normalized = createNormalizer({ dropDeleted: false }).normalizePost({ selftext: "[deleted]", comments: [{ body: "[removed]", replies: [] }] });
+    expect(normalized).toEqual({ selftext: "[deleted]", comments: [{ body: "[removed]", replies: [] }] });
+  });
+});
+
+describe("harvest with a normalizer", () => {
+  const source = {
+    name: "fake",
+    listing: async ({ after }) =>
+      after
+        ? []
+        : [
+            {
+              id: "p1",
+              name: "t3_p1",
+              title: "Tools &amp; tips",
+              author: "op",
+              created_utc: 1700000000,
+              score: 5,
+              num_comments: 2,
+              permalink: "/r/startups/comments/p1/",
+              selftext: "Keyword &amp;#x200B;"
+            }
+          ],
+    search: async () => [],
+    submission: async () => null,
+    comments: async () => [
+      { id: "c1", author: "a", body: "[deleted]", replies: [] },
+      { id: "c2", author: "b", body: "&gt; quoted\n\nanswer", replies: [] }
+    ],
+    userSubmissions: async () => [],
+    userComments: async () => [],
+    info: async () => []
+  };
+  const opts = { source, subreddit: "startups", listing: "new", limit: 5, includeComments: true };
+
+  it("should normalise each post after the filters saw the raw text", async () => {
+    const normalizer = createNormalizer();
+    const [post] = await harvestSubreddit({ ...opts, filters: { includeKeywords: "&amp;" }, normalizer });
+
+    expect(post.title).toBe("Tools & tips");
+    expect(post.selftext).toBe("Keyword");
+    expect(post.selftextRaw).toBe("Keyword &amp;#x200B;");
+    expect(post.comments).toEqual([{ id: "c2", parentId: expect.any(String), depth: 0, author: "b", score: 0, body: "> quoted\n\nanswer", bodyRaw: "&gt; quoted\n\nanswer", created: "", replies: [] }]);
+    expect(normalizer.stats().dropped).toEqual({ deleted: 1, removed: 0 });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from "vitest";
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { createRedactor, loadRedactionSalt } from "../src/redact.js";
+import { harvestSubredditsToFiles } from "../src/redditHarvest.js";
+import { parseJSONL } from "../src/formatters.js";
+import { createReplaySource } from "../src/cassette.js";
+
+const post = {
+  id: "abc123",
+  subreddit: "startups",
+  title: "Email me at founder@example.com",
+  author: "Founder123",
+  created: "2024-01-15T10:30:00.000Z",
+  score: 42,
+  numComments: 2,
+  url: "https://example.com/invite?token=s3cr3t",
+  permalink: "/r/startups/comments/abc123/",
+  selftext: "Call (555) 123-4567 or ask u/helper_bot. Launched 2024-01-15 with 1 200 users.",
+  comments: [
+    {
+      id: "c1",
+      parentId: "",
+      depth: 0,
+      author: "helper_bot",
+      score: 3,
+      body: "Thanks /u/Founder123, +44 20 7946 0958 works",
+      created: "",
+      replies: [{ id: "c2", parentId: "c1", depth: 1, author: "[deleted]", score: 1, body: "see https://x.com/plain", created: "", replies: [] }]
+    }
+  ]
+};
+
+describe("createRedactor", () => {
+  it("should replace authors and mentions with the same pseudonym, ignoring case", () => {
+    const redactor = createRedactor({ salt: "salt" });
+    const redacted = redactor.redactPost(post);
+
+    const founder = redactor.pseudonym("founder123");
+    const helper = redactor.pseudonym("helper_bot");
+    expect(founder).toMatch(/^anon_[0-9a-f]{10}$/);
+    expect(redacted.author).toBe(founder);
+    expect(redacted.comments[0].author).toBe(helper);
+    expect(redacted.selftext).toContain(`ask u/${helper}.`);
+    expect(redacted.comments[0].body).toContain(`/u/${founder},`);
+    expect(redacted.comments[0].replies[0].author).toBe("[deleted]");
+  });
+
+  it("should replace usernames in profile links and /user/ paths", () => {
+    const redactor = createRedactor({ salt: "salt" });
+    const [jane, bob] = [redactor.pseudonym("jane_doe"), redactor.pseudonym("Bob-42")];
+    const text = "see https://www.reddit.com/user/jane_doe/comments and old.reddit.com/user/Bob-42, or /user/jane_doe";
+
+    expect(redactor.redactText(text)).toBe(
+      `see https://www.reddit.com/user/${jane}/comments and old.reddit.com/user/${bob}, or /user/${jane}`
+    );
+    expect(redactor.redactText(redactor.redactText(text))).toBe(redactor.redactText(text));
+    expect(redactor.redactText("a user/guide and /users/list")).toBe("a user/guide and /users/list");
+  });
+
+  it("should scrub emails, phone numbers and URLs with tokens, leaving other numbers and URLs", () => {
+    const redacted = createRedactor({ salt: "salt" }).redactPost(post);
+
+    expect(redacted.title).toBe("Email me at [email]");
+    expect(redacted.url).toBe("[url]");
+    expect(redacted.selftext).toMatch(/^Call \[phone\] or ask u\/anon_\w+\. Launched 2024-01-15 with 1 200 users\.$/);
+    expect(redacted.comments[0].body).toMatch(/, \[phone\] works$/);
+    expect(redacted.comments[0].replies[0].body).toBe("see https://x.com/plain");
+    expect(redacted.permalink).toBe(post.permalink);
+  });
+
+  it("should give different pseudonyms under different salts", () => {
+    expect(createRedactor({ salt: "a" }).pseudonym("spez")).not.toBe(createRedactor({ salt: "b" }).pseudonym("spez"));
+    expect(createRedactor({ salt: "a" }).pseudonym("spez")).toBe(createRedactor({ salt: "a" }).pseudonym("SPEZ"));
+  });
+
+  it("should pseudonymise username options", () => {
+    const redactor = createRedactor({ salt: "salt" });
+    const [jane, bob] = [redactor.pseudonym("jane"), redactor.pseudonym("bob")];
+
+    expect(redactor.redactUsernames("u/Jane, bob")).toBe(`${jane},${bob}`);
+    expect(redactor.redactUsernames(["jane", `${bob},`])).toBe(`${jane},${bob}`);
+  });
+
+  it("should count the rules that fired and leave redacted posts unchanged", () => {
+    const redactor = createRedactor({ salt: "salt" });
+    const once = redactor.redactPost(post);
+    const { fired } = redactor.stats();
+    expect(fired).toEqual({ author: 2, url: 1, email: 1, phone: 2, mention: 2 });
+
+    expect(redactor.redactPost(once)).toEqual(once);
+    expect(redactor.stats().fired).toEqual(fired);
+    expect(redactor.stats().rules).toEqual(["author", "url", "email", "phone", "mention"]);
+  });
+
+  it("should need a salt", () => {
+    expect(() => createRedactor({})).toThrow("needs a salt");
+  });
+});
+
+describe("loadRedactionSalt", () => {
+  it("should create a salt once and reuse it for the project", async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-redact-"));
+    const salt = await loadRedactionSalt(outDir);
+
+    expect(salt).toMatch(/^[0-9a-f]{64}$/);
+    expect(await loadRedactionSalt(outDir)).toBe(salt);
+    expect(await fs.readdir(outDir)).toEqual([".harvest-redaction-salt"]);
+  });
+});
+
+describe("harvest with a redactor", () => {
+  const cassetteDir = path.join(import.meta.dirname, "fixtures", "cassettes", "startups");
+
+  it("should only write redacted posts", async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "rh-redact-"));
+    const redactor = createRedactor({ salt: await loadRedactionSalt(outDir) });
+    const opts = {
+      subreddits: ["startups"],
+      outDir,
+      listing: "new",
+      limit: 10,
+      includeComments: true,
+      commentLimit: 10,
+      commentDepth: 3,
+      format: "jsonl"
+    };
+
+    const plain = await harvestSubredditsToFiles({ ...opts, source: await createReplaySource(cassetteDir) });
+    const redacted = await harvestSubredditsToFiles({ ...opts, source: await createReplaySource(cassetteDir), redactor });
+
+    const written = parseJSONL(await fs.readFile(redacted.outputs[0].filePath, "utf8"));
+    expect(written).toEqual(plain.allPosts.map(createRedactor({ salt: await loadRedactionSalt(outDir) }).redactPost));
+    expect(redacted.allPosts).toEqual(written);
+    expect(written.every((p) => p.author === "[deleted]" || /^anon_/.test(p.author))).toBe(true);
+    expect(redactor.stats().fired.author).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from "vitest";
+import { createOAuthSource } from "../src/redditOAuth.js";
+import { harvestSubreddit, harvestPosts } from "../src/redditHarvest.js";
+
+const listing = (kind, items) => ({ kind: "Listing", data: { children: items.map((data) => ({ kind, data })) } });
+
+/**
+ * Fake `fetch` answering from a route table keyed by pathname. Records every
+ * request so tests can check auth headers and query parameters.
+ */
+function fakeFetch(routes, { tokens = ["token-1", "token-2"] } = {}) {
+  const requests = [];
+  let issued = 0;
+
+  const json = (status, body, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? "OK" : "Error",
+    headers: new Headers(headers),
+    json: async () => body
+  });
+
+  const fetch = async (input, init = {}) => {
+    const url = new URL(String(input));
+    requests.push({ url, init });
+
+    if (url.pathname === "/api/v1/access_token") {
+      return json(200, { access_token: tokens[issued++], expires_in: 3600 });
+    }
+    const route = routes[url.pathname];
+    if (!route) return json(404, {});
+    const [status, body, headers] = route(url, init);
+    return json(status, body, headers);
+  };
+
+  return { fetch, requests };
+}
+
+const source = (fetch, extra = {}) =>
+  createOAuthSource({ clientId: "id", clientSecret: "secret", userAgent: "test-agent", fetch, ...extra });
+
+const post = (i) => ({
+  id: `p${i}`,
+  name: `t3_p${i}`,
+  title: `Post ${i}`,
+  author: "someone",
+  subreddit: "test",
+  created_utc: 1700000000 + i,
+  score: 5,
+  num_comments: 1,
+  permalink: `/r/test/comments/p${i}/`,
+  selftext: ""
+});
+
+describe("createOAuthSource", () => {
+  it("should authenticate app-only with client credentials when no refresh token is given", async () => {
+    const { fetch, requests } = fakeFetch({ "/r/test/hot": () => [200, listing("t3", [post(1)])] });
+
+    await source(fetch).listing({ subreddit: "test", listing: "hot", limit: 10 });
+
+    const [tokenRequest, apiRequest] = requests;
+    expect(tokenRequest.init.method).toBe("POST");
+    expect(tokenRequest.init.body).toBe("grant_type=client_credentials");
+    expect(tokenRequest.init.headers.Authorization).toBe(`Basic ${Buffer.from("id:secret").toString("base64")}`);
+    expect(apiRequest.url.origin).toBe("https://oauth.reddit.com");
+    expect(apiRequest.init.headers.Authorization).toBe("Bearer token-1");
+    expect(apiRequest.init.headers["User-Agent"]).toBe("test-agent");
+    expect(apiRequest.url.searchParams.get("raw_json")).toBe("1");
+  });
+
+  it("should use the refresh token grant when one is given", async () => {
+    const { fetch, requests } = fakeFetch({ "/r/test/new": () => [200, listing("t3", [])] });
+
+    await source(fetch, { refreshToken: "r3fresh" }).listing({ subreddit: "test", listing: "new", limit: 10 });
+
+    expect(requests[0].init.body).toBe("grant_type=refresh_token&refresh_token=r3fresh");
+  });
+
+  it("should page a listing through harvestSubreddit", async () => {
+    const all = Array.from({ length: 5 }, (_, i) => post(i));
+    const { fetch, requests } = fakeFetch({
+      "/r/test/top": (url) => {
+        const after = url.searchParams.get("after");
+        const start = after ? all.findIndex((p) => p.name === after) + 1 : 0;
+        return [200, listing("t3", all.slice(start, start + Number(url.searchParams.get("limit"))))];
+      }
+    });
+
+    const posts = await harvestSubreddit({ source: source(fetch), subreddit: "test", listing: "top", time: "month", limit: 150 });
+
+    expect(posts.map((p) => p.id)).toEqual(["p0", "p1", "p2", "p3", "p4"]);
+    const apiCalls = requests.filter((r) => r.url.pathname === "/r/test/top");
+    expect(apiCalls[0].url.searchParams.get("t")).toBe("month");
+    expect(apiCalls[0].url.searchParams.get("limit")).toBe("100");
+    expect(requests.filter((r) => r.url.pathname === "/api/v1/access_token")).toHaveLength(1);
+  });
+
+  it("should search within the subreddit", async () => {
+    const { fetch, requests } = fakeFetch({ "/r/test/search": () => [200, listing("t3", [post(1)])] });
+
+    const items = await source(fetch).search({ subreddit: "test", query: "pricing", sort: "new", time: "all", limit: 25 });
+
+    expect(items.map((p) => p.id)).toEqual(["p1"]);
+    const params = requests[1].url.searchParams;
+    expect([params.get("q"), params.get("restrict_sr"), params.get("sort"), params.get("t")]).toEqual(["pricing", "1", "new", "all"]);
+  });
+
+  it("should load a thread with its comment tree, dropping 'more' stubs", async () => {
+    const reply = { id: "c2", parent_id: "t1_c1", author: "b", body: "Reply", score: 1, replies: "" };
+    const top = { id: "c1", parent_id: "t3_p1", author: "a", body: "Top", score: 3, replies: listing("t1", [reply]) };
+    const comments = listing("t1", [top]);
+    comments.data.children.push({ kind: "more", data: { count: 12, children: ["c9"] } });
+    const { fetch } = fakeFetch({
+      "/api/info": () => [200, listing("t3", [post(1)])],
+      "/comments/p1": () => [200, [listing("t3", [post(1)]), comments]]
+    });
+
+    const [thread] = await harvestPosts({ source: source(fetch), postIds: ["p1"], includeComments: true, commentDepth: 2 });
+
+    expect(thread.subreddit).toBe("test");
+    expect(thread.comments).toHaveLength(1);
+    expect(thread.comments[0]).toMatchObject({ id: "c1", parentId: "p1", body: "Top" });
+    expect(thread.comments[0].replies[0]).toMatchObject({ id: "c2", parentId: "c1", depth: 1 });
+  });
+
+  it("should renew a rejected token once", async () => {
+    let calls = 0;
+    const { fetch, requests } = fakeFetch({
+      "/r/test/hot": () => (++calls === 1 ? [401, {}] : [200, listing("t3", [post(1)])])
+    });
+
+    const items = await source(fetch).listing({ subreddit: "test", listing: "hot", limit: 10 });
+
+    expect(items).toHaveLength(1);
+    expect(requests.at(-1).init.headers.Authorization).toBe("Bearer token-2");
+  });
+
+  it("should surface HTTP errors with their status code", async () => {
+    const { fetch } = fakeFetch({ "/r/private/hot": () => [403, {}] });
+
+    const err = await source(fetch)
+      .listing({ subreddit: "private", listing: "hot", limit: 10 })
+      .catch((e) => e);
+
+    expect(err.statusCode).toBe(403);
+    expect(err.message).toContain("Reddit API 403");
+  });
+
+  it("should expose the rate-limit budget and Retry-After from responses", async () => {
+    const { fetch } = fakeFetch({
+      "/r/test/new": () => [200, listing("t3", [post(1)]), { "x-ratelimit-remaining": "95.0", "x-ratelimit-reset": "120" }],
+      "/r/busy/new": () => [429, {}, { "retry-after": "4" }]
+    });
+    const oauth = source(fetch);
+
+    expect(oauth.rateLimit()).toBeNull();
+    await oauth.listing({ subreddit: "test", listing: "new", limit: 10 });
+    expect(oauth.rateLimit()).toMatchObject({ remaining: 95 });
+    expect(oauth.rateLimit().resetAt).toBeGreaterThan(Date.now() + 100_000);
+
+    const err = await oauth.listing({ subreddit: "busy", listing: "new", limit: 10 }).catch((e) => e);
+    expect(err).toMatchObject({ statusCode: 429, retryAfterMs: 4000 });
+  });
+
+  it("should report a missing submission as not found", async () => {
+    const { fetch } = fakeFetch({ "/api/info": () => [200, listing("t3", [])] });
+
+    await expect(source(fetch).submission("gone")).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect } from "vitest";
+import {
+  createScheduler,
+  createScheduledSource,
+  parseRateLimitHeaders,
+  retryAfterMs
+} from "../src/scheduler.js";
+import { createSnoowrapSource } from "../src/sources.js";
+
+// A fake clock: sleeping advances time instantly and is recorded
+function fakeClock(start = 1_000_000) {
+  const clock = { t: start, sleeps: [] };
+  clock.now = () => clock.t;
+  clock.sleep = async (ms) => {
+    clock.sleeps.push(ms);
+    clock.t += ms;
+  };
+  return clock;
+}
+
+function httpError(statusCode, extra = {}) {
+  return Object.assign(new Error(`HTTP ${statusCode}`), { statusCode }, extra);
+}
+
+describe("parseRateLimitHeaders", () => {
+  it("should read remaining and reset from Headers", () => {
+    const headers = new Headers({ "x-ratelimit-remaining": "12.0", "x-ratelimit-reset": "30" });
+    expect(parseRateLimitHeaders(headers, 5000)).toEqual({ remaining: 12, resetAt: 35000 });
+  });
+
+  it("should return null when there are no rate-limit headers", () => {
+    expect(parseRateLimitHeaders(new Headers(), 0)).toBeNull();
+  });
+});
+
+describe("retryAfterMs", () => {
+  it("should read seconds or an HTTP date", () => {
+    expect(retryAfterMs({ headers: { "retry-after": "7" } })).toBe(7000);
+    const now = Date.parse("2024-01-01T00:00:00Z");
+    expect(retryAfterMs({ response: { headers: { "retry-after": "Mon, 01 Jan 2024 00:00:05 GMT" } } }, now)).toBe(5000);
+  });
+
+  it("should return null without a hint", () => {
+    expect(retryAfterMs(new Error("boom"))).toBeNull();
+  });
+});
+
+describe("createScheduler", () => {
+  it("should space requests by minIntervalMs", async () => {
+    const clock = fakeClock();
+    const scheduler = createScheduler({ minIntervalMs: 1000, now: clock.now, sleep: clock.sleep });
+
+    await scheduler.schedule(async () => "a");
+    clock.t += 300;
+    await scheduler.schedule(async () => "b");
+
+    expect(clock.sleeps).toEqual([700]);
+  });
+
+  it("should sleep exactly until reset once the budget is spent", async () => {
+    const clock = fakeClock();
+    const events = [];
+    const scheduler = createScheduler({ now: clock.now, sleep: clock.sleep, onProgress: (e) => events.push(e) });
+    const limit = { remaining: 1, resetAt: clock.t + 42_000 };
+
+    await scheduler.schedule(async () => "a", { label: "listing", readLimit: () => limit });
+    await scheduler.schedule(async () => "b", { label: "listing" });
+    expect(clock.sleeps).toEqual([]);
+    expect(scheduler.state.remaining).toBe(0);
+
+    clock.t += 2000;
+    await scheduler.schedule(async () => "c", { label: "comments" });
+
+    expect(clock.sleeps).toEqual([40_000]);
+    expect(events).toEqual([{ type: "ratelimit_wait", reason: "budget", waitMs: 40_000, label: "comments" }]);
+  });
+
+  it("should wait for Retry-After before retrying a 429", async () => {
+    const clock = fakeClock();
+    const events = [];
+    const scheduler = createScheduler({ now: clock.now, sleep: clock.sleep, onProgress: (e) => events.push(e) });
+
+    let calls = 0;
+    const result = await scheduler.schedule(
+      async () => {
+        calls += 1;
+        if (calls === 1) throw httpError(429, { headers: { "retry-after": "3" } });
+        return "ok";
+      },
+      { label: "info" }
+    );
+
+    expect(result).toBe("ok");
+    expect(clock.sleeps).toEqual([3000]);
+    expect(events[0]).toMatchObject({ reason: "retry-after", waitMs: 3000, attempt: 1, statusCode: 429, label: "info" });
+  });
+
+  it("should back off exponentially on server errors and give up after maxRetries", async () => {
+    const clock = fakeClock();
+    const scheduler = createScheduler({ maxRetries: 2, baseDelayMs: 100, now: clock.now, sleep: clock.sleep });
+
+    let calls = 0;
+    await expect(
+      scheduler.schedule(async () => {
+        calls += 1;
+        throw httpError(503);
+      })
+    ).rejects.toThrow("HTTP 503");
+
+    expect(calls).toBe(3);
+    expect(clock.sleeps).toEqual([100, 200]);
+  });
+
+  it("should not retry other client errors", async () => {
+    const clock = fakeClock();
+    const scheduler = createScheduler({ now: clock.now, sleep: clock.sleep });
+
+    let calls = 0;
+    await expect(
+      scheduler.schedule(async () => {
+        calls += 1;
+        throw httpError(404);
+      })
+    ).rejects.toThrow("HTTP 404");
+    expect(calls).toBe(1);
+    expect(clock.sleeps).toEqual([]);
+  });
+});
+
+describe("createScheduledSource", () => {
+  it("should route calls through the scheduler and observe the source's budget", async () => {
+    const clock = fakeClock();
+    const scheduler = createScheduler({ now: clock.now, sleep: clock.sleep });
+    const source = {
+      name: "stub",
+      rateLimit: () => ({ remaining: 0, resetAt: clock.t + 5000 }),
+      listing: async ({ subreddit }) => [{ id: subreddit }],
+      search: async () => [],
+      submission: async (id) => ({ id }),
+      comments: async () => [],
+      userSubmissions: async () => [],
+      userComments: async () => [],
+      info: async () => []
+    };
+
+    const scheduled = createScheduledSource(source, scheduler);
+    expect(scheduled.name).toBe("stub");
+    expect(await scheduled.listing({ subreddit: "a" })).toEqual([{ id: "a" }]);
+    expect(await scheduled.submission("x")).toEqual({ id: "x" });
+    expect(clock.sleeps).toEqual([5000]);
+  });
+
+  it("should schedule each snoowrap request and turn off snoowrap's own delay", async () => {
+    const clock = fakeClock();
+    const scheduler = createScheduler({ minIntervalMs: 1000, now: clock.now, sleep: clock.sleep });
+    const requests = [];
+    const configs = [];
+    const reddit = {
+      oauthRequest: async (options) => {
+        requests.push(options.uri);
+        return {};
+      },
+      config: (options) => configs.push(options)
+    };
+    // Expanding replies fetches each batch of "more" comments separately
+    const post = {
+      comments: [],
+      async expandReplies() {
+        for (const uri of ["comments/p", "api/morechildren", "api/morechildren"]) {
+          await reddit.oauthRequest({ uri });
+        }
+        return post;
+      }
+    };
+
+    const scheduled = createScheduledSource(createSnoowrapSource(reddit), scheduler);
+    await scheduled.comments(post, { limit: 10, depth: 3 });
+
+    expect(configs).toEqual([{ requestDelay: 0, maxRetryAttempts: 1 }]);
+    expect(requests).toEqual(["comments/p", "api/morechildren", "api/morechildren"]);
+    expect(clock.sleeps).toEqual([1000, 1000]);
+  });
+});
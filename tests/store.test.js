@@ -0,0 +1,141 @@
+import { describe, it, expect } from "vitest";
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { openSqliteStore, parseStoreSpec } from "../src/store.js";
+import { harvestSubredditsToFiles } from "../src/redditHarvest.js";
+import { createReplaySource } from "../src/cassette.js";
+
+const tempDb = async () => path.join(await fs.mkdtemp(path.join(os.tmpdir(), "rh-store-")), "research.db");
+
+const post = (id, extra = {}) => ({
+  id,
+  subreddit: "startups",
+  title: `Post ${id}`,
+  author: "founder",
+  created: "2024-01-15T12:00:00.000Z",
+  score: 10,
+  numComments: 1,
+  url: "",
+  permalink: `/r/startups/comments/${id}/`,
+  selftext: "We take payments with Stripe",
+  flair: null,
+  upvoteRatio: 0.9,
+  isSelf: true,
+  over18: false,
+  comments: [
+    {
+      id: `${id}c1`,
+      parentId: id,
+      depth: 0,
+      author: "alice",
+      score: 3,
+      body: "Same here",
+      created: "",
+      replies: [{ id: `${id}c2`, parentId: `${id}c1`, depth: 1, author: "bob", score: 1, body: "+1", created: "", replies: [] }]
+    }
+  ],
+  ...extra
+});
+
+describe("parseStoreSpec", () => {
+  it("should resolve a sqlite: spec to an absolute path", () => {
+    expect(parseStoreSpec("sqlite:research.db")).toEqual({ kind: "sqlite", path: path.resolve("research.db") });
+  });
+
+  it("should reject other stores and malformed specs", () => {
+    expect(() => parseStoreSpec("postgres://db")).toThrow(/Unsupported store "postgres"/);
+    expect(() => parseStoreSpec("research.db")).toThrow(/expected sqlite:<file>/);
+  });
+});
+
+describe("openSqliteStore", () => {
+  it("should upsert posts and comments by ID, keeping the first run and updating the latest", async () => {
+    const store = await openSqliteStore(await tempDb());
+    store.startRun({ runId: "run-1", command: "harvest", args: { subreddits: "startups" } });
+    store.addPosts([post("a1")], { runId: "run-1" });
+    store.finishRun("run-1", { manifestPath: "run-1-manifest.json" });
+    store.startRun({ runId: "run-2", command: "harvest" });
+    store.addPosts([post("a1", { score: 99, comments: [] }), post("b2")], { runId: "run-2" });
+    store.finishRun("run-2");
+
+    const posts = store.query("SELECT id, score, is_self, upvote_ratio, first_run_id, last_run_id FROM posts ORDER BY id");
+    expect(posts.columns).toEqual(["id", "score", "is_self", "upvote_ratio", "first_run_id", "last_run_id"]);
+    expect(posts.rows).toEqual([
+      ["a1", 99, 1, 0.9, "run-1", "run-2"],
+      ["b2", 10, 1, 0.9, "run-2", "run-2"]
+    ]);
+    // Comments not re-harvested are kept
+    expect(store.query("SELECT id, post_id, depth FROM comments WHERE post_id = 'a1' ORDER BY id").rows).toEqual([
+      ["a1c1", "a1", 0],
+      ["a1c2", "a1", 1]
+    ]);
+    expect(store.query("SELECT run_id, post_count, manifest_path FROM runs ORDER BY run_id").rows).toEqual([
+      ["run-1", 1, "run-1-manifest.json"],
+      ["run-2", 2, null]
+    ]);
+    store.close();
+  });
+
+  it("should answer cross-run questions with named parameters", async () => {
+    const store = await openSqliteStore(await tempDb());
+    store.addPosts([post("a1"), post("b2", { selftext: "Paddle only" })], { runId: "run-1" });
+
+    const { rows } = store.query(
+      "SELECT p.id FROM posts p JOIN run_posts rp ON rp.post_id = p.id WHERE rp.run_id = @run AND p.selftext LIKE @term",
+      { run: "run-1", term: "%stripe%" }
+    );
+    expect(rows).toEqual([["a1"]]);
+    store.close();
+  });
+
+  it("should only run read-only queries", async () => {
+    const store = await openSqliteStore(await tempDb());
+
+    expect(() => store.query("DELETE FROM posts")).toThrow(/Only read-only queries/);
+    expect(() => store.query("SELEC 1")).toThrow(/Invalid SQL/);
+    store.close();
+  });
+
+  it("should save, list and look up named queries", async () => {
+    const filePath = await tempDb();
+    const store = await openSqliteStore(filePath);
+    store.saveQuery("top", "SELECT id FROM posts ORDER BY score DESC");
+    store.saveQuery("top", "SELECT id FROM posts ORDER BY score DESC LIMIT 10");
+    store.close();
+
+    const reopened = await openSqliteStore(filePath);
+    expect(reopened.savedQuery("top")).toBe("SELECT id FROM posts ORDER BY score DESC LIMIT 10");
+    expect(reopened.savedQueries().map((q) => q.name)).toEqual(["top"]);
+    expect(() => reopened.savedQuery("missing")).toThrow(/No saved query named "missing"/);
+    reopened.close();
+  });
+
+  it("should receive every harvested post, with or without corpus files", async () => {
+    const filePath = await tempDb();
+    const outDir = path.dirname(filePath);
+    const store = await openSqliteStore(filePath);
+    const cassetteDir = path.join(import.meta.dirname, "fixtures", "cassettes", "startups");
+
+    const result = await harvestSubredditsToFiles({
+      source: await createReplaySource(cassetteDir),
+      subreddits: ["startups"],
+      outDir,
+      listing: "new",
+      limit: 10,
+      includeComments: true,
+      commentLimit: 10,
+      commentDepth: 3,
+      store,
+      writeFiles: false
+    });
+
+    expect(result.outputs).toEqual([{ subreddit: "startups", filePath: null, textLength: 0, postCount: result.allPosts.length }]);
+    // Only the database (and its journal) is written
+    expect((await fs.readdir(outDir)).filter((f) => !f.startsWith("research.db"))).toEqual([]);
+    const { rows } = store.query("SELECT COUNT(*) FROM run_posts WHERE run_id = @run", { run: result.timestamp });
+    expect(rows).toEqual([[result.allPosts.length]]);
+    expect(store.query("SELECT COUNT(*) FROM comments").rows[0][0]).toBeGreaterThan(0);
+    store.close();
+  });
+});
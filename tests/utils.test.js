@@ -3,7 +3,10 @@ import {
   nowTimestampForFiles,
   sanitizeForFilename,
   chunkStringBySize,
-  normalizeSubredditsArg
+  normalizeSubredditsArg,
+  parsePostId,
+  normalizePostsArg,
+  mapConcurrent
 } from "../src/utils.js";
 
 describe("nowTimestampForFiles", () => {
@@ -132,3 +135,90 @@ describe("normalizeSubredditsArg", () => {
   });
 });
 
+
+describe("parsePostId", () => {
+  it("should extract the ID from a thread URL", () => {
+    expect(parsePostId("https://www.reddit.com/r/startups/comments/1abc2d/how_i_found/")).toBe("1abc2d");
+    expect(parsePostId("https://old.reddit.com/r/SaaS/comments/xyz789/title/c0mment/?context=3")).toBe("xyz789");
+  });
+
+  it("should extract the ID from a short link", () => {
+    expect(parsePostId("https://redd.it/1abc2d")).toBe("1abc2d");
+  });
+
+  it("should accept fullnames and bare IDs", () => {
+    expect(parsePostId("t3_1abc2d")).toBe("1abc2d");
+    expect(parsePostId("1ABC2D")).toBe("1abc2d");
+  });
+
+  it("should return null for unrecognised input", () => {
+    expect(parsePostId("https://example.com/page")).toBeNull();
+    expect(parsePostId("")).toBeNull();
+  });
+});
+
+describe("normalizePostsArg", () => {
+  it("should parse comma- and newline-separated references", () => {
+    expect(
+      normalizePostsArg("https://redd.it/aaa111, t3_bbb222\nhttps://www.reddit.com/r/x/comments/ccc333/t/")
+    ).toEqual(["aaa111", "bbb222", "ccc333"]);
+  });
+
+  it("should drop duplicates", () => {
+    expect(normalizePostsArg(["aaa111", "t3_aaa111"])).toEqual(["aaa111"]);
+  });
+
+  it("should throw on unrecognised references", () => {
+    expect(() => normalizePostsArg("https://example.com/page")).toThrow("Not a Reddit post URL or ID");
+  });
+
+  it("should return empty array for null/undefined", () => {
+    expect(normalizePostsArg(null)).toEqual([]);
+    expect(normalizePostsArg(undefined)).toEqual([]);
+  });
+});
+
+describe("mapConcurrent", () => {
+  const collect = async (iterable) => {
+    const out = [];
+    for await (const x of iterable) out.push(x);
+    return out;
+  };
+
+  it("should yield results in input order with at most N calls in flight", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await collect(
+      mapConcurrent([30, 5, 20, 1, 10], 2, async (ms, i) => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        inFlight -= 1;
+        return `${i}:${ms}`;
+      })
+    );
+
+    expect(results).toEqual(["0:30", "1:5", "2:20", "3:1", "4:10"]);
+    expect(maxInFlight).toBe(2);
+  });
+
+  it("should start each call after the previous result is consumed at concurrency 1", async () => {
+    const log = [];
+    const iterator = mapConcurrent(["a", "b"], 1, async (x) => {
+      log.push(`start ${x}`);
+      return x;
+    });
+    for await (const x of iterator) log.push(`got ${x}`);
+
+    expect(log).toEqual(["start a", "got a", "start b", "got b"]);
+  });
+
+  it("should rethrow a failed call when its turn comes", async () => {
+    const iterator = mapConcurrent([1, 2], 2, async (x) => {
+      if (x === 2) throw new Error("boom");
+      return x;
+    });
+
+    await expect(collect(iterator)).rejects.toThrow("boom");
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import { compileWhere, parseDuration } from "../src/where.js";
+import { createFilters, applyFilters } from "../src/filters.js";
+
+const NOW = 1704067200; // 2024-01-01T00:00:00Z
+
+const post = (overrides) => ({
+  id: "p1",
+  subreddit: "startups",
+  title: "How should I think about pricing?",
+  author: "founder",
+  created: "2023-12-25T00:00:00.000Z",
+  score: 42,
+  numComments: 12,
+  url: "",
+  permalink: "/r/startups/comments/p1/",
+  selftext: "Per seat or usage based?",
+  flair: "Question",
+  comments: [],
+  ...overrides
+});
+
+const where = (expression) => compileWhere(expression, { now: () => NOW });
+
+describe("compileWhere", () => {
+  it("should evaluate the documented example", () => {
+    const test = where("score >= 20 && (flair == 'Question' || title ~ /pricing/i) && age < 30d");
+
+    expect(test(post())).toBe(true);
+    expect(test(post({ flair: "Discussion" }))).toBe(true);
+    expect(test(post({ flair: "Discussion", title: "Launch day" }))).toBe(false);
+    expect(test(post({ score: 3 }))).toBe(false);
+    expect(test(post({ created: "2023-10-01T00:00:00.000Z" }))).toBe(false);
+  });
+
+  it("should respect precedence of && over || and negation", () => {
+    expect(where("score > 100 || comments > 10 && author == 'founder'")(post())).toBe(true);
+    expect(where("(score > 100 || comments > 10) && author == 'someone'")(post())).toBe(false);
+    expect(where("!(flair == 'question')")(post())).toBe(false);
+    expect(where("title !~ 'hiring'")(post())).toBe(true);
+  });
+
+  it("should compare created against dates and age against durations", () => {
+    expect(where("created >= '2023-12-01' && created < '2024-01-01'")(post())).toBe(true);
+    expect(where("age >= 7d")(post())).toBe(true);
+    expect(where("age < 6d")(post())).toBe(false);
+  });
+
+  it("should expose post metadata fields", () => {
+    const meta = post({ upvoteRatio: 0.9, isSelf: false, domain: "example.com", locked: true, removed: false, totalAwards: 4 });
+
+    expect(where("upvoteRatio >= 0.8 && !isSelf && domain == 'example.com'")(meta)).toBe(true);
+    expect(where("locked && !removed && awards > 3")(meta)).toBe(true);
+  });
+
+  it("should treat missing values as non-matching", () => {
+    expect(where("flair == null")(post({ flair: null }))).toBe(true);
+    expect(where("flair != 'Question'")(post({ flair: null }))).toBe(true);
+    expect(where("score > 1")(post({ score: undefined }))).toBe(false);
+  });
+
+  it("should point parse errors at the offending column", () => {
+    const cases = [
+      ["score >= && x", "Unexpected '&&'", 10],
+      ["(score > 1", "Expected ')'", 11],
+      ["score > 1)", "Unexpected ')'", 10],
+      ["karma > 1", "Unknown field 'karma'", 1],
+      ["title ~ /abc", "Unterminated regex", 9],
+      ["title == 'abc", "Unterminated string", 10],
+      ["score $ 2", "Unexpected character '$'", 7],
+      ["", "Unexpected end of expression", 1]
+    ];
+
+    for (const [expression, message, column] of cases) {
+      let error;
+      try {
+        compileWhere(expression);
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.message, expression).toContain(`${message}`);
+      expect(error.message).toContain(`at column ${column}`);
+      expect(error.column).toBe(column);
+      expect(error.message.split("\n")[2].indexOf("^")).toBe(column + 1);
+    }
+  });
+
+  it("should filter harvested posts as a post-stage step", () => {
+    const { pre, post: postSteps } = createFilters({ where: "comments >= 10", skipBots: false });
+    const drops = [];
+
+    expect(pre).toEqual([]);
+    const kept = applyFilters([post(), post({ id: "p2", numComments: 1 })], postSteps, (name, n) => drops.push([name, n]));
+    expect(kept.map((p) => p.id)).toEqual(["p1"]);
+    expect(drops).toEqual([["where", 1]]);
+  });
+});
+
+describe("parseDuration", () => {
+  it("should parse durations into seconds and reject anything else", () => {
+    expect(parseDuration("90d")).toBe(90 * 86400);
+    expect(parseDuration("1.5h")).toBe(5400);
+    expect(() => parseDuration("90")).toThrow('Invalid duration "90"');
+    expect(() => parseDuration("0d")).toThrow("Invalid duration");
+  });
+});